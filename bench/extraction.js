@@ -0,0 +1,121 @@
+// Throughput of FacebookVideoExtractor.extractVideos on generated multi-MB
+// pages shaped like Facebook's: minified markup, data-sjs JSON payloads full
+// of escaped image URLs and text, and a few video nodes with progressive
+// URLs and a DASH manifest.
+//
+//   node bench/extraction.js [--sizes 1,5,20] [--runs 3] [--baseline path/to/facebook-extractor.js]
+//
+// --baseline loads another copy of lib/facebook-extractor.js to compare with,
+// for example from a worktree of an older commit:
+//
+//   git worktree add /tmp/before <commit>
+//   node bench/extraction.js --baseline /tmp/before/lib/facebook-extractor.js
+
+const path = require('path');
+
+function parseArgs(argv) {
+    const args = { sizes: [1, 5, 20], runs: 3, baseline: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--sizes') args.sizes = argv[++i].split(',').map(Number).filter(Boolean);
+        else if (argv[i] === '--runs') args.runs = parseInt(argv[++i], 10) || 1;
+        else if (argv[i] === '--baseline') args.baseline = path.resolve(argv[++i]);
+    }
+    return args;
+}
+
+// Small seeded PRNG so every run scans the same pages
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function generatePage(megabytes, seed = 1) {
+    const next = random(seed);
+    const word = () => Math.floor(next() * 1e9).toString(36);
+    const hash = length => Array.from({ length: length }, () => 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_-'[Math.floor(next() * 64)]).join('');
+    const esc = url => url.replace(/\//g, '\\/');
+    const imageUrl = () => `https://scontent.fxx1-1.fna.fbcdn.net/v/t39.30808-6/${word()}_${word()}_n.jpg?_nc_cat=${Math.floor(next() * 100)}&ccb=1-7&_nc_sid=${word()}&_nc_ohc=${hash(20)}&_nc_ht=scontent.fxx1-1.fna&oh=00_${hash(40)}&oe=6650A1B2`;
+    const videoUrl = (format, id) => `https://scontent.fxx1-1.fna.fbcdn.net/o1/v/t2/f2/${format}/${hash(45)}.mp4?strext=1&_nc_cat=1&_nc_sid=5e9851&_nc_ht=scontent.fxx1-1.fna.fbcdn.net&_nc_ohc=${hash(12)}&efg=${Buffer.from(JSON.stringify({ video_id: id })).toString('base64')}&oh=00_${hash(40)}&ccb=9-4&vs=${hash(16)}&_nc_vs=HBksFQIYOmd&bitrate=0&oe=6650A1B2`;
+
+    const story = () => JSON.stringify({
+        __typename: 'Story',
+        id: word(),
+        message: { text: `Café ${word()} isn't "${word()}" — ${word()} ${word()}` },
+        attachments: [{ media: { __typename: 'Photo', image: { uri: imageUrl(), width: 720, height: 960 } } }],
+        feedback: { reaction_count: { count: Math.floor(next() * 5000) }, comment_count: Math.floor(next() * 300) },
+        actors: [{ __typename: 'User', name: `${word()} ${word()}`, profile_picture: { uri: imageUrl() } }]
+    }).replace(/\//g, '\\/');
+
+    const video = id => {
+        const mpd = `<?xml version="1.0"?><MPD mediaPresentationDuration="PT42S"><Period><AdaptationSet><Representation id="${id}v" bandwidth="1800000" codecs="avc1.64001F" mimeType="video/mp4" width="720" height="1280"><BaseURL>${videoUrl('m366', id).replace(/&/g, '&amp;')}</BaseURL><SegmentBase indexRange="900-1000"><Initialization range="0-899"/></SegmentBase></Representation></AdaptationSet></Period></MPD>`;
+        return `{"__typename":"Video","id":"${id}","playable_url":"${esc(videoUrl('m69', id))}","playable_url_quality_hd":"${esc(videoUrl('m412', id))}","browser_native_sd_url":"${esc(videoUrl('m69', id))}","dash_manifest":${JSON.stringify(mpd).replace(/</g, '\\u003C').replace(/\//g, '\\/')},"playable_duration_in_ms":42000}`;
+    };
+
+    const target = megabytes * 1024 * 1024;
+    const parts = ['<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Facebook</title><meta property="og:title" content="Video"></head><body>'];
+    let size = parts[0].length;
+    let videoCount = 0;
+
+    while (size < target) {
+        let chunk = `<div class="x1n2onr6 x1ja2u2z" role="article" aria-label="${word()}'s post"><span dir="auto">${word()} "${word()}" ${word()}</span><img src="${imageUrl().replace(/&/g, '&amp;')}" alt=""></div>`;
+        const stories = Array.from({ length: 8 }, story).join(',');
+        const videos = next() < 0.05 ? `,${video(String(1e9 + videoCount++))}` : '';
+        chunk += `<script type="application/json" data-content-len="${stories.length}" data-sjs>{"require":[["ScheduledServerJS","handle",null,[{"__bbox":{"result":{"data":{"nodes":[${stories}${videos}]}}}}]]]}</script>`;
+        parts.push(chunk);
+        size += chunk.length;
+    }
+
+    parts.push('</body></html>');
+    return { html: parts.join(''), videoCount: videoCount };
+}
+
+function measure(Extractor, html, runs) {
+    // One untimed run first so the JIT has warmed up
+    new Extractor().extractVideos(html.slice(0, 256 * 1024));
+
+    const times = [];
+    let found = 0;
+    for (let i = 0; i < runs; i++) {
+        const extractor = new Extractor();
+        const start = process.hrtime.bigint();
+        found = extractor.extractVideos(html).length;
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    times.sort((a, b) => a - b);
+    return { ms: times[Math.floor(times.length / 2)], found: found };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const { FacebookVideoExtractor } = require('../lib/facebook-extractor');
+    const Baseline = args.baseline ? require(args.baseline).FacebookVideoExtractor : null;
+
+    // The extractors log every match; keep the table readable
+    const log = console.log;
+    console.log = () => {};
+    console.error = () => {};
+
+    log(`runs per size: ${args.runs} (median)${Baseline ? `, baseline: ${args.baseline}` : ''}`);
+    args.sizes.forEach(megabytes => {
+        const { html, videoCount } = generatePage(megabytes);
+        const mb = html.length / (1024 * 1024);
+        const current = measure(FacebookVideoExtractor, html, args.runs);
+        let line = `${mb.toFixed(1).padStart(6)} MB  ${videoCount} video nodes  current: ${current.ms.toFixed(0).padStart(6)} ms ${(mb / current.ms * 1000).toFixed(1).padStart(7)} MB/s ${String(current.found).padStart(4)} found`;
+
+        if (Baseline) {
+            const before = measure(Baseline, html, args.runs);
+            line += `  baseline: ${before.ms.toFixed(0).padStart(6)} ms ${(mb / before.ms * 1000).toFixed(1).padStart(7)} MB/s ${String(before.found).padStart(4)} found  speedup: ${(before.ms / current.ms).toFixed(1)}x`;
+        }
+        log(line);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { generatePage };
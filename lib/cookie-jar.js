@@ -0,0 +1,149 @@
+// Cookies a user supplies for one request, so the server can fetch a private
+// post page as them. A jar is built from a Netscape cookies.txt export or a
+// pasted Cookie header, lives only for that request and is cleared when it
+// ends. Nothing here logs, stores or serializes cookie values.
+
+// Largest cookies.txt accepted; real exports are a few KB
+const MAX_COOKIE_TEXT = 256 * 1024;
+
+// Raised for cookie input that cannot be used; never includes cookie values
+class CookieError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CookieError';
+        this.status = status;
+    }
+}
+
+class CookieJar {
+    // cookies: [{ name, value, domain, includeSubdomains, path, secure, expires }].
+    // A cookie without a domain is sent to every host the fetcher contacts.
+    constructor(cookies = [], options = {}) {
+        this.cookies = cookies;
+        this.now = options.now || Date.now;
+    }
+
+    // A cookies.txt export or a Cookie header, told apart by their tabs
+    static parse(text, options = {}) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new CookieError('Cookies must be the text of a cookies.txt file or a Cookie header.');
+        }
+        if (text.length > MAX_COOKIE_TEXT) {
+            throw new CookieError('The cookies file is too large. Export only the cookies for facebook.com.');
+        }
+
+        const jar = text.includes('\t') ? CookieJar.fromNetscape(text, options) : CookieJar.fromHeader(text, options);
+        if (jar.cookies.length === 0) {
+            throw new CookieError('No usable cookies found. Export them again while logged in.');
+        }
+        return jar;
+    }
+
+    // Netscape format, one cookie per line:
+    //   domain  includeSubdomains  path  secure  expires  name  value
+    // Lines starting with # are comments, except the #HttpOnly_ prefix
+    static fromNetscape(text, options = {}) {
+        const cookies = [];
+
+        text.split(/\r?\n/).forEach(line => {
+            let entry = line;
+            if (entry.startsWith('#HttpOnly_')) {
+                entry = entry.slice('#HttpOnly_'.length);
+            } else if (!entry.trim() || entry.startsWith('#')) {
+                return;
+            }
+
+            const fields = entry.split('\t');
+            if (fields.length < 7 || !fields[5]) return;
+
+            const expires = parseInt(fields[4], 10);
+            const domain = fields[0].trim().toLowerCase();
+            cookies.push({
+                name: fields[5].trim(),
+                value: fields.slice(6).join('\t').trim(),
+                domain: domain.replace(/^\./, ''),
+                includeSubdomains: fields[1].toUpperCase() === 'TRUE' || domain.startsWith('.'),
+                path: fields[2] || '/',
+                secure: fields[3].toUpperCase() === 'TRUE',
+                // 0 marks a session cookie
+                expires: expires > 0 ? expires * 1000 : null
+            });
+        });
+
+        return new CookieJar(cookies, options);
+    }
+
+    // "name=value; name2=value2", with or without a leading "Cookie:"
+    static fromHeader(text, options = {}) {
+        const cookies = text.replace(/^\s*cookie\s*:/i, '').split(';')
+            .map(pair => pair.trim())
+            .filter(pair => pair.indexOf('=') > 0)
+            .map(pair => {
+                const split = pair.indexOf('=');
+                return {
+                    name: pair.slice(0, split).trim(),
+                    value: pair.slice(split + 1).trim(),
+                    domain: null,
+                    includeSubdomains: true,
+                    path: '/',
+                    secure: false,
+                    expires: null
+                };
+            });
+
+        return new CookieJar(cookies, options);
+    }
+
+    // Cookie header value for a request to `url`, or null when none apply
+    headerFor(url) {
+        let target;
+        try {
+            target = new URL(url);
+        } catch {
+            return null;
+        }
+
+        const hostname = target.hostname.toLowerCase();
+        const now = this.now();
+        const pairs = this.cookies
+            .filter(cookie =>
+                (!cookie.expires || cookie.expires > now) &&
+                (!cookie.secure || target.protocol === 'https:') &&
+                this.domainMatches(cookie, hostname) &&
+                target.pathname.startsWith(cookie.path))
+            .map(cookie => `${cookie.name}=${cookie.value}`);
+
+        return pairs.length > 0 ? pairs.join('; ') : null;
+    }
+
+    domainMatches(cookie, hostname) {
+        if (!cookie.domain) {
+            return true;
+        }
+        return hostname === cookie.domain || (cookie.includeSubdomains && hostname.endsWith(`.${cookie.domain}`));
+    }
+
+    get size() {
+        return this.cookies.length;
+    }
+
+    // Drop every cookie. JavaScript strings cannot be overwritten in place, so
+    // this removes the last references and leaves the rest to the GC.
+    clear() {
+        this.cookies.forEach(cookie => {
+            cookie.value = '';
+        });
+        this.cookies = [];
+    }
+
+    // Keep cookie values out of logs and JSON, even by accident
+    toJSON() {
+        return `[CookieJar: ${this.cookies.length} cookie(s)]`;
+    }
+
+    [Symbol.for('nodejs.util.inspect.custom')]() {
+        return this.toJSON();
+    }
+}
+
+module.exports = { CookieJar, CookieError };
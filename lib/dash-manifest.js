@@ -0,0 +1,131 @@
+const cheerio = require('cheerio');
+
+// DASH (MPD) manifest parsing
+// Facebook embeds an MPD document in the "dash_manifest" field of its video
+// payloads. The highest-quality renditions are usually only listed there, as
+// separate video-only and audio-only representations.
+class DashManifestParser {
+    parse(xml) {
+        if (!xml || typeof xml !== 'string' || !xml.includes('<MPD')) {
+            return null;
+        }
+
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const mpd = $('MPD').first();
+        const manifestBaseUrl = this.childText($, mpd, 'BaseURL');
+        const representations = [];
+
+        $('AdaptationSet').each((i, setElem) => {
+            const adaptationSet = $(setElem);
+            const setBaseUrl = this.childText($, adaptationSet, 'BaseURL');
+
+            adaptationSet.find('Representation').each((j, repElem) => {
+                const rep = $(repElem);
+                const representation = this.parseRepresentation($, rep, adaptationSet, setBaseUrl || manifestBaseUrl);
+                if (representation) {
+                    representations.push(representation);
+                }
+            });
+        });
+
+        return {
+            duration: this.parseDuration(mpd.attr('mediaPresentationDuration')),
+            representations: representations,
+            video: representations.filter(rep => rep.kind === 'video'),
+            audio: representations.filter(rep => rep.kind === 'audio')
+        };
+    }
+
+    parseRepresentation($, rep, adaptationSet, inheritedBaseUrl) {
+        // Attributes may be declared on the AdaptationSet and inherited
+        const attr = name => rep.attr(name) || adaptationSet.attr(name) || null;
+
+        const baseUrl = this.resolveUrl(this.childText($, rep, 'BaseURL'), inheritedBaseUrl);
+        if (!baseUrl) {
+            return null;
+        }
+
+        const mimeType = attr('mimeType');
+        const codecs = attr('codecs');
+        const width = this.parseInteger(attr('width'));
+        const height = this.parseInteger(attr('height'));
+
+        const segmentBase = rep.find('SegmentBase').first().length
+            ? rep.find('SegmentBase').first()
+            : adaptationSet.children('SegmentBase').first();
+        const initialization = segmentBase.find('Initialization').first();
+
+        return {
+            id: rep.attr('id') || null,
+            kind: this.detectKind(mimeType, attr('contentType'), codecs, width),
+            url: baseUrl,
+            mimeType: mimeType,
+            codecs: codecs,
+            width: width,
+            height: height,
+            bandwidth: this.parseInteger(attr('bandwidth')),
+            frameRate: attr('frameRate'),
+            audioSamplingRate: this.parseInteger(attr('audioSamplingRate')),
+            qualityLabel: rep.attr('FBQualityLabel') || null,
+            initRange: this.parseByteRange(initialization.attr('range')),
+            indexRange: this.parseByteRange(segmentBase.attr('indexRange'))
+        };
+    }
+
+    detectKind(mimeType, contentType, codecs, width) {
+        const type = (contentType || mimeType || '').toLowerCase();
+        if (type.startsWith('video')) return 'video';
+        if (type.startsWith('audio')) return 'audio';
+
+        // Fall back to the codec string when no type is declared
+        if (codecs && /^(mp4a|opus|ac-3|ec-3|flac)/i.test(codecs)) return 'audio';
+        if (codecs && /^(avc|hvc|hev|vp0?9|av01)/i.test(codecs)) return 'video';
+
+        return width ? 'video' : 'unknown';
+    }
+
+    childText($, elem, tagName) {
+        const child = elem.children(tagName).first();
+        return child.length ? child.text().trim() : '';
+    }
+
+    resolveUrl(url, base) {
+        if (!url) {
+            return base && /^https?:\/\//.test(base) ? base : null;
+        }
+
+        try {
+            return base ? new URL(url, base).toString() : new URL(url).toString();
+        } catch {
+            return null;
+        }
+    }
+
+    parseInteger(value) {
+        const number = parseInt(value, 10);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    parseByteRange(value) {
+        const match = /^(\d+)-(\d+)$/.exec(value || '');
+        if (!match) {
+            return null;
+        }
+        return { start: parseInt(match[1], 10), end: parseInt(match[2], 10) };
+    }
+
+    // ISO 8601 durations as used by MPD, e.g. "PT1M2.5S"
+    parseDuration(value) {
+        const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?$/.exec(value || '');
+        if (!match) {
+            return null;
+        }
+        const [, days, hours, minutes, seconds] = match;
+        return (parseInt(days || 0, 10) * 86400) +
+               (parseInt(hours || 0, 10) * 3600) +
+               (parseInt(minutes || 0, 10) * 60) +
+               parseFloat(seconds || 0);
+    }
+}
+
+module.exports = { DashManifestParser };
@@ -0,0 +1,72 @@
+// File names for downloads served with Content-Disposition. Names come from a
+// template such as "{author} - {title} ({date}) [{quality}]"; placeholders
+// without a value are dropped together with their brackets and separators.
+
+const DEFAULT_TEMPLATE = '{author} - {title} ({date}) [{quality}]';
+
+// Most file systems limit names to 255 bytes; leave room for " (1)" suffixes
+const MAX_FILENAME_BYTES = 200;
+
+const WINDOWS_RESERVED = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+function extensionFor(video) {
+    const type = String(video.type || '').toLowerCase();
+    if (video.mediaType === 'image') {
+        return type === 'png' || type === 'webp' ? type : 'jpg';
+    }
+    if (type === 'webm' || type === 'm4a') {
+        return type;
+    }
+    return 'mp4';
+}
+
+function templateFields(video) {
+    const metadata = video.metadata || {};
+    const publishedAt = metadata.publishedAt || video.publishedAt || '';
+
+    return {
+        title: video.title || metadata.title || '',
+        author: video.author || metadata.author || '',
+        date: publishedAt ? String(publishedAt).substring(0, 10) : '',
+        quality: video.quality && !/unknown/i.test(video.quality) ? video.quality : '',
+        resolution: video.resolution && video.resolution !== 'Auto' ? video.resolution : '',
+        id: video.videoId || metadata.videoId || ''
+    };
+}
+
+// Characters that are unsafe in file names on some OS, plus control and
+// bidirectional override characters that can disguise the extension
+function sanitizeFilename(name) {
+    let clean = String(name || '')
+        .replace(/[\\/:*?"<>|\u0000-\u001f\u007f]+/g, ' ')
+        .replace(/[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.]+|[\s.]+$/g, '');
+
+    while (Buffer.byteLength(clean, 'utf8') > MAX_FILENAME_BYTES) {
+        clean = Array.from(clean).slice(0, -1).join('').trimEnd();
+    }
+
+    return WINDOWS_RESERVED.test(clean) ? `_${clean}` : clean;
+}
+
+function formatDownloadFilename(video, template = DEFAULT_TEMPLATE) {
+    const fields = templateFields(video);
+    const rendered = String(template || DEFAULT_TEMPLATE)
+        .replace(/\{(\w+)\}/g, (match, name) => (fields[name] !== undefined ? fields[name] : match))
+        .replace(/\(\s*\)|\[\s*\]/g, '')
+        .replace(/(\s+-\s*)+-\s+/g, ' - ')
+        .replace(/^[\s\-_]+|[\s\-_]+$/g, '');
+
+    const name = sanitizeFilename(rendered) || (video.mediaType === 'image' ? 'image' : 'video');
+    return `${name}.${extensionFor(video)}`;
+}
+
+// RFC 6266 header value: an ASCII fallback plus the UTF-8 name for browsers that support it
+function contentDisposition(filename) {
+    const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+module.exports = { formatDownloadFilename, sanitizeFilename, contentDisposition, DEFAULT_TEMPLATE };
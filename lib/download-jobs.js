@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { cdnUrlExpiry } = require('./video-utils');
+
+// queued -> downloading -> (retrying -> downloading)* -> completed | failed | cancelled;
+// a completed file moves to fetched once it has been delivered
+const FINAL_STATES = new Set(['completed', 'failed', 'cancelled', 'fetched']);
+
+// CDN answers that another attempt will not fix
+const PERMANENT_STATUSES = new Set([401, 403, 404, 410]);
+
+// Raised for refused jobs, failed downloads and files that cannot be
+// fetched. `code` is QUEUE_FULL, TOO_MANY_JOBS, LINK_EXPIRED, UPSTREAM_ERROR,
+// STALLED, INCOMPLETE, NOT_READY, NO_FILE or ALREADY_FETCHED.
+class DownloadJobError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'DownloadJobError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// Downloads files to disk on the server for POST /jobs. Each job is one file.
+// A failed attempt is retried with exponential backoff and resumes where it
+// stopped with a Range request; if the CDN ignores the Range, the file starts
+// over. Progress (bytes, speed, ETA) goes to subscribers such as the SSE
+// route. A finished file can be fetched once and is then deleted; unclaimed
+// files are deleted `ttl` ms after the job ends.
+class DownloadJobManager {
+    constructor(options = {}) {
+        // fetch(url, range, { signal }) -> WHATWG Response, e.g. the server's fetchVideo
+        this.fetch = options.fetch;
+        this.directory = options.directory;
+        this.concurrency = options.concurrency || 2;
+        this.maxQueue = options.maxQueue === undefined ? 20 : options.maxQueue;
+        this.maxPerOwner = options.maxPerOwner || 10;
+        this.maxRetries = options.maxRetries === undefined ? 3 : options.maxRetries;
+        this.retryDelay = options.retryDelay === undefined ? 1000 : options.retryDelay;
+        this.ttl = options.ttl || 60 * 60 * 1000;
+        this.progressInterval = options.progressInterval || 500;
+        // An attempt that receives nothing for this long is aborted and retried
+        this.idleTimeout = options.idleTimeout || 30 * 1000;
+        this.now = options.now || Date.now;
+
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+        this.listeners = new Map();
+        this.ready = null;
+    }
+
+    // Queue a download of `url`, saved as `filename`. `owner` (the client IP)
+    // limits how many unfinished jobs one client may have.
+    create(download) {
+        return this.createBatch([download])[0];
+    }
+
+    // Queue several downloads, all or none: when the whole batch does not
+    // fit, nothing is queued and the error says why
+    createBatch(downloads) {
+        this.checkCapacity(downloads);
+        return downloads.map(download => this.add(download));
+    }
+
+    checkCapacity(downloads) {
+        // Jobs go to free slots first; the queue holds the rest
+        const freeSlots = Math.max(0, this.concurrency - this.running);
+        if (this.queue.length + Math.max(0, downloads.length - 1 - freeSlots) >= this.maxQueue) {
+            throw new DownloadJobError('Too many downloads are waiting. Try again when some have finished.', 'QUEUE_FULL', 503);
+        }
+
+        const added = new Map();
+        downloads.forEach(download => added.set(download.owner, (added.get(download.owner) || 0) + 1));
+        added.forEach((count, owner) => {
+            const unfinished = Array.from(this.jobs.values()).filter(job => job.owner === owner && !FINAL_STATES.has(job.state));
+            if (unfinished.length + count > this.maxPerOwner) {
+                throw new DownloadJobError(`You can run at most ${this.maxPerOwner} downloads at once.`, 'TOO_MANY_JOBS', 429);
+            }
+        });
+    }
+
+    add({ url, filename, owner }) {
+        const job = {
+            id: crypto.randomBytes(16).toString('hex'),
+            url: url,
+            filename: filename,
+            owner: owner,
+            state: 'queued',
+            bytes: 0,
+            total: null,
+            speed: 0,
+            eta: null,
+            attempts: 0,
+            error: null,
+            code: null,
+            createdAt: this.now(),
+            finishedAt: null,
+            controller: null,
+            wake: null,
+            expiryTimer: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.dispatch();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    dispatch() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            this.run(this.queue.shift());
+        }
+    }
+
+    async run(job) {
+        this.running++;
+        try {
+            await this.prepare();
+
+            while (job.state !== 'cancelled') {
+                job.attempts++;
+                try {
+                    await this.attempt(job);
+                    this.finish(job, 'completed');
+                    break;
+                } catch (error) {
+                    if (job.state === 'cancelled') break;
+                    if (!this.shouldRetry(job, error)) {
+                        this.fail(job, error);
+                        break;
+                    }
+
+                    job.state = 'retrying';
+                    job.error = error.message;
+                    job.speed = 0;
+                    job.eta = null;
+                    this.publish(job);
+                    await this.sleep(job, this.retryDelay * 2 ** (job.attempts - 1));
+                }
+            }
+        } catch (error) {
+            this.fail(job, error);
+        } finally {
+            this.running--;
+            job.controller = null;
+            if (job.state === 'cancelled') {
+                await this.deleteFile(job);
+                this.publish(job);
+            }
+            this.dispatch();
+        }
+    }
+
+    // One request for the rest of the file, appended to what is already on disk
+    async attempt(job) {
+        const expiry = cdnUrlExpiry(job.url);
+        if (expiry && expiry <= this.now()) {
+            throw new DownloadJobError('The video link has expired. Extract the video again to get a fresh link.', 'LINK_EXPIRED', 410);
+        }
+
+        // Resume from what actually reached the disk, not what was counted in flight
+        if (job.bytes > 0) {
+            const stat = await fs.promises.stat(this.filePath(job)).catch(() => null);
+            job.bytes = stat ? stat.size : 0;
+        }
+
+        // A connection that stops sending without closing would otherwise
+        // hold the job, and its concurrency slot, forever
+        const controller = new AbortController();
+        let stalled = false;
+        let idleTimer = null;
+        const touch = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                stalled = true;
+                controller.abort();
+            }, this.idleTimeout);
+        };
+        job.controller = controller;
+        touch();
+
+        try {
+            const response = await this.fetch(job.url, job.bytes > 0 ? `bytes=${job.bytes}-` : null, { signal: controller.signal });
+
+            // Everything was already written when the previous attempt failed
+            if (response.status === 416 && job.total !== null && job.bytes === job.total) {
+                return;
+            }
+            if (!response.ok) {
+                const error = new DownloadJobError(`The CDN answered HTTP ${response.status}`, 'UPSTREAM_ERROR', 502);
+                error.upstreamStatus = response.status;
+                throw error;
+            }
+
+            let append = false;
+            const range = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers.get('content-range') || '');
+            if (response.status === 206 && range && parseInt(range[1], 10) === job.bytes) {
+                append = true;
+                job.total = range[2] === '*' ? job.total : parseInt(range[2], 10);
+            } else {
+                // The CDN sent the whole file (it ignored the Range), so start over
+                job.bytes = 0;
+                const length = parseInt(response.headers.get('content-length'), 10);
+                job.total = Number.isFinite(length) ? length : null;
+            }
+
+            job.state = 'downloading';
+            job.error = null;
+            this.publish(job);
+
+            const file = fs.createWriteStream(this.filePath(job), { flags: append ? 'a' : 'w' });
+            await pipeline(response.body, this.meter(job, touch), file);
+        } catch (error) {
+            if (stalled && job.state !== 'cancelled') {
+                throw new DownloadJobError(`The CDN sent nothing for ${Math.round(this.idleTimeout / 1000)} seconds`, 'STALLED', 504);
+            }
+            throw error;
+        } finally {
+            clearTimeout(idleTimer);
+        }
+
+        if (job.total !== null && job.bytes !== job.total) {
+            throw new DownloadJobError(`The download stopped after ${job.bytes} of ${job.total} bytes`, 'INCOMPLETE', 502);
+        }
+    }
+
+    // Counts bytes as they pass and publishes progress every progressInterval
+    // ms; onData is called for every chunk
+    meter(job, onData) {
+        let windowStart = this.now();
+        let windowBytes = 0;
+
+        return new Transform({
+            transform: (chunk, encoding, callback) => {
+                job.bytes += chunk.length;
+                windowBytes += chunk.length;
+                onData();
+
+                const now = this.now();
+                const elapsed = now - windowStart;
+                if (elapsed >= this.progressInterval) {
+                    // Smoothed, so the ETA does not jump with every chunk
+                    const rate = windowBytes * 1000 / elapsed;
+                    job.speed = job.speed ? job.speed * 0.7 + rate * 0.3 : rate;
+                    job.eta = job.total !== null && job.speed > 0 ? Math.ceil((job.total - job.bytes) / job.speed) : null;
+                    windowStart = now;
+                    windowBytes = 0;
+                    this.publish(job);
+                }
+                callback(null, chunk);
+            }
+        });
+    }
+
+    shouldRetry(job, error) {
+        if (job.attempts > this.maxRetries || error.code === 'LINK_EXPIRED' || error.name === 'UrlPolicyError') {
+            return false;
+        }
+        return !PERMANENT_STATUSES.has(error.upstreamStatus);
+    }
+
+    // Wait before the next attempt; cancel() cuts the wait short
+    sleep(job, ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            job.wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        }).then(() => {
+            job.wake = null;
+        });
+    }
+
+    finish(job, state) {
+        job.state = state;
+        job.speed = 0;
+        job.eta = state === 'completed' ? 0 : null;
+        job.finishedAt = this.now();
+        this.publish(job);
+
+        job.expiryTimer = setTimeout(() => this.remove(job.id), this.ttl);
+        job.expiryTimer.unref();
+    }
+
+    fail(job, error) {
+        console.error(`Download job ${job.id} failed after ${job.attempts} attempt(s): ${error.message}`);
+        job.error = error.message;
+        job.code = error.code || 'DOWNLOAD_FAILED';
+        this.deleteFile(job);
+        this.finish(job, 'failed');
+    }
+
+    cancel(id) {
+        const job = this.get(id);
+        if (!job || FINAL_STATES.has(job.state)) {
+            return job;
+        }
+
+        const queued = this.queue.indexOf(job);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+        }
+
+        this.finish(job, 'cancelled');
+        if (job.controller) job.controller.abort();
+        if (job.wake) job.wake();
+        return job;
+    }
+
+    // Claim a completed file for delivery. Call release() once the response
+    // ends: delivered files are deleted, interrupted ones can be fetched again.
+    // `id` must be a known job.
+    take(id) {
+        const job = this.get(id);
+        if (job.state === 'fetched') {
+            throw new DownloadJobError('This file has already been downloaded.', 'ALREADY_FETCHED', 410);
+        }
+        if (job.state === 'failed' || job.state === 'cancelled') {
+            throw new DownloadJobError(`This download ${job.state === 'failed' ? 'failed' : 'was cancelled'}; there is no file to fetch.`, 'NO_FILE', 410);
+        }
+        if (job.state !== 'completed' || job.fetching) {
+            throw new DownloadJobError(job.fetching ? 'This file is already being downloaded.' : 'This download has not finished yet.', 'NOT_READY', 409);
+        }
+
+        job.fetching = true;
+        return {
+            path: this.filePath(job),
+            filename: job.filename,
+            size: job.bytes,
+            release: delivered => {
+                job.fetching = false;
+                if (delivered) {
+                    job.state = 'fetched';
+                    this.deleteFile(job);
+                    this.publish(job);
+                }
+            }
+        };
+    }
+
+    remove(id) {
+        const job = this.get(id);
+        if (!job) return;
+        clearTimeout(job.expiryTimer);
+        this.deleteFile(job);
+        this.jobs.delete(id);
+        this.listeners.delete(id);
+    }
+
+    // listener(snapshot) is called on every change; returns an unsubscribe function
+    subscribe(id, listener) {
+        if (!this.listeners.has(id)) {
+            this.listeners.set(id, new Set());
+        }
+        this.listeners.get(id).add(listener);
+        return () => {
+            const listeners = this.listeners.get(id);
+            if (listeners) listeners.delete(listener);
+        };
+    }
+
+    publish(job) {
+        const listeners = this.listeners.get(job.id);
+        if (!listeners || listeners.size === 0) return;
+        const snapshot = this.snapshot(job);
+        listeners.forEach(listener => listener(snapshot));
+    }
+
+    // What clients see of a job; the CDN URL and owner stay on the server
+    snapshot(job) {
+        return {
+            id: job.id,
+            filename: job.filename,
+            state: job.state,
+            done: FINAL_STATES.has(job.state),
+            bytes: job.bytes,
+            total: job.total,
+            progress: job.total ? Math.min(1, job.bytes / job.total) : null,
+            speed: Math.round(job.speed),
+            eta: job.eta,
+            attempts: job.attempts,
+            error: job.error,
+            code: job.code,
+            createdAt: new Date(job.createdAt).toISOString(),
+            finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+        };
+    }
+
+    stats() {
+        const states = {};
+        this.jobs.forEach(job => {
+            states[job.state] = (states[job.state] || 0) + 1;
+        });
+        return { jobs: this.jobs.size, running: this.running, queued: this.queue.length, concurrency: this.concurrency, states: states };
+    }
+
+    prepare() {
+        if (!this.ready) {
+            this.ready = fs.promises.mkdir(this.directory, { recursive: true }).catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    filePath(job) {
+        return path.join(this.directory, `${job.id}.part`);
+    }
+
+    deleteFile(job) {
+        return fs.promises.rm(this.filePath(job), { force: true }).catch(error => {
+            console.error(`Could not delete download job file ${job.id}:`, error.message);
+        });
+    }
+
+    // Cancel every job and delete their files
+    async close() {
+        const jobs = Array.from(this.jobs.keys());
+        jobs.forEach(id => this.cancel(id));
+        await Promise.all(jobs.map(id => this.deleteFile(this.jobs.get(id))));
+        jobs.forEach(id => this.remove(id));
+    }
+}
+
+module.exports = { DownloadJobManager, DownloadJobError };
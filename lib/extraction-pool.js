@@ -0,0 +1,206 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'extraction-worker.js');
+
+// Raised when a job is refused, runs too long, is cancelled or loses its
+// worker. `code` is QUEUE_FULL, TIMEOUT, CANCELLED or WORKER_EXITED.
+class ExtractionPoolError extends Error {
+    constructor(message, code, status = 503) {
+        super(message);
+        this.name = 'ExtractionPoolError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// Runs extraction tasks from lib/extraction-worker.js on worker threads so a
+// large page never blocks the event loop. Each worker takes one job at a
+// time; a job that runs past `timeout` or is cancelled while running has its
+// worker terminated (the only way to stop a synchronous regex) and replaced.
+class ExtractionPool {
+    constructor(options = {}) {
+        this.size = options.size || 2;
+        this.timeout = options.timeout || 30 * 1000;
+        this.maxQueue = options.maxQueue === undefined ? 20 : options.maxQueue;
+        this.script = options.script || WORKER_SCRIPT;
+
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.nextId = 1;
+        this.counts = { completed: 0, failed: 0, timedOut: 0, cancelled: 0, rejected: 0 };
+    }
+
+    // Resolves with the task's result. options.signal (an AbortSignal)
+    // cancels the job, whether it is still queued or already running.
+    run(task, input, options = {}) {
+        const signal = options.signal;
+        if (signal && signal.aborted) {
+            this.counts.cancelled++;
+            return Promise.reject(new ExtractionPoolError('Extraction cancelled', 'CANCELLED', 499));
+        }
+
+        if (this.idle.length === 0 && this.workers.length >= this.size && this.queue.length >= this.maxQueue) {
+            this.counts.rejected++;
+            return Promise.reject(new ExtractionPoolError('The server is busy extracting other pages. Please try again in a moment.', 'QUEUE_FULL'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { id: this.nextId++, task: task, input: input, resolve: resolve, reject: reject, signal: signal };
+
+            if (signal) {
+                job.onAbort = () => this.cancel(job);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            let worker = this.idle.pop();
+            if (!worker) {
+                if (this.workers.length >= this.size) return;
+                worker = this.spawn();
+            }
+            this.start(worker, this.queue.shift());
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(this.script);
+        worker.unref();
+
+        worker.on('message', message => {
+            const job = worker.job;
+            if (!job || message.id !== job.id) return;
+
+            this.finish(worker, job);
+            if (message.error) {
+                this.counts.failed++;
+                const error = new Error(message.error.message);
+                error.name = message.error.name;
+                job.reject(error);
+            } else {
+                this.counts.completed++;
+                job.resolve(message.result);
+            }
+            this.release(worker);
+        });
+
+        // A crashed worker (for example out of memory) fails its job and is replaced
+        worker.on('error', error => {
+            const job = worker.job;
+            this.remove(worker);
+            if (job) {
+                this.finish(worker, job);
+                this.counts.failed++;
+                job.reject(error);
+            }
+            this.dispatch();
+        });
+
+        // A worker that exits without an 'error' (process.exit, killed by
+        // the OS) would otherwise leave its job waiting forever
+        worker.on('exit', code => {
+            const job = worker.job;
+            this.remove(worker);
+            if (job) {
+                this.finish(worker, job);
+                this.counts.failed++;
+                job.reject(new ExtractionPoolError(`The extraction stopped unexpectedly (exit code ${code}). Please try again.`, 'WORKER_EXITED', 500));
+            }
+            this.dispatch();
+        });
+
+        this.workers.push(worker);
+        return worker;
+    }
+
+    start(worker, job) {
+        worker.job = job;
+        // Keep the process alive only while the worker has something to do
+        worker.ref();
+        job.timer = setTimeout(() => {
+            this.counts.timedOut++;
+            this.abort(worker, job, new ExtractionPoolError('Extraction took too long and was stopped. Try a smaller page.', 'TIMEOUT', 504));
+        }, this.timeout);
+        worker.postMessage({ id: job.id, task: job.task, input: job.input });
+    }
+
+    // Stop listening for the job's timeout and cancellation
+    finish(worker, job) {
+        clearTimeout(job.timer);
+        if (job.onAbort) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+        worker.job = null;
+    }
+
+    release(worker) {
+        worker.unref();
+        if (this.workers.includes(worker)) {
+            this.idle.push(worker);
+        }
+        this.dispatch();
+    }
+
+    cancel(job) {
+        this.counts.cancelled++;
+        const index = this.queue.indexOf(job);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+            job.reject(new ExtractionPoolError('Extraction cancelled', 'CANCELLED', 499));
+            return;
+        }
+
+        const worker = this.workers.find(candidate => candidate.job === job);
+        if (worker) {
+            this.abort(worker, job, new ExtractionPoolError('Extraction cancelled', 'CANCELLED', 499));
+        }
+    }
+
+    // Terminate the worker running `job`; dispatch() spawns a new one when needed
+    abort(worker, job, error) {
+        this.finish(worker, job);
+        this.remove(worker);
+        job.reject(error);
+        worker.terminate();
+        this.dispatch();
+    }
+
+    remove(worker) {
+        this.workers = this.workers.filter(candidate => candidate !== worker);
+        this.idle = this.idle.filter(candidate => candidate !== worker);
+    }
+
+    stats() {
+        return {
+            workers: this.workers.length,
+            size: this.size,
+            active: this.workers.filter(worker => worker.job).length,
+            queued: this.queue.length,
+            maxQueue: this.maxQueue,
+            ...this.counts
+        };
+    }
+
+    // Stop every worker; queued jobs are rejected
+    async close() {
+        this.queue.splice(0).forEach(job => {
+            if (job.onAbort) {
+                job.signal.removeEventListener('abort', job.onAbort);
+            }
+            job.reject(new ExtractionPoolError('Extraction pool closed', 'CANCELLED'));
+        });
+        const workers = this.workers;
+        this.workers = [];
+        this.idle = [];
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+}
+
+module.exports = { ExtractionPool, ExtractionPoolError };
@@ -0,0 +1,22 @@
+const { parentPort } = require('worker_threads');
+const { scanFacebookPage, scanGraphqlResponse } = require('./facebook-extractor');
+const { scanHarFile } = require('./har-import');
+
+// Runs one extraction job at a time for lib/extraction-pool.js. Messages in
+// are { id, task, input }; messages out are { id, result } or { id, error }.
+const tasks = {
+    facebook: scanFacebookPage,
+    graphql: scanGraphqlResponse,
+    har: scanHarFile
+};
+
+parentPort.on('message', ({ id, task, input }) => {
+    try {
+        if (!tasks[task]) {
+            throw new Error(`Unknown extraction task "${task}"`);
+        }
+        parentPort.postMessage({ id: id, result: tasks[task](input) });
+    } catch (error) {
+        parentPort.postMessage({ id: id, error: { name: error.name, message: error.message } });
+    }
+});
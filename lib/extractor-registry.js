@@ -0,0 +1,95 @@
+const { hostMatches } = require('./page-fetcher');
+
+// Thrown by extractors for input they understand but cannot use (e.g. an
+// unplayable video). The message is safe to show to the user.
+class ExtractionError extends Error {
+    constructor(message, status = 422) {
+        super(message);
+        this.name = 'ExtractionError';
+        this.status = status;
+    }
+}
+
+// Platforms register themselves here with their detection rules and an
+// extract() entry point. A platform is a plain object:
+//
+//   {
+//       name: 'youtube',                 // value of the response `platform` field
+//       label: 'YouTube',                // used in messages
+//       hosts: ['youtube.com'],          // page hosts (subdomains match too)
+//       markers: ['ytInitialPlayerResponse', /"streamingData"/],
+//       urlHint: 'Use a youtube.com/watch URL.',
+//       resolveUrl(url) { ... },         // canonical page URL to fetch, or null
+//       fetcher: 'youtubeFetcher',       // app setting holding its PageFetcher
+//       async extract(source, context) { ... }  // -> { videos, count, message, ... }
+//   }
+//
+// context is { fetcher, sourceUrl, signal }; signal is an AbortSignal that
+// fires when the client disconnects.
+class ExtractorRegistry {
+    constructor() {
+        this.platforms = new Map();
+    }
+
+    register(platform) {
+        if (!platform || !platform.name || typeof platform.extract !== 'function') {
+            throw new TypeError('A platform needs a name and an extract() function');
+        }
+        if (this.platforms.has(platform.name)) {
+            throw new Error(`Platform "${platform.name}" is already registered`);
+        }
+
+        this.platforms.set(platform.name, {
+            label: platform.name,
+            hosts: [],
+            markers: [],
+            ...platform
+        });
+        return this;
+    }
+
+    get(name) {
+        return this.platforms.get(name) || null;
+    }
+
+    names() {
+        return Array.from(this.platforms.keys());
+    }
+
+    // Platform whose hosts match the URL's hostname, or null
+    detectUrl(url) {
+        let hostname;
+        try {
+            hostname = new URL(String(url).trim()).hostname.toLowerCase();
+        } catch {
+            return null;
+        }
+
+        for (const platform of this.platforms.values()) {
+            if (hostMatches(hostname, platform.hosts)) {
+                return platform;
+            }
+        }
+        return null;
+    }
+
+    // Platform with the most matching markers in pasted source, or null.
+    // Ties go to the platform registered first.
+    detectSource(text) {
+        let best = null;
+        let bestScore = 0;
+
+        for (const platform of this.platforms.values()) {
+            const score = platform.markers.filter(marker =>
+                marker instanceof RegExp ? marker.test(text) : text.includes(marker)).length;
+
+            if (score > bestScore) {
+                best = platform;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+}
+
+module.exports = { ExtractorRegistry, ExtractionError };
@@ -0,0 +1,774 @@
+const { DashManifestParser } = require('./dash-manifest');
+const { FacebookMetadataExtractor } = require('./facebook-metadata');
+const { FacebookPayloadParser } = require('./facebook-payloads');
+const { ScanRules } = require('./page-scanner');
+const { qualityFromHeight, formatBytes, describeContentType, cdnUrlExpiry } = require('./video-utils');
+
+// Properties whose value is a video file URL in Facebook's page data
+const VIDEO_KEYS = new Set([
+    'hd_src', 'sd_src', 'hd_src_no_ratelimit', 'sd_src_no_ratelimit',
+    'playable_url', 'playable_url_quality_hd', 'browser_native_hd_url', 'browser_native_sd_url',
+    'playback_url', 'video_url', 'videoUrl', 'videoSrc', 'playbackUrl', 'download_url'
+]);
+
+const DASH_KEYS = new Set(['dash_manifest', 'manifest_xml']);
+
+// Rules for the single-pass page scan (see lib/page-scanner.js). Hooks get
+// the extractor as their context. IDs are stable and show up in the logs;
+// add new rules here rather than depending on their order.
+const FACEBOOK_RULES = [
+    {
+        // DASH manifests rank first so their tracks keep the real stream info
+        id: 'facebook.dash-manifest',
+        priority: 100,
+        match(token, extractor) {
+            if (token.type !== 'string' || !DASH_KEYS.has(token.key)) return null;
+            token.dash = extractor.parseDashManifest(token.value);
+            if (!token.dash) return null;
+            return extractor.playableRepresentations(token.dash).map(rep => extractor.decodeUrl(rep.url));
+        },
+        validate: () => true,
+        create(url, token, extractor) {
+            const rep = token.dash.representations.find(candidate => extractor.decodeUrl(candidate.url) === url);
+            return extractor.createDashVideoObject(rep, token.dash.duration);
+        }
+    },
+    {
+        // JSON strings with escaped slashes pointing at an scontent .mp4. These
+        // are accepted without the strict URL check: some real files carry
+        // "dash" in their tag parameter, which isValidVideoUrl rejects.
+        id: 'facebook.escaped-cdn-string',
+        priority: 90,
+        match(token, extractor) {
+            if (token.type !== 'string' || token.raw.indexOf('\\/\\/') === -1 || token.raw.indexOf('.mp4') === -1) return null;
+            const url = extractor.decodeUrl(token.value);
+            return url.includes('scontent') ? url : null;
+        },
+        validate: (url, token, extractor) => extractor.isCandidateUrl(url)
+    },
+    {
+        id: 'facebook.video-key',
+        priority: 80,
+        match: (token, extractor) => (token.type === 'string' && VIDEO_KEYS.has(token.key) ? extractor.decodeUrl(token.value) : null)
+    },
+    {
+        // <video src>, <source src> and lazy-loaded data-src attributes
+        id: 'html.video-attribute',
+        priority: 70,
+        match(token, extractor) {
+            if (token.context !== 'attribute' || (token.key !== 'src' && token.key !== 'data-src')) return null;
+            return token.raw.indexOf('.mp4') !== -1 ? extractor.decodeUrl(token.value) : null;
+        }
+    },
+    {
+        // Any other quoted .mp4 URL: "src", "source", progressive lists, JSON-LD
+        id: 'json.mp4-string',
+        priority: 50,
+        match: (token, extractor) => (token.type === 'string' && token.raw.indexOf('.mp4') !== -1 ? extractor.decodeUrl(token.value) : null)
+    },
+    {
+        // Bare .mp4 URLs in page text or inside longer strings
+        id: 'text.mp4-url',
+        priority: 40,
+        match: (token, extractor) => (token.type === 'url' && token.raw.indexOf('.mp4') !== -1 ? extractor.decodeUrl(token.value) : null)
+    }
+];
+
+// Finds video URLs in a Facebook page's HTML. Everything in this module is
+// synchronous and CPU-bound; the server runs it in lib/extraction-worker.js.
+class FacebookVideoExtractor {
+    constructor() {
+        // Rules applied to the tokens of the single-pass page scan. A URL is
+        // kept when a rule matches it and it passes validation, by default the
+        // strict Facebook CDN check.
+        this.rules = new ScanRules({
+            validate: url => this.isCandidateUrl(url) && this.isValidVideoUrl(url),
+            create: url => this.createVideoObject(url)
+        });
+        FACEBOOK_RULES.forEach(rule => this.rules.add(rule));
+
+        this.qualityPatterns = [
+            { pattern: /hd|720p|1080p|high/i, quality: 'HD' },
+            { pattern: /sd|480p|medium/i, quality: 'SD' },
+            { pattern: /low|240p|360p/i, quality: 'Low' },
+            { pattern: /4k|2160p|ultra/i, quality: '4K' },
+            { pattern: /2k|1440p/i, quality: '2K' },
+        ];
+
+        this.dashParser = new DashManifestParser();
+        this.payloadParser = new FacebookPayloadParser();
+    }
+
+    // Videos from the page's JSON payloads first, then anything else the
+    // token scan finds. Pass `payload` when the caller already parsed it.
+    extractVideos(html, payload) {
+        try {
+            const videos = this.videosFromPayload(payload || this.payloadParser.extract(html));
+            const known = new Set(videos.map(video => this.decodeUrl(video.url)));
+
+            const { matches, counts } = this.rules.run(html, this);
+            Object.keys(counts).forEach(id => console.log(`Rule ${id} matched ${counts[id]} URL(s)`));
+
+            matches.forEach(match => {
+                if (!known.has(match.url)) {
+                    known.add(match.url);
+                    videos.push(match.item);
+                }
+            });
+            console.log(`Final video count: ${videos.length}`);
+
+            // Sort videos by quality (HD first)
+            return this.sortVideosByQuality(videos);
+
+        } catch (error) {
+            console.error('Video extraction error:', error);
+            throw new Error('Failed to parse the source code. Please ensure you copied the complete HTML source.');
+        }
+    }
+
+    // Video objects for the video nodes of lib/facebook-payloads.js. Their
+    // URLs and video IDs come straight from the node, so they skip the URL
+    // heuristics apart from the basic candidate check.
+    videosFromPayload(payload) {
+        const videos = [];
+        const seen = new Set();
+        const add = (video, node) => {
+            const key = this.decodeUrl(video.url);
+            if (seen.has(key)) return;
+            seen.add(key);
+            video.videoId = node.id;
+            videos.push(video);
+        };
+
+        payload.nodes.forEach(node => {
+            node.urls.forEach(entry => {
+                const url = this.decodeUrl(entry.url);
+                if (!this.isCandidateUrl(url)) return;
+
+                const video = this.createVideoObject(url);
+                if (entry.quality && video.quality === 'Unknown Quality') {
+                    video.quality = entry.quality;
+                }
+                add(video, node);
+            });
+
+            const manifest = node.dashManifest ? this.parseDashManifest(node.dashManifest) : null;
+            if (manifest) {
+                this.playableRepresentations(manifest).forEach(rep => add(this.createDashVideoObject(rep, manifest.duration), node));
+            }
+        });
+
+        if (videos.length > 0) {
+            console.log(`Found ${videos.length} video file(s) in page payloads`);
+        }
+        return videos;
+    }
+
+    // Cheap checks every candidate passes before the stricter validation:
+    // an absolute http(s) URL, not a fragment of DASH manifest XML
+    isCandidateUrl(url) {
+        if (!url || url.length < 20) {
+            return false;
+        }
+        if (url.includes('<') || url.includes('>') || url.includes('BaseURL') ||
+            url.includes('SegmentBase') || url.includes('indexRange')) {
+            return false;
+        }
+        return url.startsWith('http://') || url.startsWith('https://');
+    }
+
+    decodeUrl(url) {
+        if (!url || typeof url !== 'string') {
+            return '';
+        }
+        
+        try {
+            // Handle quoted URLs - remove quotes first
+            url = url.replace(/^["']|["']$/g, '');
+            
+            // Clean XML/DASH manifest tags that might be present
+            url = url.replace(/^[^h]*<BaseURL>/gi, '');  // Remove everything before <BaseURL> including the tag
+            url = url.replace(/<\/BaseURL>.*/gi, '');    // Remove </BaseURL> and everything after
+            url = url.replace(/><BaseURL>/gi, '');        // Remove ><BaseURL> fragments
+            url = url.replace(/<[^>]+>/g, '');            // Remove any remaining XML tags
+            
+            // Decode URL-encoded characters
+            url = decodeURIComponent(url.replace(/\\/g, ''));
+            
+            // Clean up common Facebook URL encoding issues
+            url = url.replace(/\\u002F/g, '/');
+            url = url.replace(/\\\//g, '/');
+            
+            // Final cleanup - trim whitespace
+            url = url.trim();
+            
+            return url;
+        } catch (error) {
+            // If decoding fails, return the original URL with basic cleanup
+            return url.replace(/\\/g, '').replace(/^["']|["']$/g, '').trim();
+        }
+    }
+
+    isValidVideoUrl(url) {
+        if (!url || typeof url !== 'string') {
+            return false;
+        }
+        
+        // Basic length check - real videos have much longer URLs
+        if (url.length < 200) {  // Real Facebook video URLs are very long
+            return false;
+        }
+        
+        // Check if it starts with http/https
+        if (!url.startsWith('http://') && !url.startsWith('https://')) {
+            return false;
+        }
+        
+        // Check if it's a valid URL format
+        try {
+            new URL(url);
+        } catch {
+            console.log('❌ Malformed URL:', url.substring(0, 100));
+            return false;
+        }
+
+        // Must be a .mp4 file
+        if (!url.includes('.mp4')) {
+            return false;
+        }
+
+        // Check for Facebook-specific video indicators - very strict
+        const hasFacebookVideoIndicator = (
+            // Must be from Facebook CDN (scontent)
+            (url.includes('scontent') && url.includes('.fna.fbcdn.net')) &&
+            
+            // Must have video path structure
+            (url.includes('/o1/v/') || url.includes('/o2/v/')) &&
+            
+            // Must end with .mp4 and have parameters
+            url.includes('.mp4?') &&
+            
+            // Must have proper Facebook parameters that indicate it's a real video
+            (url.includes('_nc_cat=') || url.includes('&_nc_cat=')) &&
+            
+            // Must have a long hash (real videos have 40+ character hashes before .mp4)
+            /[A-Za-z0-9_-]{40,}\.mp4/.test(url)
+        );
+        
+        // Also check for DASH manifests and segments to exclude
+        const isDashOrSegment = (
+            url.includes('.mpd') ||
+            url.includes('segment') ||
+            url.includes('manifest') ||
+            url.includes('init.mp4') ||
+            url.includes('dash')
+        );
+        
+        if (isDashOrSegment) {
+            console.log('❌ URL rejected (DASH/segment):', url.substring(0, 100));
+            return false;
+        }
+        
+        if (hasFacebookVideoIndicator) {
+            console.log('✅ Valid Facebook video URL found:', url.substring(0, 200) + '...');
+            return true;
+        } else {
+            console.log('❌ URL rejected (not a complete Facebook video):', url.substring(0, 100));
+            return false;
+        }
+    }
+
+    createVideoObject(url) {
+        const quality = this.detectQuality(url);
+        const type = this.detectType(url);
+        const contentType = this.detectContentType(url);
+        const expiry = cdnUrlExpiry(url);
+        
+        return {
+            url: url,
+            quality: quality,
+            type: type,
+            size: this.estimateSize(quality),
+            contentType: contentType,
+            hasVideo: contentType.hasVideo,
+            hasAudio: contentType.hasAudio,
+            resolution: this.detectResolution(url),
+            thumbnail: this.generateThumbnail(url),
+            // fbcdn links stop working at their oe= timestamp
+            expiresAt: expiry ? new Date(expiry).toISOString() : null
+        };
+    }
+
+    detectQuality(url) {
+        for (const { pattern, quality } of this.qualityPatterns) {
+            if (pattern.test(url)) {
+                return quality;
+            }
+        }
+        
+        // Default quality detection based on common patterns
+        if (url.includes('hd') || url.includes('720') || url.includes('1080')) {
+            return 'HD';
+        } else if (url.includes('sd') || url.includes('480')) {
+            return 'SD';
+        }
+        
+        return 'Unknown Quality';
+    }
+
+    detectType(url) {
+        if (url.includes('.mp4')) return 'MP4';
+        if (url.includes('.m4v')) return 'M4V';
+        if (url.includes('.mov')) return 'MOV';
+        if (url.includes('dash')) return 'DASH';
+        return 'MP4'; // Default
+    }
+
+    estimateSize(quality) {
+        const sizeMap = {
+            '4K': '~500MB',
+            '2K': '~200MB',
+            'HD': '~100MB',
+            'SD': '~50MB',
+            'Low': '~20MB'
+        };
+        return sizeMap[quality] || 'Unknown';
+    }
+
+    // Initial guess from the URL; replaced by applyProbeResult once the file is probed
+    detectContentType(url) {
+        // Analyze Facebook video URL patterns to determine content type
+        const hasVideo = true; // Most Facebook URLs are video
+        
+        // m69 is Facebook's format code for lower quality, often video-only, files
+        const hasAudio = !url.includes('/m69/');
+        
+        return {
+            hasVideo: hasVideo,
+            hasAudio: hasAudio,
+            description: describeContentType(hasVideo, hasAudio),
+            probed: false
+        };
+    }
+
+    // Replace URL-based guesses with the real track layout read by Mp4Probe
+    applyProbeResult(video, result) {
+        const videoTrack = result.tracks.find(track => track.type === 'video');
+        const audioTrack = result.tracks.find(track => track.type === 'audio');
+        const hasVideo = !!videoTrack;
+        const hasAudio = !!audioTrack;
+
+        video.hasVideo = hasVideo;
+        video.hasAudio = hasAudio;
+        video.contentType = {
+            hasVideo: hasVideo,
+            hasAudio: hasAudio,
+            description: describeContentType(hasVideo, hasAudio),
+            probed: true
+        };
+
+        if (videoTrack && videoTrack.width && videoTrack.height) {
+            video.resolution = `${videoTrack.width}x${videoTrack.height}`;
+            video.quality = qualityFromHeight(Math.min(videoTrack.width, videoTrack.height));
+        } else if (!hasVideo && hasAudio) {
+            video.quality = 'Audio';
+            video.resolution = 'Audio';
+        }
+
+        if (result.size) {
+            video.size = formatBytes(result.size);
+            video.bytes = result.size;
+        }
+
+        video.duration = result.duration || video.duration;
+        video.codecs = result.tracks.map(track => track.codec).filter(Boolean);
+        return video;
+    }
+
+
+    detectResolution(url) {
+        // Extract resolution information from Facebook URLs
+        if (url.includes('1080') || url.includes('hd')) return '1080p';
+        if (url.includes('720')) return '720p';
+        if (url.includes('480')) return '480p';
+        if (url.includes('360')) return '360p';
+        
+        // Facebook format-based resolution detection
+        if (url.includes('/m78/')) return '720p+'; // Higher quality
+        if (url.includes('/m412/')) return '1080p+'; // High quality
+        if (url.includes('/m366/')) return '480p'; // Medium quality  
+        if (url.includes('/m69/')) return '360p'; // Lower quality
+        
+        return 'Auto';
+    }
+
+    generateThumbnail(url) {
+        // For Facebook videos, we can't easily generate thumbnails from the URL.
+        // attachMetadata fills in the post's thumbnail from the page source.
+        return null;
+    }
+
+    // Extract base video ID with more aggressive grouping
+    extractBaseVideoId(url) {
+        // Method 1: Extract the main hash (usually 40+ characters)
+        const hashMatch = url.match(/\/([A-Za-z0-9_-]{40,})\./);
+        if (hashMatch) {
+            // Take only first 30 characters to group similar videos
+            return hashMatch[1].substring(0, 30);
+        }
+        
+        // Method 2: Extract from different URL patterns
+        const pathMatch = url.match(/\/f2\/([A-Za-z0-9_-]+)/);
+        if (pathMatch) {
+            return pathMatch[1];
+        }
+        
+        // Fallback: use filename without extension
+        const filename = url.split('/').pop().split('?')[0].split('.')[0];
+        return filename.substring(0, 20);
+    }
+
+    // Select best video from a group
+    selectBestVideoFromGroup(group) {
+        // Filter for videos with audio+video
+        const validVideos = group.filter(video => {
+            const contentType = this.analyzeContentType(video.url);
+            return contentType.hasVideo && contentType.hasAudio && contentType.quality !== 'low';
+        });
+        
+        if (validVideos.length === 0) return null;
+        
+        // Sort by quality score
+        validVideos.sort((a, b) => {
+            const scoreA = this.getQualityScore(a.url);
+            const scoreB = this.getQualityScore(b.url);
+            return scoreB - scoreA;
+        });
+        
+        return validVideos[0];
+    }
+
+    // More accurate content type analysis
+    analyzeContentType(url) {
+        // Facebook format codes analysis
+        // m412 = High quality video with audio (720p-1080p)
+        // m366 = Standard quality video with audio (360p-480p)  
+        // m78 = Audio optimized version
+        // m69 = Lower quality or segments
+        
+        const highQualityVideoAudio = /\/m(412|540|720|1080)/;
+        const standardQualityVideoAudio = /\/m366/;
+        const audioOptimized = /\/m78/;
+        const lowerQuality = /\/m69/;
+        
+        if (highQualityVideoAudio.test(url)) {
+            return {
+                hasVideo: true,
+                hasAudio: true,
+                quality: 'high',
+                description: 'High Quality Video + Audio'
+            };
+        }
+        
+        if (standardQualityVideoAudio.test(url)) {
+            return {
+                hasVideo: true,
+                hasAudio: true,
+                quality: 'standard',
+                description: 'Standard Quality Video + Audio'
+            };
+        }
+        
+        if (audioOptimized.test(url)) {
+            return {
+                hasVideo: true,
+                hasAudio: true,
+                quality: 'audio-optimized',
+                description: 'Audio Optimized Video'
+            };
+        }
+        
+        if (lowerQuality.test(url)) {
+            // m69 might be video-only segments or lower quality
+            return {
+                hasVideo: true,
+                hasAudio: false,
+                quality: 'low',
+                description: 'Video Only (Low Quality)'
+            };
+        }
+        
+        // Default for Facebook videos
+        return {
+            hasVideo: true,
+            hasAudio: true,
+            quality: 'unknown',
+            description: 'Video + Audio'
+        };
+    }
+
+    // Get quality score for sorting (higher is better)
+    getQualityScore(url) {
+        if (/\/m(412|540|720|1080)/.test(url)) return 100; // High quality
+        if (/\/m366/.test(url)) return 80; // Standard quality
+        if (/\/m78/.test(url)) return 60; // Audio optimized
+        if (/\/m69/.test(url)) return 20; // Lower quality
+        
+        // Check for explicit quality indicators
+        if (url.includes('1080') || url.includes('hd')) return 90;
+        if (url.includes('720')) return 85;
+        if (url.includes('480')) return 70;
+        if (url.includes('360')) return 50;
+        
+        return 40; // Default
+    }
+
+    // Video-only and audio-only tracks of an embedded DASH manifest, or null
+    parseDashManifest(manifest) {
+        try {
+            return this.dashParser.parse(manifest);
+        } catch (error) {
+            console.error('DASH manifest parsing error:', error.message);
+            return null;
+        }
+    }
+
+    // Representations with a known kind and an absolute URL
+    playableRepresentations(manifest) {
+        return manifest.representations.filter(rep => rep.kind !== 'unknown' && rep.url.startsWith('http'));
+    }
+
+    createDashVideoObject(rep, duration) {
+        const hasVideo = rep.kind === 'video';
+        const hasAudio = rep.kind === 'audio';
+        const shortSide = rep.width && rep.height ? Math.min(rep.width, rep.height) : rep.height;
+        const quality = hasVideo ? qualityFromHeight(shortSide) : 'Audio';
+
+        return {
+            url: rep.url,
+            quality: quality,
+            type: 'DASH',
+            size: this.sizeFromBandwidth(rep.bandwidth, duration) || this.estimateSize(quality),
+            contentType: {
+                hasVideo: hasVideo,
+                hasAudio: hasAudio,
+                description: hasVideo ? 'Video Only' : 'Audio Only'
+            },
+            hasVideo: hasVideo,
+            hasAudio: hasAudio,
+            resolution: hasVideo && rep.height ? `${rep.width}x${rep.height}` : (rep.qualityLabel || 'Audio'),
+            thumbnail: null,
+            dash: {
+                representationId: rep.id,
+                kind: rep.kind,
+                mimeType: rep.mimeType,
+                codecs: rep.codecs,
+                width: rep.width,
+                height: rep.height,
+                bandwidth: rep.bandwidth,
+                frameRate: rep.frameRate,
+                audioSamplingRate: rep.audioSamplingRate,
+                initRange: rep.initRange,
+                indexRange: rep.indexRange,
+                duration: duration
+            }
+        };
+    }
+
+    sizeFromBandwidth(bandwidth, duration) {
+        if (!bandwidth || !duration) return null;
+        const megabytes = (bandwidth / 8) * duration / (1024 * 1024);
+        return megabytes >= 1 ? `~${Math.round(megabytes)}MB` : `~${Math.max(1, Math.round(megabytes * 1024))}KB`;
+    }
+
+    // Split DASH entries into separate video and audio track lists, best first
+    groupDashTracks(videos) {
+        const byBandwidth = (a, b) => (b.dash.bandwidth || 0) - (a.dash.bandwidth || 0);
+        const dashVideos = videos.filter(video => video.dash);
+
+        return {
+            video: dashVideos.filter(video => video.dash.kind === 'video').sort(byBandwidth),
+            audio: dashVideos.filter(video => video.dash.kind === 'audio').sort(byBandwidth)
+        };
+    }
+
+    // Group the quality variants of each clip by Facebook video ID, falling
+    // back to the URL hash when the page did not tie a URL to an ID. Each
+    // group carries its quality ladder (best first) and a recommended default.
+    groupVariants(videos) {
+        const groups = new Map();
+
+        videos.forEach(video => {
+            const key = video.videoId || `hash:${this.extractBaseVideoId(video.url)}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(video);
+        });
+
+        return Array.from(groups.values()).map(variants => {
+            const ladder = this.sortQualityLadder(variants);
+            const recommended = this.recommendVariant(ladder);
+            const withMetadata = ladder.find(video => video.metadata) || ladder[0];
+
+            return {
+                videoId: withMetadata.videoId || null,
+                title: withMetadata.title || null,
+                author: withMetadata.author || null,
+                thumbnail: withMetadata.thumbnail || null,
+                duration: recommended.duration || withMetadata.duration || null,
+                metadata: withMetadata.metadata || null,
+                variants: ladder,
+                recommended: ladder.indexOf(recommended),
+                tracks: this.groupDashTracks(ladder)
+            };
+        });
+    }
+
+    // Video + audio files first, then video-only, then audio-only; each by
+    // resolution and then bitrate or size
+    sortQualityLadder(variants) {
+        const rank = video => (video.hasVideo && video.hasAudio ? 0 : video.hasVideo ? 1 : 2);
+        const bitrate = video => (video.dash && video.dash.bandwidth) || video.bytes || 0;
+
+        return variants.slice().sort((a, b) =>
+            rank(a) - rank(b) ||
+            this.pixelCount(b) - this.pixelCount(a) ||
+            bitrate(b) - bitrate(a) ||
+            this.getQualityScore(b.url) - this.getQualityScore(a.url));
+    }
+
+    pixelCount(video) {
+        const size = /^(\d+)x(\d+)$/.exec(video.resolution || '');
+        if (size) {
+            return parseInt(size[1], 10) * parseInt(size[2], 10);
+        }
+
+        // URL-based guesses such as "720p" or "1080p+"
+        const lines = /^(\d+)p/.exec(video.resolution || '');
+        return lines ? Math.round(parseInt(lines[1], 10) * parseInt(lines[1], 10) * 16 / 9) : 0;
+    }
+
+    // The best file that plays with sound on its own
+    recommendVariant(ladder) {
+        return ladder.find(video => video.hasVideo && video.hasAudio) ||
+               this.selectBestVideoFromGroup(ladder) ||
+               ladder[0];
+    }
+
+    sortVideosByQuality(videos) {
+        const qualityOrder = { '4K': 0, '2K': 1, 'HD': 2, 'SD': 3, 'Low': 4, 'Unknown Quality': 5 };
+        
+        return videos.sort((a, b) => {
+            const aOrder = qualityOrder[a.quality] || 5;
+            const bOrder = qualityOrder[b.quality] || 5;
+            return aOrder - bOrder;
+        });
+    }
+}
+
+const extractor = new FacebookVideoExtractor();
+const metadataExtractor = new FacebookMetadataExtractor();
+
+// Attach the post metadata (title, author, caption, duration, thumbnail,
+// publish date) of each video's Facebook video ID. Videos tied to a parsed
+// video node, directly or through the efg video ID in their URL, take that
+// node's metadata; the proximity heuristics only run for the rest.
+function attachMetadata(videos, html, nodes = new Map()) {
+    const nodeFor = video => nodes.get(video.videoId || metadataExtractor.videoIdFromUrl(video.url));
+    const unlinked = videos.filter(video => !nodeFor(video));
+    const result = unlinked.length > 0 ? metadataExtractor.extract(html) : null;
+    const page = result ? result.page : metadataExtractor.extractPageMetadata(html);
+
+    videos.forEach(video => {
+        const node = nodeFor(video);
+        const metadata = node
+            ? metadataExtractor.fromNode(node, page)
+            : metadataExtractor.metadataFor(video.url, html, result);
+        video.metadata = metadata;
+        video.videoId = metadata.videoId;
+        video.title = metadata.title;
+        video.author = metadata.author;
+        video.thumbnail = video.thumbnail || metadata.thumbnail;
+        video.duration = video.duration || metadata.duration;
+    });
+
+    console.log(`Linked ${videos.length - unlinked.length} video(s) to page payload nodes, ${unlinked.length} by page text`);
+    return videos;
+}
+
+// Whether an extracted URL is a Facebook video rather than other media on the page
+function isFacebookVideo(video) {
+    // Check if the URL has Facebook-specific indicators
+    const isFacebookVideo = video.url.includes('facebook.com') || 
+                           video.url.includes('fbcdn.net') || 
+                           video.url.includes('scontent') ||
+                           video.url.includes('fbvideo');
+                           
+    // Check for Facebook-specific URL structures (like video IDs, formats, etc.)
+    const hasFacebookStructure = video.url.includes('?') && 
+                               (video.url.includes('dlid=') || 
+                                video.url.includes('format=') || 
+                                video.url.includes('quality=') ||
+                                video.url.includes('v/') ||
+                                video.url.includes('/v/') ||
+                                video.url.includes('/videos/'));
+    
+    // Accept if it's clearly a Facebook video URL
+    return isFacebookVideo || hasFacebookStructure;
+}
+
+// The CPU-heavy part of /extract-videos: find, filter and label the videos in
+// a page. Returns { videos, totalFound, fallback }; `fallback` is true when
+// the videos came from the plain scontent .mp4 search.
+function scanFacebookPage(html) {
+    const payload = extractor.payloadParser.extract(html);
+    const videos = extractor.extractVideos(html, payload);
+    const facebookVideos = videos.filter(isFacebookVideo);
+
+    console.log(`Facebook video filtering: ${facebookVideos.length} videos from ${videos.length} total`);
+
+    if (facebookVideos.length > 0) {
+        console.log(`Found ${facebookVideos.length} Facebook video(s) after filtering`);
+        return { videos: attachMetadata(facebookVideos, html, payload.nodes), totalFound: videos.length, fallback: false };
+    }
+
+    // If no Facebook videos found, try a more specific search for Facebook video patterns in the source
+    console.log('No Facebook videos found with initial extraction, trying more specific patterns...');
+
+    const fbVideoPattern = /(?:"|')(https?:\/\/[^"']*scontent[^"']*\.mp4[^"']*)(?:"|')/gi;
+    let match;
+    const additionalUrls = new Set();
+
+    while ((match = fbVideoPattern.exec(html)) !== null) {
+        const url = extractor.decodeUrl(match[1]);
+        if (extractor.isValidVideoUrl(url)) {
+            additionalUrls.add(url);
+        }
+    }
+
+    const additionalVideos = Array.from(additionalUrls).map(url => extractor.createVideoObject(url));
+    if (additionalVideos.length > 0) {
+        console.log(`Found ${additionalVideos.length} additional Facebook videos via specific pattern matching`);
+        attachMetadata(additionalVideos, html, payload.nodes);
+    }
+
+    return { videos: additionalVideos, totalFound: videos.length, fallback: true };
+}
+
+// scanFacebookPage for a raw GraphQL response body (JSON or NDJSON copied
+// from the network tab). There is no page text to scan, so the videos are
+// those of the response's video nodes. Returns { videos, totalFound,
+// fallback, chunks }.
+function scanGraphqlResponse(text) {
+    const payload = extractor.payloadParser.extractJson(text);
+    console.log(`Found ${payload.nodes.size} video node(s) in ${payload.chunks} GraphQL chunk(s)`);
+
+    const videos = extractor.videosFromPayload(payload);
+    if (videos.length > 0) {
+        attachMetadata(videos, '', payload.nodes);
+    }
+    return { videos: extractor.sortVideosByQuality(videos), totalFound: videos.length, fallback: false, chunks: payload.chunks };
+}
+
+module.exports = { FacebookVideoExtractor, attachMetadata, scanFacebookPage, scanGraphqlResponse };
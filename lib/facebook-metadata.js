@@ -0,0 +1,241 @@
+const cheerio = require('cheerio');
+
+// Matches a JSON string body, e.g. the ((?:...)*) group in "name":"..."
+const JSON_STRING = '((?:[^"\\\\]|\\\\.)*)';
+
+// Post metadata from Facebook page source: Open Graph tags for the page and,
+// per video ID, the fields Relay embeds around each video node. Fields are
+// matched by proximity to the video ID, so each field is taken from the
+// occurrence nearest to one of that ID's anchors.
+class FacebookMetadataExtractor {
+    constructor(options = {}) {
+        // How far from a video ID anchor a field may be and still belong to it
+        this.window = options.window || 5000;
+
+        this.anchorPatterns = [
+            /"videoId":"(\d{6,})"/g,
+            /"video_id":"(\d{6,})"/g,
+            /"__typename":"Video","id":"(\d{6,})"/g,
+            /"id":"(\d{6,})","__typename":"Video"/g,
+            /"id":"(\d{6,})","is_video":true/g
+        ];
+
+        this.fieldPatterns = {
+            title: [
+                new RegExp(`"title":\\{"text":"${JSON_STRING}"`, 'g'),
+                new RegExp(`"video_title":"${JSON_STRING}"`, 'g')
+            ],
+            caption: [
+                new RegExp(`"message":\\{"text":"${JSON_STRING}"`, 'g'),
+                new RegExp(`"savable_description":\\{"text":"${JSON_STRING}"`, 'g')
+            ],
+            author: [
+                new RegExp(`"(?:owner|video_owner|owner_as_page)":\\{[^{}]*?"name":"${JSON_STRING}"`, 'g')
+            ],
+            durationMs: [
+                /"playable_duration_in_ms":(\d+)/g
+            ],
+            durationSeconds: [
+                /"length_in_second":([\d.]+)/g
+            ],
+            creationTime: [
+                /"(?:creation_time|publish_time)":(\d{9,})/g
+            ],
+            thumbnail: [
+                new RegExp(`"preferred_thumbnail":\\{"image":\\{"uri":"${JSON_STRING}"`, 'g'),
+                new RegExp(`"thumbnailImage":\\{"uri":"${JSON_STRING}"`, 'g')
+            ],
+            permalink: [
+                new RegExp(`"permalink_url":"${JSON_STRING}"`, 'g')
+            ]
+        };
+    }
+
+    // Returns { page, videos, anchors }: page-level Open Graph metadata, a
+    // Map of video ID -> metadata, and every anchor position for lookups.
+    extract(html) {
+        const anchors = this.findAnchors(html);
+        const fields = {};
+        Object.keys(this.fieldPatterns).forEach(name => {
+            fields[name] = this.findMatches(html, this.fieldPatterns[name]);
+        });
+
+        const videos = new Map();
+        anchors.forEach(anchor => {
+            const metadata = videos.get(anchor.id) || { videoId: anchor.id };
+
+            Object.keys(fields).forEach(name => {
+                if (metadata[name] !== undefined) return;
+                const match = this.nearest(fields[name], anchor.index);
+                if (match) {
+                    metadata[name] = match.value;
+                }
+            });
+
+            videos.set(anchor.id, metadata);
+        });
+
+        videos.forEach((metadata, id) => videos.set(id, this.normalize(metadata)));
+
+        return { page: this.extractPageMetadata(html), videos: videos, anchors: anchors };
+    }
+
+    // Metadata for one extracted video URL, falling back to the page's
+    // Open Graph data for fields the video node did not have
+    metadataFor(url, html, result) {
+        const videoId = this.findVideoId(url, html, result);
+        return this.withPageFallbacks(videoId, (videoId && result.videos.get(videoId)) || {}, result.page);
+    }
+
+    // Metadata of a video node parsed from the page's JSON payloads (see
+    // lib/facebook-payloads.js), with the same Open Graph fallbacks
+    fromNode(node, page) {
+        return this.withPageFallbacks(node.id, node.metadata, page);
+    }
+
+    withPageFallbacks(videoId, video, page) {
+        return {
+            videoId: videoId,
+            title: video.title || page.title || null,
+            caption: video.caption || page.description || null,
+            author: video.author || null,
+            authorId: video.authorId || null,
+            duration: video.duration || page.duration || null,
+            publishedAt: video.publishedAt || null,
+            thumbnail: video.thumbnail || page.image || null,
+            permalink: video.permalink || page.url || null
+        };
+    }
+
+    // The CDN URL's efg parameter is base64 JSON that usually names the video.
+    // Otherwise use the anchor nearest to where the file name appears in the page.
+    findVideoId(url, html, result) {
+        const fromUrl = this.videoIdFromUrl(url);
+        if (fromUrl) {
+            return fromUrl;
+        }
+
+        const ids = new Set(result.anchors.map(anchor => anchor.id));
+        if (ids.size === 1) {
+            return ids.values().next().value;
+        }
+
+        const fileName = (url.split('?')[0].split('/').pop() || '');
+        if (fileName.length >= 10) {
+            const index = html.indexOf(fileName);
+            if (index !== -1) {
+                const anchor = this.nearest(result.anchors, index);
+                if (anchor) return anchor.id;
+            }
+        }
+
+        return null;
+    }
+
+    // Video ID named in the efg parameter of a CDN URL, or null
+    videoIdFromUrl(url) {
+        try {
+            const efg = new URL(url).searchParams.get('efg');
+            if (efg) {
+                const decoded = Buffer.from(efg, 'base64').toString('utf8');
+                const match = /"video_id":\s*"?(\d{6,})/.exec(decoded);
+                if (match) return match[1];
+            }
+        } catch {
+            // Not a parseable URL
+        }
+        return null;
+    }
+
+    findAnchors(html) {
+        const anchors = [];
+        this.anchorPatterns.forEach(pattern => {
+            const regex = new RegExp(pattern.source, pattern.flags);
+            let match;
+            while ((match = regex.exec(html)) !== null) {
+                anchors.push({ id: match[1], index: match.index });
+            }
+        });
+        return anchors.sort((a, b) => a.index - b.index);
+    }
+
+    findMatches(html, patterns) {
+        const matches = [];
+        patterns.forEach(pattern => {
+            const regex = new RegExp(pattern.source, pattern.flags);
+            let match;
+            while ((match = regex.exec(html)) !== null) {
+                if (match[1]) {
+                    matches.push({ index: match.index, value: match[1] });
+                }
+            }
+        });
+        return matches;
+    }
+
+    // Closest match to `index` within the window, or null
+    nearest(matches, index) {
+        let best = null;
+        let bestDistance = this.window;
+
+        matches.forEach(match => {
+            const distance = Math.abs(match.index - index);
+            if (distance <= bestDistance) {
+                best = match;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    normalize(raw) {
+        const durationMs = raw.durationMs ? parseInt(raw.durationMs, 10) : null;
+        const durationSeconds = raw.durationSeconds ? parseFloat(raw.durationSeconds) : null;
+        const creationTime = raw.creationTime ? parseInt(raw.creationTime, 10) : null;
+
+        return {
+            videoId: raw.videoId,
+            title: this.decode(raw.title),
+            caption: this.decode(raw.caption),
+            author: this.decode(raw.author),
+            duration: durationMs ? durationMs / 1000 : durationSeconds,
+            publishedAt: creationTime ? new Date(creationTime * 1000).toISOString() : null,
+            thumbnail: this.decode(raw.thumbnail),
+            permalink: this.decode(raw.permalink)
+        };
+    }
+
+    // Meta tags live in <head>, so only that part is parsed
+    extractPageMetadata(html) {
+        const headEnd = html.search(/<\/head>/i);
+        const $ = cheerio.load(headEnd !== -1 ? html.substring(0, headEnd) : html.substring(0, 200000));
+        const meta = name => {
+            const value = $(`meta[property="${name}"]`).attr('content') || $(`meta[name="${name}"]`).attr('content');
+            return value ? value.trim() : null;
+        };
+        const duration = parseFloat(meta('video:duration') || meta('og:video:duration'));
+
+        return {
+            title: meta('og:title') || ($('title').first().text().trim() || null),
+            description: meta('og:description') || meta('description'),
+            image: meta('og:image'),
+            url: meta('og:url'),
+            duration: Number.isFinite(duration) ? duration : null
+        };
+    }
+
+    decode(value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(`"${value}"`).trim() || null;
+        } catch {
+            return value;
+        }
+    }
+}
+
+module.exports = { FacebookMetadataExtractor };
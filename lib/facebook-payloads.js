@@ -0,0 +1,251 @@
+// Facebook ships page data as JSON in <script type="application/json" data-sjs>
+// blobs (ScheduledServerJS and RelayPrefetchedStreamCache payloads), and the
+// same Relay data in its /api/graphql/ responses. Parsing them and walking the
+// object graph finds each video node together with its own URLs and metadata,
+// so nothing has to be guessed from nearby page text.
+
+// Properties of a video node that hold a playable file, with the quality
+// their name implies
+const VIDEO_URL_FIELDS = {
+    playable_url_quality_hd: 'HD',
+    browser_native_hd_url: 'HD',
+    hd_src: 'HD',
+    hd_src_no_ratelimit: 'HD',
+    playable_url: null,
+    browser_native_sd_url: 'SD',
+    sd_src: 'SD',
+    sd_src_no_ratelimit: 'SD'
+};
+
+const DASH_FIELDS = ['dash_manifest', 'manifest_xml'];
+
+const BLOB_START = /<script\b[^>]*\bdata-sjs\b[^>]*>/gi;
+
+// Most blobs hold no video at all; only those mentioning one are parsed
+const VIDEO_MARKERS = ['"Video"', '"playable_url', '"browser_native_', '"hd_src', '"sd_src', '"dash_manifest"', '"manifest_xml"'];
+
+// Facebook prefixes some JSON responses with this to stop them running as a script
+const JSON_GUARD = /^\s*for\s*\(;;\);/;
+
+// Deep enough for Relay payloads, shallow enough to never overflow the stack
+const MAX_DEPTH = 256;
+
+class FacebookPayloadParser {
+    // Returns { blobs, nodes }: how many blobs parsed, and a Map of video ID ->
+    // { id, urls: [{ key, url, quality }], dashManifest, metadata }
+    extract(html) {
+        const nodes = new Map();
+        let blobs = 0;
+
+        this.findBlobs(html).forEach(text => {
+            if (!VIDEO_MARKERS.some(marker => text.includes(marker))) {
+                return;
+            }
+
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch {
+                return;
+            }
+            blobs++;
+            this.walk(data, [], 0, nodes);
+        });
+
+        if (nodes.size > 0) {
+            console.log(`Found ${nodes.size} video node(s) in ${blobs} page payload(s)`);
+        }
+        return { blobs: blobs, nodes: nodes };
+    }
+
+    // Same as extract() for a raw GraphQL response body copied from the
+    // network tab: one JSON document, or one per line (NDJSON) for streamed
+    // queries. Returns { chunks, nodes }; pass `nodes` to collect several
+    // responses into one Map.
+    extractJson(text, nodes = new Map()) {
+        const values = parseJsonChunks(text);
+        for (let i = 0; i < values.length; i++) {
+            this.walk(values[i], [], 0, nodes);
+        }
+        return { chunks: values.length, nodes: nodes };
+    }
+
+    findBlobs(html) {
+        const blobs = [];
+        const regex = new RegExp(BLOB_START.source, BLOB_START.flags);
+        let match;
+
+        while ((match = regex.exec(html)) !== null) {
+            const start = match.index + match[0].length;
+            const end = html.indexOf('</script>', start);
+            if (end === -1) break;
+            blobs.push(html.substring(start, end));
+            regex.lastIndex = end;
+        }
+
+        return blobs;
+    }
+
+    // Depth-first walk; `ancestors` are the objects above the current one
+    walk(value, ancestors, depth, nodes) {
+        if (!value || typeof value !== 'object' || depth > MAX_DEPTH) {
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            for (let i = 0; i < value.length; i++) {
+                this.walk(value[i], ancestors, depth + 1, nodes);
+            }
+            return;
+        }
+
+        if (typeof value.id === 'string' && this.isVideoNode(value)) {
+            this.addNode(nodes, this.readNode(value, ancestors));
+        }
+
+        ancestors.push(value);
+        for (const key in value) {
+            this.walk(value[key], ancestors, depth + 1, nodes);
+        }
+        ancestors.pop();
+    }
+
+    isVideoNode(object) {
+        if (!/^\d{6,}$/.test(object.id)) {
+            return false;
+        }
+        if (object.__typename === 'Video') {
+            return true;
+        }
+        return Object.keys(VIDEO_URL_FIELDS).some(key => typeof object[key] === 'string') ||
+               DASH_FIELDS.some(key => typeof object[key] === 'string');
+    }
+
+    readNode(video, ancestors) {
+        const urls = [];
+        Object.keys(VIDEO_URL_FIELDS).forEach(key => {
+            if (typeof video[key] === 'string' && /^https?:\/\//.test(video[key])) {
+                urls.push({ key: key, url: video[key], quality: VIDEO_URL_FIELDS[key] });
+            }
+        });
+
+        const dashKey = DASH_FIELDS.find(key => typeof video[key] === 'string');
+        // The post a video is attached to carries its caption, author and date
+        const story = this.nearestStory(ancestors);
+
+        return {
+            id: video.id,
+            urls: urls,
+            dashManifest: dashKey ? video[dashKey] : null,
+            metadata: this.readMetadata(video, story)
+        };
+    }
+
+    nearestStory(ancestors) {
+        for (let i = ancestors.length - 1; i >= 0; i--) {
+            if (ancestors[i].__typename === 'Story') {
+                return ancestors[i];
+            }
+        }
+        return {};
+    }
+
+    readMetadata(video, story) {
+        const durationMs = this.number(video.playable_duration_in_ms);
+        const durationSeconds = this.number(video.length_in_second);
+        const creationTime = this.number(video.creation_time) || this.number(video.publish_time) ||
+                             this.number(story.creation_time);
+        const storyActor = Array.isArray(story.actors) ? story.actors[0] : null;
+
+        return {
+            title: this.text(video.title) || this.text(video.video_title) || this.text(video.name),
+            caption: this.text(video.savable_description) || this.text(video.message) || this.text(story.message),
+            author: this.name(video.owner) || this.name(video.video_owner) || this.name(video.owner_as_page) || this.name(storyActor),
+            authorId: this.id(video.owner) || this.id(video.video_owner) || this.id(video.owner_as_page) || this.id(storyActor),
+            duration: durationMs ? durationMs / 1000 : durationSeconds,
+            publishedAt: creationTime ? new Date(creationTime * 1000).toISOString() : null,
+            thumbnail: this.uri(video.preferred_thumbnail && video.preferred_thumbnail.image) ||
+                       this.uri(video.thumbnailImage) || this.uri(video.image),
+            permalink: this.string(video.permalink_url) || this.string(story.permalink_url) || this.string(story.url)
+        };
+    }
+
+    // The same video often appears several times, each copy with some of its
+    // fields; merge them, keeping the first value seen for each field
+    addNode(nodes, node) {
+        const existing = nodes.get(node.id);
+        if (!existing) {
+            nodes.set(node.id, node);
+            return;
+        }
+
+        node.urls.forEach(entry => {
+            if (!existing.urls.some(known => known.url === entry.url)) {
+                existing.urls.push(entry);
+            }
+        });
+        existing.dashManifest = existing.dashManifest || node.dashManifest;
+        Object.keys(node.metadata).forEach(field => {
+            if (existing.metadata[field] === null || existing.metadata[field] === undefined) {
+                existing.metadata[field] = node.metadata[field];
+            }
+        });
+    }
+
+    // "title": "..." or "title": { "text": "..." }
+    text(value) {
+        if (value && typeof value === 'object') {
+            return this.string(value.text);
+        }
+        return this.string(value);
+    }
+
+    name(value) {
+        return value && typeof value === 'object' ? this.string(value.name) : null;
+    }
+
+    id(value) {
+        return value && typeof value === 'object' ? this.string(value.id) : null;
+    }
+
+    uri(value) {
+        return value && typeof value === 'object' ? this.string(value.uri) : null;
+    }
+
+    string(value) {
+        return typeof value === 'string' && value.trim() ? value.trim() : null;
+    }
+
+    number(value) {
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        return typeof number === 'number' && Number.isFinite(number) && number > 0 ? number : null;
+    }
+}
+
+// Whether pasted input is a JSON response body rather than HTML
+function isJsonPayload(text) {
+    return typeof text === 'string' && /^[{[]/.test(text.replace(JSON_GUARD, '').trimStart());
+}
+
+// Every JSON document in a response body. A body that does not parse as a
+// whole is read line by line, skipping lines that are not JSON (a truncated
+// last chunk, for example).
+function parseJsonChunks(text) {
+    const body = text.replace(JSON_GUARD, '');
+    try {
+        return [JSON.parse(body)];
+    } catch {
+        const values = [];
+        body.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                values.push(JSON.parse(line));
+            } catch {
+                // Not a JSON line; the other chunks are still usable
+            }
+        });
+        return values;
+    }
+}
+
+module.exports = { FacebookPayloadParser, VIDEO_URL_FIELDS, isJsonPayload, parseJsonChunks };
@@ -0,0 +1,200 @@
+const { FacebookPayloadParser } = require('./facebook-payloads');
+const { FacebookVideoExtractor, attachMetadata } = require('./facebook-extractor');
+const { describeContentType } = require('./video-utils');
+
+// Query parameters the player adds to fetch one byte range of a file
+const SEGMENT_PARAMS = new Set(['bytestart', 'byteend']);
+
+const MEDIA_HOST = /(^|\.)fbcdn\.net$/i;
+const MEDIA_PATH = /\.(mp4|m4v|m4a|webm)$/i;
+const GRAPHQL_PATH = /\/(api\/)?graphql\/?$/i;
+
+// Raised for uploads that are not a HAR export; the message is shown to the user
+class HarImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'HarImportError';
+        this.status = 400;
+    }
+}
+
+// Reads a DevTools network export (HAR 1.2). Facebook's player fetches its
+// files from fbcdn.net in byte ranges, and its GraphQL responses carry the
+// same video nodes as the page's data-sjs payloads, so a HAR recorded while
+// the video played holds everything needed without any page source.
+class HarImporter {
+    constructor(options = {}) {
+        this.payloadParser = options.payloadParser || new FacebookPayloadParser();
+    }
+
+    // Returns { entries, media, segments, responses, nodes }: the entry count,
+    // one { url, mimeType, kind, segments } per file (segment URLs collapsed
+    // into the full-file URL), the number of segment requests, the number of
+    // GraphQL responses read and their video nodes, as in FacebookPayloadParser
+    import(har) {
+        const entries = this.entries(har);
+        const media = this.mediaRequests(entries);
+        const { responses, nodes } = this.graphqlNodes(entries);
+
+        return {
+            entries: entries.length,
+            media: media,
+            segments: media.reduce((total, request) => total + request.segments, 0),
+            responses: responses,
+            nodes: nodes
+        };
+    }
+
+    entries(har) {
+        let data = har;
+        if (typeof har === 'string') {
+            try {
+                data = JSON.parse(har);
+            } catch {
+                throw new HarImportError('The uploaded file is not valid JSON. Export the network log with "Save all as HAR".');
+            }
+        }
+
+        const entries = data && data.log && data.log.entries;
+        if (!Array.isArray(entries)) {
+            throw new HarImportError('The uploaded file is not a HAR export: it has no log.entries.');
+        }
+        return entries.filter(entry => entry && entry.request && typeof entry.request.url === 'string');
+    }
+
+    mediaRequests(entries) {
+        const files = new Map();
+
+        entries.forEach(entry => {
+            const url = this.parseUrl(entry.request.url);
+            if (!url || !MEDIA_HOST.test(url.hostname)) return;
+
+            const mimeType = this.mimeType(entry);
+            const kind = /^video\//.test(mimeType) ? 'video' : /^audio\//.test(mimeType) ? 'audio' : null;
+            if (!kind && !MEDIA_PATH.test(url.pathname)) return;
+
+            const fullUrl = collapseSegmentUrl(entry.request.url);
+            const file = files.get(fullUrl) || { url: fullUrl, mimeType: mimeType, kind: kind, segments: 0 };
+            file.kind = file.kind || kind;
+            file.mimeType = file.mimeType || mimeType;
+            if (fullUrl !== entry.request.url) {
+                file.segments++;
+            }
+            files.set(fullUrl, file);
+        });
+
+        return Array.from(files.values());
+    }
+
+    graphqlNodes(entries) {
+        const nodes = new Map();
+        let responses = 0;
+
+        entries.forEach(entry => {
+            const url = this.parseUrl(entry.request.url);
+            if (!url || !GRAPHQL_PATH.test(url.pathname)) return;
+
+            const text = this.responseText(entry);
+            if (!text) return;
+
+            if (this.payloadParser.extractJson(text, nodes).chunks > 0) {
+                responses++;
+            }
+        });
+
+        return { responses: responses, nodes: nodes };
+    }
+
+    // Response body as text; DevTools stores binary and some compressed bodies as base64
+    responseText(entry) {
+        const content = entry.response && entry.response.content;
+        if (!content || typeof content.text !== 'string') {
+            return null;
+        }
+        return content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+    }
+
+    mimeType(entry) {
+        const content = entry.response && entry.response.content;
+        if (content && content.mimeType) {
+            return content.mimeType.split(';')[0].trim().toLowerCase();
+        }
+        const headers = (entry.response && entry.response.headers) || [];
+        const header = headers.find(candidate => candidate && /^content-type$/i.test(candidate.name));
+        return header ? String(header.value).split(';')[0].trim().toLowerCase() : '';
+    }
+
+    parseUrl(url) {
+        try {
+            return new URL(url);
+        } catch {
+            return null;
+        }
+    }
+}
+
+// Drops the bytestart/byteend parameters of a segment request. The rest of
+// the query is left untouched, since the CDN signature covers its exact text.
+function collapseSegmentUrl(url) {
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) {
+        return url;
+    }
+
+    const hashStart = url.indexOf('#', queryStart);
+    const query = url.slice(queryStart + 1, hashStart === -1 ? url.length : hashStart);
+    const params = query.split('&').filter(param => !SEGMENT_PARAMS.has(param.split('=')[0].toLowerCase()));
+    if (params.length === query.split('&').length) {
+        return url;
+    }
+    return url.slice(0, queryStart) + (params.length > 0 ? `?${params.join('&')}` : '');
+}
+
+const importer = new HarImporter();
+const extractor = new FacebookVideoExtractor();
+
+// Video object for a media request. The MIME type tells audio tracks apart;
+// probing fills in the rest.
+function mediaVideoObject(request) {
+    const video = extractor.createVideoObject(request.url);
+    if (request.kind === 'audio') {
+        video.hasVideo = false;
+        video.hasAudio = true;
+        video.contentType = { hasVideo: false, hasAudio: true, description: describeContentType(false, true), probed: false };
+        video.quality = 'Audio';
+        video.resolution = 'Audio';
+    }
+    return video;
+}
+
+// The CPU-heavy part of /extract-har, run on the extraction pool like
+// scanFacebookPage. Returns { videos, totalFound, fallback, har }.
+function scanHarFile(har) {
+    const result = importer.import(har);
+    const videos = extractor.videosFromPayload({ nodes: result.nodes });
+    const known = new Set(videos.map(video => extractor.decodeUrl(video.url)));
+
+    result.media.forEach(request => {
+        if (known.has(request.url) || !extractor.isCandidateUrl(request.url)) return;
+        known.add(request.url);
+        videos.push(mediaVideoObject(request));
+    });
+
+    if (videos.length > 0) {
+        attachMetadata(videos, '', result.nodes);
+    }
+
+    return {
+        videos: extractor.sortVideosByQuality(videos),
+        totalFound: videos.length,
+        fallback: false,
+        har: {
+            entries: result.entries,
+            mediaFiles: result.media.length,
+            segments: result.segments,
+            graphqlResponses: result.responses
+        }
+    };
+}
+
+module.exports = { HarImporter, HarImportError, collapseSegmentUrl, scanHarFile };
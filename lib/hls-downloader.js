@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { HlsPlaylistParser } = require('./hls-playlist');
+
+// Raised for playlists that cannot be turned into a single file (live
+// streams, SAMPLE-AES, hosts outside the allow-list...)
+class HlsError extends Error {
+    constructor(message, status = 422) {
+        super(message);
+        this.name = 'HlsError';
+        this.status = status;
+    }
+}
+
+// Downloads an HLS rendition as one continuous stream: the init section
+// (EXT-X-MAP) followed by every segment in order, decrypting AES-128
+// segments on the way. TS segments concatenate into a playable .ts file and
+// fMP4 segments into a fragmented .mp4.
+class HlsDownloader {
+    constructor(options = {}) {
+        // fetch(url, range, init) -> WHATWG Response, like fetchVideo in server.js
+        this.fetch = options.fetch;
+        // Every playlist, key and segment URL must pass this check
+        this.allowUrl = options.allowUrl || (() => true);
+        this.timeout = options.timeout || 30000;
+        this.maxSegments = options.maxSegments || 10000;
+        this.maxPlaylistBytes = options.maxPlaylistBytes || 5 * 1024 * 1024;
+        this.parser = new HlsPlaylistParser();
+    }
+
+    // Load a playlist URL and resolve it to the media playlists to download.
+    // A master playlist is resolved to the variant at index `variant` (the
+    // highest bandwidth by default) and that variant's audio rendition.
+    async resolve(url, options = {}) {
+        const playlist = await this.loadPlaylist(url, options.signal);
+
+        if (playlist.type === 'media') {
+            const audio = options.audioUrl ? await this.loadMediaPlaylist(options.audioUrl, options.signal) : null;
+            return { video: this.checkMediaPlaylist(playlist), audio: audio, variant: null };
+        }
+
+        if (playlist.variants.length === 0) {
+            throw new HlsError('The master playlist lists no variant streams');
+        }
+
+        const index = options.variant || 0;
+        const variant = playlist.variants[index];
+        if (!variant) {
+            throw new HlsError(`The playlist has no variant ${index}`, 400);
+        }
+
+        const audioUrl = options.audioUrl || variant.audioUrl;
+        const [video, audio] = await Promise.all([
+            this.loadMediaPlaylist(variant.url, options.signal),
+            audioUrl ? this.loadMediaPlaylist(audioUrl, options.signal) : null
+        ]);
+
+        return { video: video, audio: audio, variant: variant };
+    }
+
+    async loadPlaylist(url, signal) {
+        const response = await this.request(url, null, signal, this.maxPlaylistBytes);
+        const text = response.data.toString('utf8');
+
+        if (!this.parser.isPlaylist(text)) {
+            throw new HlsError('The URL did not return an HLS playlist');
+        }
+
+        // Relative URIs resolve against the final URL after redirects
+        return this.parser.parse(text, response.url);
+    }
+
+    async loadMediaPlaylist(url, signal) {
+        const playlist = await this.loadPlaylist(url, signal);
+        if (playlist.type !== 'media') {
+            throw new HlsError('Expected a media playlist but got a master playlist');
+        }
+        return this.checkMediaPlaylist(playlist);
+    }
+
+    checkMediaPlaylist(playlist) {
+        if (!playlist.endList && playlist.playlistType !== 'VOD') {
+            throw new HlsError('Live HLS streams cannot be downloaded as a single file');
+        }
+        if (playlist.segments.length === 0) {
+            throw new HlsError('The playlist has no segments');
+        }
+        if (playlist.segments.length > this.maxSegments) {
+            throw new HlsError(`The playlist has more than ${this.maxSegments} segments`);
+        }
+
+        const unsupported = playlist.segments.find(segment => segment.key && segment.key.method !== 'AES-128');
+        if (unsupported) {
+            throw new HlsError(`${unsupported.key.method} encrypted segments are not supported`);
+        }
+
+        return playlist;
+    }
+
+    // Readable stream of the whole rendition. Destroying it stops the download.
+    createStream(playlist, options = {}) {
+        return Readable.from(this.readSegments(playlist, options.signal), { objectMode: false });
+    }
+
+    async *readSegments(playlist, signal) {
+        const keys = new Map();
+        let currentMap = null;
+
+        for (const segment of playlist.segments) {
+            // The init section is written once, and again whenever it changes
+            if (segment.map && segment.map !== currentMap) {
+                currentMap = segment.map;
+                let init = await this.fetchBytes(segment.map.url, segment.map.byteRange, signal);
+                if (segment.map.key) {
+                    // Without an IV attribute the init section uses sequence number 0
+                    init = await this.decrypt(init, segment.map.key, 0, keys, signal);
+                }
+                yield init;
+            }
+
+            let data = await this.fetchBytes(segment.url, segment.byteRange, signal);
+            if (segment.key) {
+                data = await this.decrypt(data, segment.key, segment.sequence, keys, signal);
+            }
+            yield data;
+        }
+    }
+
+    async fetchBytes(url, byteRange, signal) {
+        const range = byteRange ? `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}` : null;
+        const response = await this.request(url, range, signal);
+
+        // A server that ignores the Range header sends the whole resource
+        if (byteRange && response.status === 200) {
+            return response.data.subarray(byteRange.offset, byteRange.offset + byteRange.length);
+        }
+        return response.data;
+    }
+
+    // AES-128-CBC with PKCS#7 padding. The IV defaults to the segment's media
+    // sequence number as a 128-bit big-endian integer.
+    async decrypt(data, key, sequence, keys, signal) {
+        if (!key.url) {
+            throw new HlsError('An EXT-X-KEY tag has no key URI');
+        }
+
+        if (!keys.has(key.url)) {
+            keys.set(key.url, this.fetchBytes(key.url, null, signal));
+        }
+        const keyBytes = await keys.get(key.url);
+        if (keyBytes.length !== 16) {
+            throw new HlsError(`Expected a 16 byte AES-128 key, got ${keyBytes.length} bytes`);
+        }
+
+        let iv = key.iv;
+        if (!iv) {
+            iv = Buffer.alloc(16);
+            iv.writeUInt32BE(Math.floor(sequence / 0x100000000), 8);
+            iv.writeUInt32BE(sequence % 0x100000000, 12);
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv('aes-128-cbc', keyBytes, iv);
+            return Buffer.concat([decipher.update(data), decipher.final()]);
+        } catch (error) {
+            throw new HlsError(`Could not decrypt segment ${sequence}: ${error.message}`);
+        }
+    }
+
+    // Fetch a whole resource into memory. Segments are small, and buffering
+    // them keeps the per-request timeout simple. `maxBytes` is checked as the
+    // body arrives, so an oversized response is never held in full.
+    async request(url, range, signal, maxBytes) {
+        if (!this.allowUrl(url)) {
+            throw new HlsError(`Refusing to fetch ${url}: host not allowed`, 400);
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const onAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', onAbort);
+        }
+
+        try {
+            const response = await this.fetch(url, range, { signal: controller.signal });
+            if (!response.ok) {
+                throw new HlsError(`HTTP ${response.status} while fetching ${url}`, 502);
+            }
+
+            const length = parseInt(response.headers.get('content-length'), 10);
+            if (maxBytes && length > maxBytes) {
+                if (typeof response.body.destroy === 'function') response.body.destroy();
+                throw new HlsError(`${url} is too large`);
+            }
+
+            const chunks = [];
+            let received = 0;
+            for await (const chunk of response.body) {
+                received += chunk.length;
+                if (maxBytes && received > maxBytes) {
+                    throw new HlsError(`${url} is too large`);
+                }
+                chunks.push(Buffer.from(chunk));
+            }
+
+            return { data: Buffer.concat(chunks), status: response.status, url: response.url || url };
+        } catch (error) {
+            if (error.name === 'AbortError' && !(signal && signal.aborted)) {
+                throw new HlsError(`Timed out while fetching ${url}`, 504);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+}
+
+module.exports = { HlsDownloader, HlsError };
@@ -0,0 +1,220 @@
+// HLS (.m3u8) playlist parsing
+
+class HlsPlaylistParser {
+    isPlaylist(text) {
+        return String(text || '').trimStart().startsWith('#EXTM3U');
+    }
+
+    isMasterPlaylist(text) {
+        return /#EXT-X-STREAM-INF/.test(text || '');
+    }
+
+    // Parse either kind of playlist; the result's `type` says which it was
+    parse(text, baseUrl) {
+        return this.isMasterPlaylist(text)
+            ? { type: 'master', ...this.parseMaster(text, baseUrl) }
+            : { type: 'media', ...this.parseMedia(text, baseUrl) };
+    }
+
+    // Master playlist: the variant streams and alternative renditions (audio groups)
+    parseMaster(text, baseUrl) {
+        const lines = this.splitLines(text);
+        const variants = [];
+        const media = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (line.startsWith('#EXT-X-STREAM-INF:')) {
+                const attributes = this.parseAttributes(line.substring('#EXT-X-STREAM-INF:'.length));
+                // The URI is the next line that is not a tag or comment
+                let uri = null;
+                while (++i < lines.length) {
+                    if (!lines[i].startsWith('#')) {
+                        uri = lines[i];
+                        break;
+                    }
+                }
+                if (!uri) continue;
+
+                const resolution = this.parseResolution(attributes.RESOLUTION);
+                variants.push({
+                    url: this.resolveUrl(uri, baseUrl),
+                    bandwidth: this.parseNumber(attributes.BANDWIDTH),
+                    averageBandwidth: this.parseNumber(attributes['AVERAGE-BANDWIDTH']),
+                    width: resolution ? resolution.width : null,
+                    height: resolution ? resolution.height : null,
+                    codecs: attributes.CODECS ? attributes.CODECS.split(',').map(codec => codec.trim()) : [],
+                    frameRate: this.parseNumber(attributes['FRAME-RATE']),
+                    audioGroup: attributes.AUDIO || null
+                });
+            } else if (line.startsWith('#EXT-X-MEDIA:')) {
+                const attributes = this.parseAttributes(line.substring('#EXT-X-MEDIA:'.length));
+                media.push({
+                    type: (attributes.TYPE || '').toLowerCase(),
+                    groupId: attributes['GROUP-ID'] || null,
+                    name: attributes.NAME || null,
+                    language: attributes.LANGUAGE || null,
+                    isDefault: attributes.DEFAULT === 'YES',
+                    autoselect: attributes.AUTOSELECT === 'YES',
+                    channels: attributes.CHANNELS || null,
+                    url: attributes.URI ? this.resolveUrl(attributes.URI, baseUrl) : null
+                });
+            }
+        }
+
+        // Point each variant at the audio rendition it should be played with
+        variants.forEach(variant => {
+            const group = media.filter(item => item.type === 'audio' && item.groupId === variant.audioGroup && item.url);
+            const audio = group.find(item => item.isDefault) || group.find(item => item.autoselect) || group[0];
+            variant.audioUrl = audio ? audio.url : null;
+        });
+
+        variants.sort((a, b) => (b.bandwidth || 0) - (a.bandwidth || 0));
+        return { variants, media };
+    }
+
+    // Media playlist: the segments with their durations, byte ranges, keys
+    // and init sections (EXT-X-MAP, present for fragmented MP4 segments)
+    parseMedia(text, baseUrl) {
+        const lines = this.splitLines(text);
+        const segments = [];
+        const rangeEnds = new Map();
+        let mediaSequence = 0;
+        let targetDuration = null;
+        let playlistType = null;
+        let endList = false;
+        let key = null;
+        let map = null;
+        let segmentDuration = null;
+        let segmentRange = null;
+        let discontinuity = false;
+
+        lines.forEach(line => {
+            if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+                targetDuration = this.parseNumber(line.substring('#EXT-X-TARGETDURATION:'.length));
+            } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+                mediaSequence = parseInt(line.substring('#EXT-X-MEDIA-SEQUENCE:'.length), 10) || 0;
+            } else if (line.startsWith('#EXT-X-PLAYLIST-TYPE:')) {
+                playlistType = line.substring('#EXT-X-PLAYLIST-TYPE:'.length).trim();
+            } else if (line === '#EXT-X-ENDLIST') {
+                endList = true;
+            } else if (line === '#EXT-X-DISCONTINUITY') {
+                discontinuity = true;
+            } else if (line.startsWith('#EXT-X-KEY:')) {
+                key = this.parseKey(this.parseAttributes(line.substring('#EXT-X-KEY:'.length)), baseUrl);
+            } else if (line.startsWith('#EXT-X-MAP:')) {
+                const attributes = this.parseAttributes(line.substring('#EXT-X-MAP:'.length));
+                map = {
+                    url: this.resolveUrl(attributes.URI, baseUrl),
+                    byteRange: this.parseByteRange(attributes.BYTERANGE, 0),
+                    key: key
+                };
+            } else if (line.startsWith('#EXTINF:')) {
+                segmentDuration = this.parseNumber(line.substring('#EXTINF:'.length).split(',')[0]);
+            } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+                segmentRange = line.substring('#EXT-X-BYTERANGE:'.length);
+            } else if (!line.startsWith('#')) {
+                const url = this.resolveUrl(line, baseUrl);
+                // A range without an offset continues where the previous one on the same URL ended
+                const byteRange = segmentRange ? this.parseByteRange(segmentRange, rangeEnds.get(url) || 0) : null;
+                if (byteRange) {
+                    rangeEnds.set(url, byteRange.offset + byteRange.length);
+                }
+
+                segments.push({
+                    url: url,
+                    duration: segmentDuration || 0,
+                    sequence: mediaSequence + segments.length,
+                    byteRange: byteRange,
+                    key: key,
+                    map: map,
+                    discontinuity: discontinuity
+                });
+
+                segmentDuration = null;
+                segmentRange = null;
+                discontinuity = false;
+            }
+        });
+
+        return {
+            targetDuration: targetDuration,
+            mediaSequence: mediaSequence,
+            playlistType: playlistType,
+            endList: endList,
+            duration: segments.reduce((total, segment) => total + segment.duration, 0),
+            isFragmentedMp4: segments.some(segment => segment.map),
+            segments: segments
+        };
+    }
+
+    // METHOD=NONE clears any earlier key
+    parseKey(attributes, baseUrl) {
+        const method = attributes.METHOD || 'NONE';
+        if (method === 'NONE') {
+            return null;
+        }
+
+        return {
+            method: method,
+            url: attributes.URI ? this.resolveUrl(attributes.URI, baseUrl) : null,
+            iv: attributes.IV ? Buffer.from(attributes.IV.replace(/^0x/i, '').padStart(32, '0'), 'hex') : null,
+            keyFormat: attributes.KEYFORMAT || 'identity'
+        };
+    }
+
+    // "<length>[@<offset>]"
+    parseByteRange(value, defaultOffset) {
+        const match = /^(\d+)(?:@(\d+))?$/.exec((value || '').trim());
+        if (!match) {
+            return null;
+        }
+
+        return {
+            length: parseInt(match[1], 10),
+            offset: match[2] !== undefined ? parseInt(match[2], 10) : defaultOffset
+        };
+    }
+
+    // Attribute lists look like BANDWIDTH=123,CODECS="avc1.4d401f,mp4a.40.2",RESOLUTION=640x360
+    parseAttributes(text) {
+        const attributes = {};
+        const regex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+        let match;
+
+        while ((match = regex.exec(text)) !== null) {
+            let value = match[2];
+            if (value.startsWith('"')) {
+                value = value.slice(1, -1);
+            }
+            attributes[match[1]] = value;
+        }
+
+        return attributes;
+    }
+
+    splitLines(text) {
+        return String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    }
+
+    parseResolution(value) {
+        const match = /^(\d+)x(\d+)$/.exec(value || '');
+        return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : null;
+    }
+
+    parseNumber(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    resolveUrl(uri, baseUrl) {
+        try {
+            return baseUrl ? new URL(uri, baseUrl).toString() : new URL(uri).toString();
+        } catch {
+            return uri;
+        }
+    }
+}
+
+module.exports = { HlsPlaylistParser };
@@ -0,0 +1,251 @@
+const { qualityFromHeight, describeContentType, extractJsonObject } = require('./video-utils');
+
+// Returns the canonical post URL for instagram.com/p/, /reel/, /reels/ and /tv/ links, or null
+function parseInstagramUrl(input) {
+    let url;
+    try {
+        url = new URL(String(input).trim());
+    } catch {
+        return null;
+    }
+
+    const hostname = url.hostname.toLowerCase().replace(/^(www|m)\./, '');
+    if (hostname !== 'instagram.com' && hostname !== 'instagr.am') {
+        return null;
+    }
+
+    const match = url.pathname.match(/^\/(?:[^/]+\/)?(p|reels?|tv)\/([A-Za-z0-9_-]+)/);
+    if (!match) {
+        return null;
+    }
+
+    const kind = match[1] === 'reels' ? 'reel' : match[1];
+    return `https://www.instagram.com/${kind}/${match[2]}/`;
+}
+
+// Instagram post/reel extraction from pasted page source, a fetched page or
+// a raw API response. Media nodes are found by walking every embedded JSON
+// payload (application/json scripts such as the
+// xdt_api__v1__media__shortcode__web_info query, _sharedData and
+// __additionalDataLoaded) for objects carrying video_versions,
+// image_versions2 or carousel_media.
+class InstagramExtractor {
+    extractVideos(input) {
+        const payloads = this.findJsonPayloads(String(input || ''));
+        const nodes = new Map();
+        const childIds = new Set();
+
+        payloads.forEach(payload => this.collectMediaNodes(payload, nodes, childIds));
+
+        const items = [];
+        nodes.forEach((node, id) => {
+            // Carousel children are emitted through their parent, in order
+            if (childIds.has(id)) return;
+
+            if (Array.isArray(node.carousel_media) && node.carousel_media.length > 0) {
+                node.carousel_media.forEach((child, index) => {
+                    items.push(...this.createMediaObjects(child, node, index + 1));
+                });
+            } else {
+                items.push(...this.createMediaObjects(node, node, null));
+            }
+        });
+
+        return items;
+    }
+
+    findJsonPayloads(text) {
+        const payloads = [];
+        const tryParse = json => {
+            try {
+                payloads.push(JSON.parse(json));
+            } catch {
+                // Not valid JSON; skip it
+            }
+        };
+
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            tryParse(trimmed);
+        }
+
+        const scriptRegex = /<script[^>]*type=["']application\/json["'][^>]*>([\s\S]*?)<\/script>/gi;
+        let match;
+        while ((match = scriptRegex.exec(text)) !== null) {
+            if (match[1].includes('_versions') || match[1].includes('carousel_media')) {
+                tryParse(match[1]);
+            }
+        }
+
+        // Older pages assign the data to globals instead
+        const assignmentRegex = /(?:window\._sharedData\s*=\s*|__additionalDataLoaded\([^,]*,\s*)\{/g;
+        while ((match = assignmentRegex.exec(text)) !== null) {
+            const json = extractJsonObject(text, match.index + match[0].length - 1);
+            if (json) tryParse(json);
+        }
+
+        return payloads;
+    }
+
+    // Iterative walk so deeply nested relay payloads cannot overflow the stack
+    collectMediaNodes(root, nodes, childIds) {
+        const stack = [root];
+
+        while (stack.length > 0) {
+            const value = stack.pop();
+            if (!value || typeof value !== 'object') continue;
+
+            if (Array.isArray(value)) {
+                value.forEach(item => stack.push(item));
+                continue;
+            }
+
+            if (this.isMediaNode(value)) {
+                const id = this.mediaId(value);
+                const existing = nodes.get(id);
+                // The same media shows up in several payloads; keep the richest copy
+                if (!existing || this.richness(value) > this.richness(existing)) {
+                    nodes.set(id, value);
+                }
+
+                if (Array.isArray(value.carousel_media)) {
+                    value.carousel_media.forEach(child => childIds.add(this.mediaId(child)));
+                }
+            }
+
+            Object.keys(value).forEach(key => stack.push(value[key]));
+        }
+    }
+
+    isMediaNode(value) {
+        return Array.isArray(value.video_versions) ||
+               (value.image_versions2 && Array.isArray(value.image_versions2.candidates)) ||
+               Array.isArray(value.carousel_media);
+    }
+
+    mediaId(node) {
+        return String(node.id || node.pk || node.code || JSON.stringify(node).slice(0, 200));
+    }
+
+    richness(node) {
+        return (node.video_versions ? node.video_versions.length : 0) +
+               (node.carousel_media ? node.carousel_media.length * 10 : 0) +
+               (node.caption ? 1 : 0) +
+               (node.user ? 1 : 0);
+    }
+
+    // One entry per video version for videos, the largest candidate for images
+    createMediaObjects(node, post, position) {
+        const details = this.parseDetails(post, position);
+        const candidates = (node.image_versions2 && node.image_versions2.candidates) || [];
+        const bestImage = this.largest(candidates);
+
+        if (Array.isArray(node.video_versions) && node.video_versions.length > 0) {
+            const hasAudio = node.has_audio !== false;
+            const seen = new Set();
+
+            return node.video_versions
+                .filter(version => version.url && !seen.has(version.url) && seen.add(version.url))
+                .sort((a, b) => (b.width || 0) * (b.height || 0) - (a.width || 0) * (a.height || 0))
+                .map(version => ({
+                    url: version.url,
+                    quality: qualityFromHeight(this.shortSide(version)),
+                    type: 'MP4',
+                    size: 'Unknown',
+                    contentType: {
+                        hasVideo: true,
+                        hasAudio: hasAudio,
+                        description: describeContentType(true, hasAudio)
+                    },
+                    hasVideo: true,
+                    hasAudio: hasAudio,
+                    resolution: version.width && version.height ? `${version.width}x${version.height}` : 'Auto',
+                    thumbnail: bestImage ? bestImage.url : null,
+                    mediaType: 'video',
+                    duration: node.video_duration || null,
+                    ...details
+                }));
+        }
+
+        if (!bestImage) {
+            return [];
+        }
+
+        return [{
+            url: bestImage.url,
+            quality: qualityFromHeight(this.shortSide(bestImage)),
+            type: 'JPG',
+            size: 'Unknown',
+            contentType: {
+                hasVideo: false,
+                hasAudio: false,
+                description: 'Image'
+            },
+            hasVideo: false,
+            hasAudio: false,
+            resolution: bestImage.width && bestImage.height ? `${bestImage.width}x${bestImage.height}` : 'Auto',
+            thumbnail: bestImage.url,
+            mediaType: 'image',
+            ...details
+        }];
+    }
+
+    parseDetails(post, position) {
+        const captionText = post.caption && typeof post.caption === 'object' ? post.caption.text : null;
+        const firstLine = captionText ? captionText.split('\n')[0].trim() : '';
+        const author = post.user && post.user.username ? post.user.username : null;
+
+        let title = firstLine.length > 80 ? `${firstLine.substring(0, 77)}...` : firstLine;
+        if (!title) {
+            title = author ? `Instagram post by @${author}` : 'Instagram post';
+        }
+        if (position) {
+            title = `${title} (${position})`;
+        }
+
+        return {
+            title: title,
+            author: author,
+            shortcode: post.code || null,
+            position: position
+        };
+    }
+
+    largest(candidates) {
+        return candidates.reduce((best, candidate) =>
+            (!best || (candidate.width || 0) * (candidate.height || 0) > (best.width || 0) * (best.height || 0)
+                ? candidate : best), null);
+    }
+
+    shortSide(version) {
+        return version.width && version.height ? Math.min(version.width, version.height) : version.height;
+    }
+}
+
+const instagramExtractor = new InstagramExtractor();
+
+// Extractor registry entry
+const instagramPlatform = {
+    name: 'instagram',
+    label: 'Instagram',
+    hosts: ['instagram.com', 'instagr.am'],
+    markers: ['cdninstagram.com', '"video_versions"', '"image_versions2"', 'instagram.com/'],
+    urlHint: 'Use an instagram.com/p/, /reel/ or /tv/ URL.',
+    resolveUrl: parseInstagramUrl,
+    fetcher: 'instagramFetcher',
+
+    async extract(source) {
+        const media = instagramExtractor.extractVideos(source);
+        const videoCount = media.filter(item => item.mediaType === 'video').length;
+
+        return {
+            videos: media,
+            count: media.length,
+            message: media.length > 0
+                ? `Found ${videoCount} video(s) and ${media.length - videoCount} image(s) in the post`
+                : 'No media found. Instagram may require you to be logged in to view this post; try pasting the page source instead.'
+        };
+    }
+};
+
+module.exports = { InstagramExtractor, parseInstagramUrl, instagramPlatform };
@@ -0,0 +1,211 @@
+// ISO BMFF (MP4) box helpers shared by the muxer and the probe service
+
+// Read the box header at `offset`. Returns null when the buffer is too short.
+function readBoxHeader(buffer, offset = 0, end = buffer.length) {
+    if (end - offset < 8) {
+        return null;
+    }
+
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+        if (end - offset < 16) {
+            return null;
+        }
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+    } else if (size === 0) {
+        // Box extends to the end of the enclosing container
+        size = end - offset;
+    }
+
+    if (type === 'uuid') {
+        headerSize += 16;
+    }
+
+    return { type, size, headerSize };
+}
+
+// List the boxes laid out back to back in buffer[offset..end). A truncated
+// trailing box is returned with `truncated: true` so probes can still use it.
+function readBoxes(buffer, offset = 0, end = buffer.length) {
+    const boxes = [];
+
+    while (offset < end) {
+        const header = readBoxHeader(buffer, offset, end);
+        if (!header || header.size < header.headerSize) {
+            break;
+        }
+
+        const boxEnd = offset + header.size;
+        boxes.push({
+            type: header.type,
+            start: offset,
+            size: header.size,
+            headerSize: header.headerSize,
+            truncated: boxEnd > end,
+            data: buffer.subarray(offset, Math.min(boxEnd, end))
+        });
+        offset = boxEnd;
+    }
+
+    return boxes;
+}
+
+// Children of a container box (the box buffer includes its own header)
+function childBoxes(box) {
+    return readBoxes(box.data, box.headerSize, box.data.length);
+}
+
+// Follow a path of box types, e.g. findBox(moov, ['trak', 'mdia', 'mdhd'])
+function findBox(box, path) {
+    let current = box;
+    for (const type of path) {
+        const next = childBoxes(current).find(child => child.type === type);
+        if (!next) {
+            return null;
+        }
+        current = next;
+    }
+    return current;
+}
+
+function findAllBoxes(box, type) {
+    return childBoxes(box).filter(child => child.type === type);
+}
+
+// Full boxes start with a version byte and 24 bits of flags
+function readFullBoxHeader(box) {
+    const offset = box.headerSize;
+    return {
+        version: box.data[offset],
+        flags: box.data.readUIntBE(offset + 1, 3),
+        payloadOffset: offset + 4
+    };
+}
+
+function buildBox(type, ...payloads) {
+    const body = Buffer.concat(payloads);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(body.length + 8, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+// Reads top-level boxes one at a time from a Node readable stream, keeping
+// only the current box in memory.
+class Mp4BoxReader {
+    constructor(stream, options = {}) {
+        this.iterator = stream[Symbol.asyncIterator]();
+        this.chunks = [];
+        this.buffered = 0;
+        this.position = 0;
+        this.ended = false;
+        this.maxBoxSize = options.maxBoxSize || 128 * 1024 * 1024;
+        this.peeked = null;
+    }
+
+    async fill(length) {
+        while (this.buffered < length && !this.ended) {
+            const { value, done } = await this.iterator.next();
+            if (done) {
+                this.ended = true;
+                break;
+            }
+            const chunk = Buffer.isBuffer(value) ? value : Buffer.from(value);
+            this.chunks.push(chunk);
+            this.buffered += chunk.length;
+        }
+        return this.buffered >= length;
+    }
+
+    // Merge buffered chunks into one buffer without consuming them
+    collapse() {
+        if (this.chunks.length > 1) {
+            this.chunks = [Buffer.concat(this.chunks, this.buffered)];
+        }
+        return this.chunks[0] || Buffer.alloc(0);
+    }
+
+    take(length) {
+        const data = this.collapse();
+        const taken = data.subarray(0, length);
+        const rest = data.subarray(length);
+        this.chunks = rest.length ? [rest] : [];
+        this.buffered = rest.length;
+        this.position += length;
+        return taken;
+    }
+
+    async peek() {
+        if (!this.peeked) {
+            this.peeked = await this.readBox();
+        }
+        return this.peeked;
+    }
+
+    async next() {
+        if (this.peeked) {
+            const box = this.peeked;
+            this.peeked = null;
+            return box;
+        }
+        return this.readBox();
+    }
+
+    async readBox() {
+        if (!await this.fill(8)) {
+            if (this.buffered > 0) {
+                throw new Error('Unexpected end of MP4 stream');
+            }
+            return null;
+        }
+
+        await this.fill(16);
+        const head = this.collapse();
+        let header = readBoxHeader(head, 0, head.length);
+        if (!header) {
+            throw new Error('Unexpected end of MP4 stream');
+        }
+
+        const sizeWasZero = head.readUInt32BE(0) === 0;
+        if (sizeWasZero) {
+            // Size 0 means "until end of file", so read everything that is left
+            while (this.buffered <= this.maxBoxSize && await this.fill(this.buffered + 1)) {
+                // keep reading
+            }
+            header = { ...header, size: this.buffered };
+        }
+
+        if (header.size > this.maxBoxSize) {
+            throw new Error(`MP4 box "${header.type}" is too large (${header.size} bytes)`);
+        }
+
+        const start = this.position;
+        if (!await this.fill(header.size)) {
+            throw new Error(`Unexpected end of MP4 stream inside "${header.type}" box`);
+        }
+
+        return {
+            type: header.type,
+            start: start,
+            size: header.size,
+            headerSize: header.headerSize,
+            sizeWasZero: sizeWasZero,
+            data: Buffer.from(this.take(header.size))
+        };
+    }
+}
+
+module.exports = {
+    readBoxHeader,
+    readBoxes,
+    childBoxes,
+    findBox,
+    findAllBoxes,
+    readFullBoxHeader,
+    buildBox,
+    Mp4BoxReader
+};
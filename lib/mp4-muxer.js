@@ -0,0 +1,370 @@
+const {
+    childBoxes,
+    findBox,
+    findAllBoxes,
+    readFullBoxHeader,
+    buildBox,
+    Mp4BoxReader
+} = require('./mp4-boxes');
+
+// Raised for inputs the muxer cannot handle (progressive MP4, missing moov...)
+class UnsupportedMediaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsupportedMediaError';
+    }
+}
+
+// Combines a video-only and an audio-only fragmented MP4 (as served in
+// Facebook DASH representations) into a single fragmented MP4 without
+// re-encoding. The audio tracks are renumbered after the video tracks, the
+// moov boxes are merged and the moof/mdat fragments of both inputs are
+// interleaved by decode time.
+class FragmentedMp4Muxer {
+    constructor(options = {}) {
+        this.maxBoxSize = options.maxBoxSize;
+    }
+
+    async mux(videoStream, audioStream, output) {
+        const video = this.createSource(videoStream, 'video');
+        const audio = this.createSource(audioStream, 'audio');
+
+        await this.readInit(video);
+        await this.readInit(audio);
+
+        const { moov, trackIdMap } = this.mergeMovies(video, audio);
+        audio.trackIdMap = trackIdMap;
+
+        const ftyp = video.ftyp || buildBox('ftyp', Buffer.from('isom\0\0\x02\0isomiso6mp41', 'latin1'));
+        this.outputOffset = 0;
+        this.sequenceNumber = 0;
+        await this.write(output, ftyp);
+        await this.write(output, moov);
+
+        let videoFragment = await this.readFragment(video);
+        let audioFragment = await this.readFragment(audio);
+
+        while (videoFragment || audioFragment) {
+            if (output.destroyed) {
+                return;
+            }
+
+            const takeVideo = !audioFragment ||
+                (videoFragment && videoFragment.decodeTime <= audioFragment.decodeTime);
+
+            if (takeVideo) {
+                await this.writeFragment(output, videoFragment, video);
+                videoFragment = await this.readFragment(video);
+            } else {
+                await this.writeFragment(output, audioFragment, audio);
+                audioFragment = await this.readFragment(audio);
+            }
+        }
+
+        output.end();
+    }
+
+    createSource(stream, name) {
+        return {
+            name: name,
+            reader: new Mp4BoxReader(stream, { maxBoxSize: this.maxBoxSize }),
+            ftyp: null,
+            moov: null,
+            timescales: new Map(),
+            fragmentCount: 0,
+            trackIdMap: null
+        };
+    }
+
+    // Read everything up to and including the moov box
+    async readInit(source) {
+        let box;
+        while ((box = await source.reader.next()) !== null) {
+            if (box.type === 'ftyp') {
+                source.ftyp = box.data;
+            } else if (box.type === 'moov') {
+                source.moov = box;
+                break;
+            } else if (box.type === 'mdat' || box.type === 'moof') {
+                break;
+            }
+        }
+
+        if (!source.moov) {
+            throw new UnsupportedMediaError(`The ${source.name} stream has no moov box before its media data`);
+        }
+
+        if (!findBox(source.moov, ['mvex'])) {
+            throw new UnsupportedMediaError(`The ${source.name} stream is not a fragmented MP4`);
+        }
+
+        findAllBoxes(source.moov, 'trak').forEach(trak => {
+            const tkhd = findBox(trak, ['tkhd']);
+            const mdhd = findBox(trak, ['mdia', 'mdhd']);
+            if (tkhd && mdhd) {
+                source.timescales.set(this.readTrackId(tkhd), this.readMediaTimescale(mdhd));
+            }
+        });
+    }
+
+    mergeMovies(video, audio) {
+        const videoMvhd = findBox(video.moov, ['mvhd']);
+        const audioMvhd = findBox(audio.moov, ['mvhd']);
+        const videoTimescale = this.readMovieTimescale(videoMvhd);
+        const audioTimescale = this.readMovieTimescale(audioMvhd);
+
+        // next_track_ID may be 0xffffffff ("unknown"), so also derive it from the tracks
+        const declaredNextId = this.readNextTrackId(videoMvhd);
+        let nextTrackId = Math.max(
+            declaredNextId === 0xffffffff ? 0 : declaredNextId,
+            Math.max(0, ...video.timescales.keys()) + 1
+        );
+
+        // Renumber the audio tracks so they follow the video tracks
+        const trackIdMap = new Map();
+        const audioTraks = findAllBoxes(audio.moov, 'trak').map(trak => {
+            const copy = Buffer.from(trak.data);
+            const box = { ...trak, data: copy };
+            const tkhd = findBox(box, ['tkhd']);
+            const oldId = this.readTrackId(tkhd);
+            const newId = nextTrackId++;
+            trackIdMap.set(oldId, newId);
+            this.writeTrackId(tkhd, newId);
+            this.rescaleTrackDuration(box, tkhd, audioTimescale, videoTimescale);
+            return copy;
+        });
+
+        audio.timescales = new Map(Array.from(audio.timescales, ([id, scale]) => [trackIdMap.get(id) || id, scale]));
+
+        const audioTrexes = findAllBoxes(findBox(audio.moov, ['mvex']), 'trex').map(trex => {
+            const copy = Buffer.from(trex.data);
+            const header = readFullBoxHeader(trex);
+            const oldId = copy.readUInt32BE(header.payloadOffset);
+            copy.writeUInt32BE(trackIdMap.get(oldId) || oldId, header.payloadOffset);
+            return copy;
+        });
+
+        const movieDuration = Math.max(
+            this.readMovieDuration(videoMvhd),
+            Math.round(this.readMovieDuration(audioMvhd) * videoTimescale / audioTimescale)
+        );
+
+        const mvhd = Buffer.from(videoMvhd.data);
+        const mvhdBox = { ...videoMvhd, data: mvhd };
+        mvhd.writeUInt32BE(nextTrackId, mvhd.length - 4);
+        this.writeMovieDuration(mvhdBox, movieDuration);
+
+        const children = [];
+        childBoxes(video.moov).forEach(child => {
+            if (child.type === 'mvhd') {
+                children.push(mvhd);
+            } else if (child.type === 'mvex') {
+                // Pushed after the audio traks below
+            } else {
+                children.push(child.data);
+            }
+        });
+        children.push(...audioTraks);
+
+        const videoMvex = findBox(video.moov, ['mvex']);
+        const mvexChildren = childBoxes(videoMvex).map(child => {
+            if (child.type !== 'mehd') {
+                return child.data;
+            }
+            // The fragment duration now has to cover the audio as well
+            const copy = Buffer.from(child.data);
+            this.writeMovieDuration({ ...child, data: copy }, movieDuration, true);
+            return copy;
+        });
+        children.push(buildBox('mvex', ...mvexChildren, ...audioTrexes));
+
+        return { moov: buildBox('moov', ...children), trackIdMap };
+    }
+
+    // A fragment is a moof followed by its mdat(s). Other top-level boxes
+    // (sidx, styp, mfra, free) describe byte offsets in the original file and
+    // are dropped.
+    async readFragment(source) {
+        let box;
+        while ((box = await source.reader.next()) !== null && box.type !== 'moof') {
+            // skip
+        }
+        if (!box) {
+            return null;
+        }
+
+        const moof = box;
+        const mdats = [];
+        let next;
+        while ((next = await source.reader.peek()) !== null && next.type === 'mdat') {
+            mdats.push(await source.reader.next());
+        }
+
+        return {
+            moof: moof,
+            mdats: mdats,
+            decodeTime: this.readFragmentTime(moof, source)
+        };
+    }
+
+    // Start time of a fragment in seconds, from the first traf's tfdt
+    readFragmentTime(moof, source) {
+        source.fragmentCount++;
+        const traf = findBox(moof, ['traf']);
+        const tfhd = traf && findBox(traf, ['tfhd']);
+        const tfdt = traf && findBox(traf, ['tfdt']);
+        if (!tfhd || !tfdt) {
+            // Without timing info fall back to alternating fragments
+            return source.fragmentCount;
+        }
+
+        const trackId = this.readTrackIdFromTfhd(tfhd);
+        const mappedId = source.trackIdMap ? (source.trackIdMap.get(trackId) || trackId) : trackId;
+        const timescale = source.timescales.get(mappedId) || 1;
+        const header = readFullBoxHeader(tfdt);
+        const time = header.version === 1
+            ? Number(tfdt.data.readBigUInt64BE(header.payloadOffset))
+            : tfdt.data.readUInt32BE(header.payloadOffset);
+
+        return time / timescale;
+    }
+
+    async writeFragment(output, fragment, source) {
+        const moof = Buffer.from(fragment.moof.data);
+        const moofBox = { ...fragment.moof, data: moof };
+
+        const mfhd = findBox(moofBox, ['mfhd']);
+        if (mfhd) {
+            mfhd.data.writeUInt32BE(++this.sequenceNumber, readFullBoxHeader(mfhd).payloadOffset);
+        }
+
+        findAllBoxes(moofBox, 'traf').forEach(traf => {
+            const tfhd = findBox(traf, ['tfhd']);
+            if (!tfhd) return;
+
+            // Child boxes are views into the moof copy, so writes land in it
+            const header = readFullBoxHeader(tfhd);
+            const trackId = tfhd.data.readUInt32BE(header.payloadOffset);
+            if (source.trackIdMap && source.trackIdMap.has(trackId)) {
+                tfhd.data.writeUInt32BE(source.trackIdMap.get(trackId), header.payloadOffset);
+            }
+
+            // base-data-offset-present: the offset is absolute in the input
+            // file, so move it to the fragment's new position
+            if (header.flags & 0x000001) {
+                const baseOffset = Number(tfhd.data.readBigUInt64BE(header.payloadOffset + 4));
+                const relocated = this.outputOffset + (baseOffset - fragment.moof.start);
+                tfhd.data.writeBigUInt64BE(BigInt(relocated), header.payloadOffset + 4);
+            }
+        });
+
+        await this.write(output, moof);
+
+        for (const mdat of fragment.mdats) {
+            let data = mdat.data;
+            if (mdat.sizeWasZero) {
+                // Only the last box of a file may use size 0
+                data = Buffer.from(data);
+                data.writeUInt32BE(data.length, 0);
+            }
+            await this.write(output, data);
+        }
+    }
+
+    async write(output, chunk) {
+        this.outputOffset += chunk.length;
+        if (!output.write(chunk)) {
+            await new Promise(resolve => {
+                const done = () => {
+                    output.off('drain', done);
+                    output.off('close', done);
+                    resolve();
+                };
+                output.on('drain', done);
+                output.on('close', done);
+            });
+        }
+    }
+
+    readTrackId(tkhd) {
+        const { version, payloadOffset } = readFullBoxHeader(tkhd);
+        return tkhd.data.readUInt32BE(payloadOffset + (version === 1 ? 16 : 8));
+    }
+
+    writeTrackId(tkhd, trackId) {
+        const { version, payloadOffset } = readFullBoxHeader(tkhd);
+        tkhd.data.writeUInt32BE(trackId, payloadOffset + (version === 1 ? 16 : 8));
+    }
+
+    readTrackIdFromTfhd(tfhd) {
+        return tfhd.data.readUInt32BE(readFullBoxHeader(tfhd).payloadOffset);
+    }
+
+    readMediaTimescale(mdhd) {
+        const { version, payloadOffset } = readFullBoxHeader(mdhd);
+        return mdhd.data.readUInt32BE(payloadOffset + (version === 1 ? 16 : 8));
+    }
+
+    readMovieTimescale(mvhd) {
+        return this.readMediaTimescale(mvhd);
+    }
+
+    readNextTrackId(mvhd) {
+        return mvhd.data.readUInt32BE(mvhd.data.length - 4);
+    }
+
+    readMovieDuration(mvhd) {
+        const { version, payloadOffset } = readFullBoxHeader(mvhd);
+        return version === 1
+            ? Number(mvhd.data.readBigUInt64BE(payloadOffset + 20))
+            : mvhd.data.readUInt32BE(payloadOffset + 12);
+    }
+
+    // Writes the duration field of an mvhd, or of an mehd when `isMehd` is set
+    writeMovieDuration(box, duration, isMehd = false) {
+        const { version, payloadOffset } = readFullBoxHeader(box);
+        const offset = isMehd ? payloadOffset : payloadOffset + (version === 1 ? 20 : 12);
+        if (version === 1) {
+            box.data.writeBigUInt64BE(BigInt(duration), offset);
+        } else {
+            box.data.writeUInt32BE(Math.min(duration, 0xffffffff), offset);
+        }
+    }
+
+    // tkhd and elst durations are expressed in the movie timescale, which
+    // changes from the audio file's to the video file's
+    rescaleTrackDuration(trak, tkhd, fromScale, toScale) {
+        if (!fromScale || fromScale === toScale) {
+            return;
+        }
+        const rescale = value => Math.round(value * toScale / fromScale);
+
+        const { version, payloadOffset } = readFullBoxHeader(tkhd);
+        const durationOffset = payloadOffset + (version === 1 ? 24 : 16);
+        if (version === 1) {
+            tkhd.data.writeBigUInt64BE(BigInt(rescale(Number(tkhd.data.readBigUInt64BE(durationOffset)))), durationOffset);
+        } else {
+            tkhd.data.writeUInt32BE(Math.min(rescale(tkhd.data.readUInt32BE(durationOffset)), 0xffffffff), durationOffset);
+        }
+
+        const edts = findBox(trak, ['edts']);
+        const elst = edts && findBox(edts, ['elst']);
+        if (!elst) {
+            return;
+        }
+
+        const header = readFullBoxHeader(elst);
+        const count = elst.data.readUInt32BE(header.payloadOffset);
+        const entrySize = header.version === 1 ? 20 : 12;
+        for (let i = 0; i < count; i++) {
+            const offset = header.payloadOffset + 4 + i * entrySize;
+            if (header.version === 1) {
+                elst.data.writeBigUInt64BE(BigInt(rescale(Number(elst.data.readBigUInt64BE(offset)))), offset);
+            } else {
+                elst.data.writeUInt32BE(rescale(elst.data.readUInt32BE(offset)), offset);
+            }
+        }
+    }
+}
+
+module.exports = { FragmentedMp4Muxer, UnsupportedMediaError };
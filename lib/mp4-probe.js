@@ -0,0 +1,292 @@
+const { readBoxes, findBox, findAllBoxes, readFullBoxHeader } = require('./mp4-boxes');
+
+// Largest box header: 32-bit size, type, 64-bit size
+const BOX_HEADER_BYTES = 16;
+
+// Boxes walked past mdat looking for moov before giving up
+const MAX_TAIL_BOXES = 8;
+
+// Reads the real track layout of remote MP4 files by range-fetching only the
+// head of the file (and the moov box, when it sits after mdat) and parsing
+// the ftyp/moov boxes. Results are cached per URL, so re-probing a results page
+// does not touch the CDN again.
+class Mp4Probe {
+    constructor(options = {}) {
+        // fetch(url, range, { signal }) must resolve to a fetch Response
+        this.fetcher = options.fetch;
+        // Enough for ftyp and the start of moov or mdat; the rest of a
+        // larger moov is fetched by its exact size
+        this.headBytes = options.headBytes || 16 * 1024;
+        this.maxMoovBytes = options.maxMoovBytes || 2 * 1024 * 1024;
+        this.timeout = options.timeout || 8000;
+        this.concurrency = options.concurrency || 4;
+        this.cacheTtl = options.cacheTtl || 30 * 60 * 1000;
+        this.maxCacheEntries = options.maxCacheEntries || 500;
+        this.cache = new Map();
+    }
+
+    probe(url) {
+        const cached = this.cache.get(url);
+        if (cached && cached.expires > Date.now()) {
+            return cached.promise;
+        }
+
+        const promise = this.probeUncached(url).catch(error => {
+            console.log('❌ Probe failed:', url.substring(0, 100), error.message);
+            this.cache.delete(url);
+            return null;
+        });
+
+        this.cache.set(url, { promise, expires: Date.now() + this.cacheTtl });
+        this.trimCache();
+        return promise;
+    }
+
+    // Probe several URLs with limited concurrency. Returns a Map of url -> result.
+    async probeAll(urls) {
+        const results = new Map();
+        const queue = Array.from(new Set(urls));
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const url = queue.shift();
+                results.set(url, await this.probe(url));
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(this.concurrency, queue.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        return results;
+    }
+
+    trimCache() {
+        // Map iteration order is insertion order, so the oldest go first
+        while (this.cache.size > this.maxCacheEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    async probeUncached(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const head = await this.readRange(url, 0, this.headBytes - 1, controller.signal);
+            // bufferStart is the file offset of buffer[0]
+            let buffer = head.data;
+            let bufferStart = 0;
+            let bytesRead = head.data.length;
+            let boxes = readBoxes(buffer);
+
+            const ftyp = boxes.find(box => box.type === 'ftyp');
+            let moov = boxes.find(box => box.type === 'moov');
+
+            if (!moov) {
+                // moov after mdat: jump over the media data, reading only box
+                // headers until moov turns up. An mdat of size 0 runs to the
+                // end of the file, so nothing can follow it.
+                const last = boxes[boxes.length - 1];
+                let position = last && buffer.readUInt32BE(last.start) !== 0 ? last.start + last.size : null;
+
+                for (let hops = 0; !moov; hops++) {
+                    if (!position || hops >= MAX_TAIL_BOXES || (head.totalSize && position >= head.totalSize)) {
+                        throw new Error('No moov box found');
+                    }
+
+                    const header = await this.readRange(url, position, position + BOX_HEADER_BYTES - 1, controller.signal);
+                    bytesRead += header.data.length;
+                    const box = readBoxes(header.data)[0];
+                    if (!box) {
+                        throw new Error('No moov box found');
+                    }
+                    // A size of 0 runs to the end of the file, not of this read
+                    if (header.data.readUInt32BE(0) === 0) {
+                        if (!head.totalSize) {
+                            throw new Error('No moov box found');
+                        }
+                        box.size = head.totalSize - position;
+                        box.truncated = box.size > header.data.length;
+                    }
+
+                    if (box.type === 'moov') {
+                        buffer = header.data;
+                        bufferStart = position;
+                        moov = box;
+                    } else {
+                        position += box.size;
+                    }
+                }
+            }
+
+            if (moov.truncated) {
+                if (moov.size > this.maxMoovBytes) {
+                    throw new Error(`moov box too large to probe (${moov.size} bytes)`);
+                }
+                // Fetch the rest of the moov box and parse it again
+                const rangeStart = bufferStart + buffer.length;
+                const moovEnd = bufferStart + moov.start + moov.size;
+                const rest = await this.readRange(url, rangeStart, moovEnd - 1, controller.signal);
+                bytesRead += rest.data.length;
+                buffer = Buffer.concat([buffer, rest.data]);
+                moov = readBoxes(buffer).find(box => box.type === 'moov');
+                if (!moov || moov.truncated) {
+                    throw new Error('Incomplete moov box');
+                }
+            }
+
+            const movie = this.parseMovie(moov);
+
+            return {
+                brand: ftyp ? ftyp.data.toString('latin1', 8, 12) : null,
+                fragmented: !!findBox(moov, ['mvex']),
+                duration: movie.duration,
+                tracks: movie.tracks,
+                size: head.totalSize,
+                bytesRead: bytesRead
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Fetch bytes [start, end] and stop reading once they have arrived, even
+    // if the origin ignored the Range header and sent the whole file.
+    async readRange(url, start, end, signal) {
+        const response = await this.fetcher(url, `bytes=${start}-${end}`, { signal });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const isPartial = response.status === 206;
+        if (!isPartial && start > 0) {
+            throw new Error('Origin does not support range requests');
+        }
+
+        const wanted = end - start + 1;
+        const chunks = [];
+        let received = 0;
+
+        for await (const chunk of response.body) {
+            chunks.push(chunk);
+            received += chunk.length;
+            if (received >= wanted) {
+                break;
+            }
+        }
+
+        if (typeof response.body.destroy === 'function') {
+            response.body.destroy();
+        }
+
+        return {
+            data: Buffer.concat(chunks).subarray(0, wanted),
+            totalSize: this.parseTotalSize(response, isPartial)
+        };
+    }
+
+    parseTotalSize(response, isPartial) {
+        if (isPartial) {
+            const match = /\/(\d+)\s*$/.exec(response.headers.get('content-range') || '');
+            return match ? parseInt(match[1], 10) : null;
+        }
+        const length = parseInt(response.headers.get('content-length'), 10);
+        return Number.isFinite(length) ? length : null;
+    }
+
+    parseMovie(moov) {
+        const mvhd = findBox(moov, ['mvhd']);
+        const movieTime = mvhd ? this.readTimes(mvhd) : null;
+        const tracks = findAllBoxes(moov, 'trak').map(trak => this.parseTrack(trak));
+
+        // Fragmented files often leave mvhd.duration at 0; use mehd or the tracks instead
+        let duration = movieTime && movieTime.duration ? movieTime.duration / movieTime.timescale : null;
+        const mehd = findBox(moov, ['mvex', 'mehd']);
+        if (!duration && mehd && movieTime) {
+            const { version, payloadOffset } = readFullBoxHeader(mehd);
+            const fragmentDuration = version === 1
+                ? Number(mehd.data.readBigUInt64BE(payloadOffset))
+                : mehd.data.readUInt32BE(payloadOffset);
+            duration = fragmentDuration ? fragmentDuration / movieTime.timescale : null;
+        }
+        if (!duration) {
+            duration = Math.max(0, ...tracks.map(track => track.duration || 0)) || null;
+        }
+
+        return { duration, tracks };
+    }
+
+    parseTrack(trak) {
+        const tkhd = findBox(trak, ['tkhd']);
+        const mdhd = findBox(trak, ['mdia', 'mdhd']);
+        const hdlr = findBox(trak, ['mdia', 'hdlr']);
+        const stsd = findBox(trak, ['mdia', 'minf', 'stbl', 'stsd']);
+
+        const handler = hdlr ? hdlr.data.toString('latin1', hdlr.headerSize + 8, hdlr.headerSize + 12) : null;
+        const mediaTime = mdhd ? this.readTimes(mdhd) : null;
+
+        const track = {
+            id: tkhd ? this.readTrackId(tkhd) : null,
+            type: handler === 'vide' ? 'video' : handler === 'soun' ? 'audio' : (handler || 'unknown'),
+            handler: handler,
+            codec: stsd ? this.readCodec(stsd) : null,
+            duration: mediaTime && mediaTime.timescale ? mediaTime.duration / mediaTime.timescale : null,
+            timescale: mediaTime ? mediaTime.timescale : null
+        };
+
+        if (track.type === 'video' && tkhd) {
+            // Width and height are 16.16 fixed point at the end of tkhd
+            track.width = tkhd.data.readUInt32BE(tkhd.data.length - 8) >>> 16;
+            track.height = tkhd.data.readUInt32BE(tkhd.data.length - 4) >>> 16;
+        }
+
+        return track;
+    }
+
+    // mvhd and mdhd share the creation/modification/timescale/duration layout
+    readTimes(box) {
+        const { version, payloadOffset } = readFullBoxHeader(box);
+        if (version === 1) {
+            return {
+                timescale: box.data.readUInt32BE(payloadOffset + 16),
+                duration: Number(box.data.readBigUInt64BE(payloadOffset + 20))
+            };
+        }
+        return {
+            timescale: box.data.readUInt32BE(payloadOffset + 8),
+            duration: box.data.readUInt32BE(payloadOffset + 12)
+        };
+    }
+
+    readTrackId(tkhd) {
+        const { version, payloadOffset } = readFullBoxHeader(tkhd);
+        return tkhd.data.readUInt32BE(payloadOffset + (version === 1 ? 16 : 8));
+    }
+
+    // Codec string of the first sample entry, e.g. "avc1.64001f" or "mp4a"
+    readCodec(stsd) {
+        const { payloadOffset } = readFullBoxHeader(stsd);
+        const entry = readBoxes(stsd.data, payloadOffset + 4, stsd.data.length)[0];
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.type === 'avc1' || entry.type === 'avc3') {
+            // avcC follows the 78-byte VisualSampleEntry fields
+            const avcC = readBoxes(entry.data, entry.headerSize + 78, entry.data.length)
+                .find(box => box.type === 'avcC');
+            if (avcC && avcC.data.length >= avcC.headerSize + 4) {
+                const profile = avcC.data.subarray(avcC.headerSize + 1, avcC.headerSize + 4).toString('hex');
+                return `${entry.type}.${profile}`;
+            }
+        }
+
+        return entry.type;
+    }
+}
+
+module.exports = { Mp4Probe };
@@ -0,0 +1,184 @@
+// Fetches Facebook post pages server-side so users can paste a link instead
+// of the page source; private posts are fetched with the user's cookies. The
+// HTTP client is injectable so the fetcher can be pointed at a local fixture
+// server.
+
+const DEFAULT_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Sec-Fetch-Dest': 'document',
+    'Sec-Fetch-Mode': 'navigate',
+    'Sec-Fetch-Site': 'none',
+    'Upgrade-Insecure-Requests': '1'
+};
+
+const FACEBOOK_HOSTS = ['facebook.com', 'fb.watch', 'fb.com'];
+
+// Raised when a page cannot be fetched; `status` is the HTTP status to reply with
+class PageFetchError extends Error {
+    constructor(message, status = 502) {
+        super(message);
+        this.name = 'PageFetchError';
+        this.status = status;
+    }
+}
+
+function hostMatches(hostname, allowedHosts) {
+    return allowedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+// Returns a normalized URL for supported Facebook video links, or null.
+// Supported: /watch?v=, /reel/<id>, /<page>/videos/<id>, /videos/<id> and fb.watch/<code>
+function parseFacebookVideoUrl(input) {
+    let url;
+    try {
+        url = new URL(String(input).trim());
+    } catch {
+        return null;
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return null;
+    }
+
+    const hostname = url.hostname.toLowerCase();
+    url.protocol = 'https:';
+
+    if (hostname === 'fb.watch') {
+        return /^\/[A-Za-z0-9_-]+\/?$/.test(url.pathname) ? url.toString() : null;
+    }
+
+    if (!hostMatches(hostname, ['facebook.com'])) {
+        return null;
+    }
+
+    const path = url.pathname;
+    const isVideoPath =
+        (/^\/watch\/?$/.test(path) && url.searchParams.has('v')) ||
+        /^\/reel\/\d+\/?$/.test(path) ||
+        /^\/(?:[^/]+\/)?videos\/(?:[^/]+\/)*\d+\/?$/.test(path);
+
+    return isVideoPath ? url.toString() : null;
+}
+
+class PageFetcher {
+    constructor(options = {}) {
+        // fetch(url, init) with WHATWG fetch semantics; defaults to node-fetch
+        this.fetch = options.fetch || (async (url, init) => (await import('node-fetch')).default(url, init));
+        this.allowedHosts = options.allowedHosts || FACEBOOK_HOSTS;
+        // Names the site in error messages, e.g. 'YouTube returned HTTP 404'
+        this.site = options.site || 'Facebook';
+        this.maxRedirects = options.maxRedirects || 5;
+        this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+        this.timeout = options.timeout || 15000;
+        this.headers = { ...DEFAULT_HEADERS, ...(options.headers || {}) };
+    }
+
+    // Fetch the HTML of a page, following redirects manually so every hop
+    // can be checked against the allowed hosts. options.cookies (a CookieJar
+    // from lib/cookie-jar.js) adds the user's cookies that match each hop.
+    async fetchHtml(startUrl, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const headers = { ...this.headers, ...(options.headers || {}) };
+
+        try {
+            let url = startUrl;
+
+            for (let hop = 0; hop <= this.maxRedirects; hop++) {
+                this.assertAllowed(url);
+
+                const response = await this.fetch(url, {
+                    headers: this.withCookies(headers, url, options.cookies),
+                    redirect: 'manual',
+                    signal: controller.signal
+                });
+
+                if (response.status >= 300 && response.status < 400) {
+                    const location = response.headers.get('location');
+                    if (!location) {
+                        throw new PageFetchError(`Redirect without a location from ${url}`);
+                    }
+                    url = new URL(location, url).toString();
+                    if (this.isLoginPage(url)) {
+                        throw options.cookies
+                            ? new PageFetchError(`${this.site} asked to log in: the cookies are expired or from a logged-out session. Export them again.`, 401)
+                            : new PageFetchError(`This post needs a login. Add your ${this.site} cookies or paste the page source instead.`, 403);
+                    }
+                    continue;
+                }
+
+                if (!response.ok) {
+                    const status = response.status === 404 ? 404 : 502;
+                    throw new PageFetchError(`${this.site} returned HTTP ${response.status} for this link`, status);
+                }
+
+                const html = await this.readText(response);
+                return { url: url, html: html };
+            }
+
+            throw new PageFetchError('Too many redirects');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new PageFetchError('Timed out while fetching the page', 504);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // The user's cookies go after any the fetcher sends itself (e.g. consent)
+    withCookies(headers, url, cookies) {
+        const cookie = cookies ? cookies.headerFor(url) : null;
+        if (!cookie) {
+            return headers;
+        }
+        return { ...headers, 'Cookie': headers['Cookie'] ? `${headers['Cookie']}; ${cookie}` : cookie };
+    }
+
+    isLoginPage(url) {
+        try {
+            return /^\/(login|checkpoint)\b/.test(new URL(url).pathname);
+        } catch {
+            return false;
+        }
+    }
+
+    assertAllowed(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new PageFetchError(`Invalid redirect URL: ${url}`);
+        }
+        const hostname = parsed.hostname.toLowerCase();
+
+        // A plain HTTP hop would send the user's cookies in the clear
+        if (parsed.protocol !== 'https:') {
+            throw new PageFetchError(`Refusing to fetch ${hostname} over plain HTTP`, 400);
+        }
+
+        if (!hostMatches(hostname, this.allowedHosts)) {
+            throw new PageFetchError(`Refusing to fetch ${hostname}: not one of the ${this.site} hosts`, 400);
+        }
+    }
+
+    async readText(response) {
+        const chunks = [];
+        let received = 0;
+
+        for await (const chunk of response.body) {
+            received += chunk.length;
+            if (received > this.maxBytes) {
+                throw new PageFetchError('The page is too large to process', 413);
+            }
+            chunks.push(Buffer.from(chunk));
+        }
+
+        return Buffer.concat(chunks).toString('utf8');
+    }
+}
+
+module.exports = { PageFetcher, PageFetchError, parseFacebookVideoUrl, hostMatches };
@@ -0,0 +1,338 @@
+// Single-pass tokenizer for page sources and the named rules applied to its
+// tokens. The scanner walks the HTML once and yields:
+//
+//   { type: 'string', key, value, raw, context, index, parent }
+//       a quoted value: a JSON string (`key` is the property name when it
+//       directly follows "name":), or an HTML attribute (`key` is the
+//       attribute name, context 'attribute')
+//   { type: 'url', key, value, raw, context, index, parent }
+//       an http(s) URL literal in text, or inside a string token that does
+//       not start with it (`parent` is that string token)
+//
+// JSON nested inside a string (escaped quotes) or an attribute (&quot;) is
+// decoded and scanned again; those tokens have `parent` set as well.
+
+const URL_END = /["'\s<>]/g;
+const ENTITIES = { amp: '&', quot: '"', lt: '<', gt: '>', apos: "'", '#39': "'", '#x27': "'", '#x2F': '/' };
+const MAX_DEPTH = 3;
+
+function decodeEntities(text) {
+    return text.indexOf('&') === -1 ? text : text.replace(/&(amp|quot|lt|gt|apos|#39|#x27|#x2F);/g, (match, name) => ENTITIES[name]);
+}
+
+// JSON string escapes, with a lenient fallback for the odd invalid escape
+function decodeJsonText(raw) {
+    if (raw.indexOf('\\') === -1) {
+        return raw;
+    }
+    try {
+        return JSON.parse(`"${raw}"`);
+    } catch {
+        return raw
+            .replace(/\\u([0-9a-fA-F]{4})/g, (match, code) => String.fromCharCode(parseInt(code, 16)))
+            .replace(/\\(.)/g, '$1');
+    }
+}
+
+// Values are decoded on first use; most tokens are never looked at
+class ScanToken {
+    constructor(fields) {
+        Object.assign(this, fields);
+        this.decoded = undefined;
+    }
+
+    get value() {
+        if (this.decoded === undefined) {
+            if (this.context === 'attribute') {
+                this.decoded = decodeEntities(this.raw);
+            } else {
+                // URLs in page text may still carry HTML entities (&amp;)
+                this.decoded = this.type === 'url' ? decodeEntities(decodeJsonText(this.raw)) : decodeJsonText(this.raw);
+            }
+        }
+        return this.decoded;
+    }
+}
+
+// Index of the quote closing the string opened at `start`, or -1. Strings do
+// not span lines, so a stray quote in page text costs one line at most.
+function findStringEnd(text, start, quote, state) {
+    if (state.newline < start) {
+        state.newline = text.indexOf('\n', start);
+        if (state.newline === -1) state.newline = text.length;
+    }
+
+    let end = start;
+    while (true) {
+        end = text.indexOf(quote, end + 1);
+        if (end === -1 || end > state.newline) {
+            return -1;
+        }
+        if (quote === "'") {
+            return end;
+        }
+        let backslashes = 0;
+        for (let i = end - 1; i > start && text.charCodeAt(i) === 92; i--) {
+            backslashes++;
+        }
+        if (backslashes % 2 === 0) {
+            return end;
+        }
+    }
+}
+
+// Attribute name when the quote at `index` follows `name=`, else null
+function attributeName(text, index) {
+    let i = index - 1;
+    while (i >= 0 && text.charCodeAt(i) <= 32) i--;
+    if (text[i] !== '=') {
+        return null;
+    }
+    i--;
+    while (i >= 0 && text.charCodeAt(i) <= 32) i--;
+    const end = i + 1;
+    while (i >= 0 && /[\w:-]/.test(text[i])) i--;
+    return end > i + 1 ? text.slice(i + 1, end).toLowerCase() : null;
+}
+
+// Index just past the colon when only whitespace and a colon follow `index`, else -1
+function colonAfter(text, index) {
+    let i = index;
+    while (i < text.length && text.charCodeAt(i) <= 32) i++;
+    return text[i] === ':' ? i + 1 : -1;
+}
+
+function urlEnd(text, start) {
+    URL_END.lastIndex = start;
+    const match = URL_END.exec(text);
+    let end = match ? match.index : text.length;
+    // A URL inside a JSON string ends before its escaped closing quote
+    while (end > start && text.charCodeAt(end - 1) === 92) end--;
+    return end;
+}
+
+function* urlTokens(parent) {
+    const raw = parent.raw;
+    let from = 1;
+    let index;
+    while ((index = raw.indexOf('http', from)) !== -1) {
+        const end = urlEnd(raw, index);
+        if (/^https?:/.test(raw.slice(index, index + 6))) {
+            yield new ScanToken({ type: 'url', key: parent.key, raw: raw.slice(index, end), context: parent.context, index: parent.index, parent: parent });
+        }
+        from = Math.max(end, index + 4);
+    }
+}
+
+// Finds the next double quote, single quote or http(s): URL start. Each kind
+// keeps its own next position, so the text is searched with indexOf (much
+// faster than an alternation regex) and every character is visited once.
+class TriggerFinder {
+    constructor(text) {
+        this.text = text;
+        this.double = -1;
+        this.single = -1;
+        this.url = -1;
+    }
+
+    // Returns [index, kind] with kind '"', "'" or 'url', or null at the end
+    next(from) {
+        if (this.double !== Infinity && this.double < from) this.double = this.find('"', from);
+        if (this.single !== Infinity && this.single < from) this.single = this.find("'", from);
+        if (this.url !== Infinity && this.url < from) this.url = this.findUrl(from);
+
+        const index = Math.min(this.double, this.single, this.url);
+        if (index === Infinity) {
+            return null;
+        }
+        return [index, index === this.double ? '"' : index === this.single ? "'" : 'url'];
+    }
+
+    find(char, from) {
+        const index = this.text.indexOf(char, from);
+        return index === -1 ? Infinity : index;
+    }
+
+    findUrl(from) {
+        let index = from;
+        while ((index = this.text.indexOf('http', index)) !== -1) {
+            const next = this.text.charCodeAt(index + 4);
+            // "http:" or "https:"
+            if (next === 58 || (next === 115 && this.text.charCodeAt(index + 5) === 58)) {
+                return index;
+            }
+            index += 4;
+        }
+        return Infinity;
+    }
+}
+
+function* scanTokens(text, options = {}) {
+    const depth = options.depth || 0;
+    const offset = options.offset || 0;
+    const parent = options.parent || null;
+    const state = { newline: -1 };
+    const triggers = new TriggerFinder(text);
+    let pendingKey = null;
+    let valueStart = -1;
+    let position = 0;
+    let trigger;
+
+    while ((trigger = triggers.next(position)) !== null) {
+        const [index, kind] = trigger;
+        position = index + 1;
+
+        if (kind === 'url') {
+            const end = urlEnd(text, index);
+            yield new ScanToken({ type: 'url', key: null, raw: text.slice(index, end), context: 'text', index: offset + index, parent: parent });
+            position = Math.max(end, index + 1);
+            continue;
+        }
+
+        const attribute = attributeName(text, index);
+        // Single quotes only delimit attribute values; elsewhere they are apostrophes
+        if (kind === "'" && !attribute) {
+            continue;
+        }
+
+        const end = findStringEnd(text, index, kind, state);
+        if (end === -1) {
+            continue;
+        }
+        position = end + 1;
+        const raw = text.slice(index + 1, end);
+
+        if (!attribute) {
+            const afterColon = colonAfter(text, end + 1);
+            if (afterColon !== -1) {
+                pendingKey = decodeJsonText(raw);
+                valueStart = afterColon;
+                continue;
+            }
+        }
+
+        // The key applies only when this string is the property's value itself
+        let direct = !attribute && valueStart !== -1;
+        for (let i = valueStart; direct && i < index; i++) {
+            direct = text.charCodeAt(i) <= 32;
+        }
+        const token = new ScanToken({
+            type: 'string',
+            key: attribute || (direct ? pendingKey : null),
+            raw: raw,
+            context: attribute ? 'attribute' : 'json',
+            index: offset + index,
+            parent: parent
+        });
+        pendingKey = null;
+        valueStart = -1;
+        yield token;
+
+        const nested = token.context === 'attribute' ? raw.indexOf('&quot;') !== -1 : raw.indexOf('\\"') !== -1;
+        if (nested && depth < MAX_DEPTH) {
+            yield* scanTokens(token.value, { depth: depth + 1, offset: offset + index, parent: token });
+        } else if (raw.indexOf('http', 1) !== -1) {
+            yield* urlTokens(token);
+        }
+    }
+}
+
+// Named rules applied to the token stream. A rule is a plain object:
+//
+//   {
+//       id: 'facebook.video-key',       // stable name, used in logs and stats
+//       priority: 80,                   // higher runs first and wins duplicates
+//       match(token, context) { ... },  // candidate URL(s) for a token, or null
+//       validate(url, token, context),  // optional; defaults to the set's validate
+//       create(url, token, context)     // optional; builds the result item
+//   }
+//
+// Each token is claimed by the first rule that accepts one of its candidates;
+// tokens inside a claimed token are skipped. A URL found by several rules
+// keeps the result of the highest-priority one.
+class ScanRules {
+    constructor(options = {}) {
+        this.rules = [];
+        this.validate = options.validate || (() => true);
+        this.create = options.create || (url => ({ url: url }));
+    }
+
+    add(rule) {
+        if (!rule || !rule.id || typeof rule.match !== 'function') {
+            throw new TypeError('A scan rule needs an id and a match() function');
+        }
+        if (this.get(rule.id)) {
+            throw new Error(`Scan rule "${rule.id}" is already registered`);
+        }
+
+        this.rules.push({ priority: 0, ...rule });
+        // Array.prototype.sort is stable, so equal priorities keep insertion order
+        this.rules.sort((a, b) => b.priority - a.priority);
+        return this;
+    }
+
+    get(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    ids() {
+        return this.rules.map(rule => rule.id);
+    }
+
+    // Returns { matches: [{ rule, url, item, index }], counts: { [rule id]: n } },
+    // matches ordered by rule priority and then position in the page
+    run(text, context) {
+        const found = new Map();
+        const claimed = new Set();
+        const counts = {};
+
+        for (const token of scanTokens(text)) {
+            if (token.parent && claimed.has(token.parent)) {
+                claimed.add(token);
+                continue;
+            }
+
+            for (const rule of this.rules) {
+                if (this.apply(rule, token, context, found, counts)) {
+                    claimed.add(token);
+                    break;
+                }
+            }
+        }
+
+        const matches = Array.from(found.values()).sort((a, b) => b.priority - a.priority || a.index - b.index);
+        return {
+            matches: matches.map(({ rule, url, item, index }) => ({ rule, url, item, index })),
+            counts: counts
+        };
+    }
+
+    apply(rule, token, context, found, counts) {
+        const candidates = rule.match(token, context);
+        if (!candidates) {
+            return false;
+        }
+
+        const validate = rule.validate || this.validate;
+        const create = rule.create || this.create;
+        let accepted = false;
+
+        for (const url of [].concat(candidates)) {
+            if (!url || !validate(url, token, context)) {
+                continue;
+            }
+            accepted = true;
+
+            const existing = found.get(url);
+            if (existing && existing.priority >= rule.priority) {
+                continue;
+            }
+
+            found.set(url, { rule: rule.id, priority: rule.priority, url: url, item: create(url, token, context), index: token.index });
+            counts[rule.id] = (counts[rule.id] || 0) + 1;
+        }
+        return accepted;
+    }
+}
+
+module.exports = { scanTokens, ScanRules, decodeEntities, decodeJsonText };
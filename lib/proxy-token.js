@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+// Raised when a proxy link is missing, tampered with or expired. `code` lets
+// the client tell an expired link (re-extract) from a bad one.
+class ProxyTokenError extends Error {
+    constructor(message, code, status = 403) {
+        super(message);
+        this.name = 'ProxyTokenError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// Signs and checks the opaque tokens in /proxy-video, /download, /mux and
+// /hls links. A token is "<payload>.<signature>" in base64url: the payload
+// holds the CDN URL, the expiry, for downloads the file name and for merges
+// the audio URL. The HMAC also covers the client IP when links are bound to
+// it; the IP itself is not stored.
+class ProxyTokenSigner {
+    constructor(options = {}) {
+        // Without a configured secret, links stop working when the server restarts
+        this.secret = options.secret || crypto.randomBytes(32);
+        this.ttl = options.ttl || 6 * 60 * 60 * 1000;
+        this.bindIp = Boolean(options.bindIp);
+        this.now = options.now || Date.now;
+    }
+
+    // extra: { filename, audioUrl }
+    sign(url, clientIp, extra = {}) {
+        const payload = {
+            u: url,
+            e: Math.floor((this.now() + this.ttl) / 1000)
+        };
+        if (extra.filename) {
+            payload.n = extra.filename;
+        }
+        if (extra.audioUrl) {
+            payload.a = extra.audioUrl;
+        }
+        if (this.bindIp) {
+            payload.b = 1;
+        }
+
+        const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        return `${encoded}.${this.signature(encoded, payload.b ? clientIp : '')}`;
+    }
+
+    // Returns { url, expiresAt, filename, audioUrl } for a valid token
+    verify(token, clientIp) {
+        if (!token || typeof token !== 'string') {
+            throw new ProxyTokenError('This link is missing its access token. Extract the video again.', 'TOKEN_MISSING', 401);
+        }
+
+        const [encoded, signature, extra] = token.split('.');
+        if (!encoded || !signature || extra !== undefined) {
+            throw new ProxyTokenError('Invalid access token', 'TOKEN_INVALID');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        } catch {
+            throw new ProxyTokenError('Invalid access token', 'TOKEN_INVALID');
+        }
+
+        const expected = Buffer.from(this.signature(encoded, payload.b ? clientIp : ''));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            throw new ProxyTokenError('Invalid access token', 'TOKEN_INVALID');
+        }
+
+        if (typeof payload.u !== 'string' || !Number.isFinite(payload.e)) {
+            throw new ProxyTokenError('Invalid access token', 'TOKEN_INVALID');
+        }
+        if (payload.e * 1000 <= this.now()) {
+            throw new ProxyTokenError('This link has expired. Extract the video again.', 'TOKEN_EXPIRED');
+        }
+
+        return {
+            url: payload.u,
+            expiresAt: new Date(payload.e * 1000).toISOString(),
+            filename: typeof payload.n === 'string' ? payload.n : null,
+            audioUrl: typeof payload.a === 'string' ? payload.a : null
+        };
+    }
+
+    // Relative /proxy-video link for a CDN URL
+    link(url, clientIp) {
+        return `/proxy-video?token=${this.sign(url, clientIp)}`;
+    }
+
+    // Relative /download link that saves the CDN URL under `filename`
+    downloadLink(url, filename, clientIp) {
+        return `/download/${this.sign(url, clientIp, { filename: filename })}`;
+    }
+
+    // Relative /mux link that merges a video-only and an audio-only track
+    muxLink(videoUrl, audioUrl, clientIp) {
+        return `/mux?token=${this.sign(videoUrl, clientIp, { audioUrl: audioUrl })}`;
+    }
+
+    // Relative /hls link for a playlist, optionally with a separate audio playlist
+    hlsLink(url, clientIp, audioUrl) {
+        return `/hls?token=${this.sign(url, clientIp, { audioUrl: audioUrl })}`;
+    }
+
+    signature(encoded, clientIp) {
+        return crypto.createHmac('sha256', this.secret)
+            .update(`${encoded}|${clientIp || ''}`)
+            .digest('base64url');
+    }
+}
+
+module.exports = { ProxyTokenSigner, ProxyTokenError };
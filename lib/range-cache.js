@@ -0,0 +1,418 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { cdnUrlExpiry } = require('./video-utils');
+
+// Query parameters that change between extractions of the same file:
+// signatures, expiry and routing hints. Every _nc_ parameter is one of these.
+const VOLATILE_PARAMS = ['oh', 'oe', 'ccb', 'edm', 'efg', 'stp', 'dl'];
+
+// Hosts whose URLs carry many session parameters; only these identify the file
+const KEY_PARAMS = {
+    'googlevideo.com': ['id', 'itag', 'clen']
+};
+
+// Cache key for a CDN URL: the registrable domain (edge hosts such as
+// scontent-lax3-1.xx.fbcdn.net serve the same files), the path and the
+// parameters that select the content, e.g. bytestart/byteend on DASH URLs.
+function normalizeCacheUrl(input) {
+    const url = new URL(input);
+    const domain = url.hostname.toLowerCase().split('.').slice(-2).join('.');
+    const keep = KEY_PARAMS[domain];
+
+    const params = Array.from(url.searchParams)
+        .filter(([name]) => keep
+            ? keep.includes(name)
+            : !name.startsWith('_nc_') && !VOLATILE_PARAMS.includes(name))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+    const query = new URLSearchParams(params).toString();
+    return `${domain}${url.pathname}${query ? `?${query}` : ''}`;
+}
+
+// "bytes=a-b", "bytes=a-" or "bytes=-n". Multiple ranges return null so the
+// request bypasses the cache.
+function parseRangeHeader(header) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+    return {
+        start: match[1] === '' ? null : parseInt(match[1], 10),
+        end: match[2] === '' ? null : parseInt(match[2], 10)
+    };
+}
+
+// Add [start, end] to a sorted list of disjoint inclusive ranges, merging neighbours
+function addRange(ranges, start, end) {
+    const merged = [];
+    let current = [start, end];
+
+    ranges.forEach(range => {
+        if (range[1] + 1 < current[0] || range[0] > current[1] + 1) {
+            merged.push(range);
+        } else {
+            current = [Math.min(range[0], current[0]), Math.max(range[1], current[1])];
+        }
+    });
+
+    merged.push(current);
+    return merged.sort((a, b) => a[0] - b[0]);
+}
+
+// Split [start, end] into cached and missing pieces
+function coverage(ranges, start, end) {
+    const pieces = [];
+    let position = start;
+
+    ranges.forEach(([rangeStart, rangeEnd]) => {
+        if (rangeEnd < position || rangeStart > end || position > end) return;
+        if (rangeStart > position) {
+            pieces.push({ start: position, end: rangeStart - 1, cached: false });
+        }
+        pieces.push({ start: Math.max(position, rangeStart), end: Math.min(end, rangeEnd), cached: true });
+        position = Math.min(end, rangeEnd) + 1;
+    });
+
+    if (position <= end) {
+        pieces.push({ start: position, end: end, cached: false });
+    }
+    return pieces;
+}
+
+// Byte-range cache for proxied CDN files. Each file is one sparse file on
+// disk holding whichever ranges have been fetched, plus a JSON sidecar with
+// the ranges and response headers. Requests are answered from disk where the
+// ranges are cached and from the CDN for the gaps, which are written back.
+// Entries expire with the CDN URL (oe=) and are evicted least recently used
+// first once the cache is over its size cap.
+class RangeCache {
+    constructor(options = {}) {
+        this.directory = options.directory;
+        this.maxBytes = options.maxBytes || 1024 * 1024 * 1024;
+        // For CDN URLs without an expiry parameter
+        this.defaultTtl = options.defaultTtl || 6 * 60 * 60 * 1000;
+        // fetch(url, range, init) -> WHATWG Response, like fetchVideo in server.js
+        this.fetch = options.fetch;
+        this.now = options.now || Date.now;
+        this.entries = new Map();
+        this.disabled = false;
+        this.ready = this.load().catch(error => {
+            console.log(`❌ Range cache disabled: ${error.message}`);
+            this.disabled = true;
+        });
+    }
+
+    // Read the sidecars left by a previous run and drop anything stale
+    async load() {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const files = await fs.promises.readdir(this.directory);
+
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            try {
+                const entry = JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8'));
+                await fs.promises.access(this.dataPath(entry));
+                this.entries.set(entry.key, { ...entry, readers: 0 });
+            } catch {
+                await this.removeFiles(file.replace(/\.json$/, ''));
+            }
+        }
+
+        const known = new Set(Array.from(this.entries.values(), entry => entry.hash));
+        await Promise.all(files
+            .filter(name => name.endsWith('.bin') && !known.has(name.replace(/\.bin$/, '')))
+            .map(name => fs.promises.rm(path.join(this.directory, name), { force: true })));
+
+        await this.evict();
+    }
+
+    // Same contract as fetchVideo: returns a Response-like object whose body
+    // is a Node stream. HEAD and multi-range requests go straight to the CDN.
+    async fetchRange(url, range, init = {}) {
+        await this.ready;
+        if (this.disabled) {
+            return this.fetch(url, range, init);
+        }
+
+        const requested = range ? parseRangeHeader(range) : { start: 0, end: null };
+        if (init.method === 'HEAD' || !requested) {
+            return this.fetch(url, range, init);
+        }
+
+        const key = normalizeCacheUrl(url);
+        let entry = this.entries.get(key);
+        if (entry && entry.expiresAt <= this.now()) {
+            await this.remove(entry);
+            entry = null;
+        }
+
+        if (entry) {
+            entry.expiresAt = Math.max(entry.expiresAt, this.expiryFor(url));
+        }
+
+        if (entry && entry.size) {
+            const start = requested.start === null ? Math.max(0, entry.size - requested.end) : requested.start;
+            const end = requested.start === null || requested.end === null ? entry.size - 1 : Math.min(requested.end, entry.size - 1);
+
+            if (start >= entry.size) {
+                return { status: 416, ok: false, url: url, headers: new Map([['content-range', `bytes */${entry.size}`]]) };
+            }
+
+            const pieces = coverage(entry.ranges, start, end);
+            if (pieces.some(piece => piece.cached)) {
+                entry.lastAccess = this.now();
+                return this.cachedResponse(entry, url, start, end, pieces, Boolean(range), init);
+            }
+        }
+
+        const response = await this.fetch(url, range, init);
+        return this.teeResponse(key, url, response);
+    }
+
+    // Pass a CDN response through, writing what it carries into the cache
+    async teeResponse(key, url, response) {
+        if ((response.status !== 200 && response.status !== 206) || !response.body) {
+            return response;
+        }
+
+        const contentRange = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers.get('content-range') || '');
+        const length = parseInt(response.headers.get('content-length'), 10);
+        const offset = response.status === 206 ? (contentRange ? parseInt(contentRange[1], 10) : null) : 0;
+        if (offset === null) {
+            return response;
+        }
+
+        const size = response.status === 200
+            ? (Number.isFinite(length) ? length : null)
+            : (contentRange && contentRange[2] !== '*' ? parseInt(contentRange[2], 10) : null);
+        const etag = response.headers.get('etag') || null;
+
+        let entry = this.entries.get(key);
+        if (entry && ((etag && entry.etag && etag !== entry.etag) || (size && entry.size && size !== entry.size))) {
+            // The file changed on the CDN; start over
+            await this.remove(entry);
+            entry = null;
+        }
+        if (!entry) {
+            entry = this.createEntry(key, url);
+        }
+
+        entry.size = entry.size || size;
+        entry.etag = entry.etag || etag;
+        entry.contentType = response.headers.get('content-type') || entry.contentType;
+        entry.lastModified = response.headers.get('last-modified') || entry.lastModified;
+        entry.lastAccess = this.now();
+
+        const body = Readable.from(this.writeThrough(entry, response.body, offset));
+        return {
+            status: response.status,
+            ok: true,
+            url: response.url || url,
+            headers: response.headers,
+            body: body
+        };
+    }
+
+    // Answer from disk, fetching the missing pieces from the CDN on the way
+    cachedResponse(entry, url, start, end, pieces, isRange, init) {
+        const headers = new Map([
+            ['content-type', entry.contentType || 'video/mp4'],
+            ['content-length', String(end - start + 1)]
+        ]);
+        if (entry.etag) headers.set('etag', entry.etag);
+        if (entry.lastModified) headers.set('last-modified', entry.lastModified);
+        if (isRange) headers.set('content-range', `bytes ${start}-${end}/${entry.size}`);
+
+        const cache = this;
+        async function* read() {
+            entry.readers++;
+            try {
+                for (const piece of pieces) {
+                    if (piece.cached) {
+                        yield* fs.createReadStream(cache.dataPath(entry), { start: piece.start, end: piece.end });
+                        continue;
+                    }
+
+                    const response = await cache.fetch(url, `bytes=${piece.start}-${piece.end}`, init);
+                    const mismatch = response.status === 206 ? cache.gapMismatch(entry, response, piece.start) : null;
+                    if (response.status !== 206 || mismatch) {
+                        if (response.body && typeof response.body.destroy === 'function') response.body.destroy();
+                        if (!mismatch) {
+                            throw new Error(`HTTP ${response.status} while filling cached range ${piece.start}-${piece.end}`);
+                        }
+                        // The file changed on the CDN. Bytes already sent are
+                        // from the cached version, so the response cannot go
+                        // on; the next request fetches the new file.
+                        await cache.remove(entry);
+                        throw new Error(`${mismatch} while filling cached range ${piece.start}-${piece.end}; dropped the cache entry`);
+                    }
+                    yield* cache.writeThrough(entry, response.body, piece.start);
+                }
+            } finally {
+                await cache.release(entry);
+            }
+        }
+
+        return { status: isRange ? 206 : 200, ok: true, url: url, headers: headers, body: Readable.from(read()) };
+    }
+
+    // Why a 206 for a gap at `start` does not belong in the entry's file, or
+    // null when it does
+    gapMismatch(entry, response, start) {
+        const contentRange = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers.get('content-range') || '');
+        if (!contentRange || parseInt(contentRange[1], 10) !== start) {
+            return 'The CDN answered at the wrong offset';
+        }
+        if (contentRange[2] !== '*' && entry.size && parseInt(contentRange[2], 10) !== entry.size) {
+            return 'The file size changed on the CDN';
+        }
+
+        const etag = response.headers.get('etag');
+        if (etag && entry.etag && etag !== entry.etag) {
+            return 'The ETag changed on the CDN';
+        }
+        const lastModified = response.headers.get('last-modified');
+        if (lastModified && entry.lastModified && lastModified !== entry.lastModified) {
+            return 'The Last-Modified date changed on the CDN';
+        }
+        return null;
+    }
+
+    // Yield the chunks of `body` while writing them at `offset` in the entry's
+    // file. A disk error only stops the caching, never the download.
+    async *writeThrough(entry, body, offset) {
+        let handle = null;
+        let position = offset;
+        entry.readers++;
+
+        try {
+            handle = await fs.promises.open(this.dataPath(entry), fs.constants.O_RDWR | fs.constants.O_CREAT);
+        } catch (error) {
+            console.log(`❌ Range cache disabled for this stream: ${error.message}`);
+        }
+
+        try {
+            for await (const data of body) {
+                const chunk = Buffer.from(data);
+                if (handle) {
+                    try {
+                        await handle.write(chunk, 0, chunk.length, position);
+                        entry.ranges = addRange(entry.ranges, position, position + chunk.length - 1);
+                    } catch (error) {
+                        console.log(`❌ Range cache write failed: ${error.message}`);
+                        await handle.close().catch(() => {});
+                        handle = null;
+                    }
+                }
+                position += chunk.length;
+                yield chunk;
+            }
+        } finally {
+            if (handle) {
+                await handle.close().catch(() => {});
+            }
+            await this.release(entry);
+            entry.bytes = entry.ranges.reduce((total, [start, end]) => total + end - start + 1, 0);
+            await this.save(entry);
+            await this.evict();
+        }
+    }
+
+    createEntry(key, url) {
+        const entry = {
+            key: key,
+            // Random per entry, so a replaced entry's files never share a
+            // name with its successor's while its last readers finish
+            hash: crypto.createHash('sha256').update(key).update(crypto.randomBytes(16)).digest('hex').substring(0, 32),
+            size: null,
+            contentType: null,
+            etag: null,
+            lastModified: null,
+            ranges: [],
+            bytes: 0,
+            expiresAt: this.expiryFor(url),
+            lastAccess: this.now(),
+            readers: 0
+        };
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    expiryFor(url) {
+        return cdnUrlExpiry(url) || this.now() + this.defaultTtl;
+    }
+
+    totalBytes() {
+        let total = 0;
+        this.entries.forEach(entry => { total += entry.bytes; });
+        return total;
+    }
+
+    // Drop expired entries, then least recently used ones until under the cap.
+    // Entries that are being read or written are left alone.
+    async evict() {
+        const now = this.now();
+        for (const entry of Array.from(this.entries.values())) {
+            if (entry.expiresAt <= now && entry.readers === 0) {
+                await this.remove(entry);
+            }
+        }
+
+        const candidates = Array.from(this.entries.values())
+            .filter(entry => entry.readers === 0)
+            .sort((a, b) => a.lastAccess - b.lastAccess);
+
+        while (this.totalBytes() > this.maxBytes && candidates.length > 0) {
+            await this.remove(candidates.shift());
+        }
+    }
+
+    // Drop an entry. Its files stay until the last reader or writer releases it.
+    async remove(entry) {
+        if (this.entries.get(entry.key) === entry) {
+            this.entries.delete(entry.key);
+        }
+        entry.removed = true;
+        if (entry.readers === 0) {
+            await this.removeFiles(entry.hash);
+        }
+    }
+
+    async release(entry) {
+        entry.readers--;
+        if (entry.removed && entry.readers === 0) {
+            await this.removeFiles(entry.hash);
+        }
+    }
+
+    async removeFiles(hash) {
+        await Promise.all([
+            fs.promises.rm(path.join(this.directory, `${hash}.bin`), { force: true }),
+            fs.promises.rm(path.join(this.directory, `${hash}.json`), { force: true })
+        ]);
+    }
+
+    async save(entry) {
+        if (this.entries.get(entry.key) !== entry) {
+            return;
+        }
+
+        const { readers, ...stored } = entry;
+        try {
+            await fs.promises.writeFile(path.join(this.directory, `${entry.hash}.json`), JSON.stringify(stored));
+        } catch (error) {
+            console.log(`❌ Could not save range cache entry: ${error.message}`);
+        }
+    }
+
+    dataPath(entry) {
+        return path.join(this.directory, `${entry.hash}.bin`);
+    }
+
+    stats() {
+        return { entries: this.entries.size, bytes: this.totalBytes(), maxBytes: this.maxBytes };
+    }
+}
+
+module.exports = { RangeCache, normalizeCacheUrl, parseRangeHeader };
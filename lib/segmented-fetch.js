@@ -0,0 +1,256 @@
+const { Readable } = require('stream');
+const { parseRangeHeader } = require('./range-cache');
+
+// Upper bound for one segment. At most `connections` segments are held in
+// memory per stream, so this bounds what a slow client can pile up.
+const MAX_SEGMENT_SIZE = 4 * 1024 * 1024;
+
+// CDN answers that another attempt will not fix
+const PERMANENT_STATUSES = new Set([401, 403, 404, 410, 416]);
+
+// Raised when a segment cannot be fetched or the bytes received do not add
+// up to the length promised to the client
+class SegmentedFetchError extends Error {
+    constructor(message, upstreamStatus = null) {
+        super(message);
+        this.name = 'SegmentedFetchError';
+        this.status = 502;
+        this.upstreamStatus = upstreamStatus;
+    }
+}
+
+// One byte range of the file: filled by its download, drained in order
+class Segment {
+    constructor(start, end) {
+        this.start = start;
+        this.end = end;
+        this.length = end - start + 1;
+        this.received = 0;
+        this.chunks = [];
+        this.done = false;
+        this.error = null;
+        this.wake = null;
+    }
+
+    push(chunk) {
+        this.received += chunk.length;
+        this.chunks.push(chunk);
+        this.notify();
+    }
+
+    finish(error = null) {
+        this.done = true;
+        this.error = error;
+        this.notify();
+    }
+
+    notify() {
+        if (this.wake) {
+            const wake = this.wake;
+            this.wake = null;
+            wake();
+        }
+    }
+
+    async *read() {
+        for (;;) {
+            if (this.chunks.length > 0) {
+                yield this.chunks.shift();
+            } else if (this.error) {
+                throw this.error;
+            } else if (this.done) {
+                return;
+            } else {
+                await new Promise(resolve => { this.wake = resolve; });
+            }
+        }
+    }
+}
+
+// fbcdn throttles each connection, so one stream of a large file is slow
+// while several Range requests for consecutive segments of it are not. The
+// first request is the client's own (bytes=0- when it sent no Range); once
+// its Content-Range shows the origin honours ranges and the file is at least
+// `minSize`, the rest is split into segments fetched `connections` at a time
+// and handed on in order. A failed segment is retried from its last byte.
+// Origins that ignore Range get the plain single-stream response.
+class SegmentedFetcher {
+    // fetch(url, range, init) has fetchVideo's contract
+    constructor(options = {}) {
+        this.fetch = options.fetch;
+        this.connections = options.connections !== undefined ? options.connections : 4;
+        this.minSize = options.minSize !== undefined ? options.minSize : 16 * 1024 * 1024;
+        this.maxSegmentSize = options.maxSegmentSize || MAX_SEGMENT_SIZE;
+        this.retries = options.retries !== undefined ? options.retries : 3;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 250;
+    }
+
+    // Same contract as fetchVideo: returns a Response-like object whose body
+    // is a Node stream. HEAD and multi-range requests go straight through.
+    async fetchRange(url, range, init = {}) {
+        const requested = range ? parseRangeHeader(range) : { start: 0, end: null };
+        if (this.connections <= 1 || init.method === 'HEAD' || !requested) {
+            return this.fetch(url, range, init);
+        }
+
+        // Asking for bytes=0- rather than nothing tells whether Range works
+        const response = await this.fetch(url, range || 'bytes=0-', init);
+        const contentRange = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(response.headers.get('content-range') || '');
+        if (response.status !== 206 || !contentRange || !response.body) {
+            return response;
+        }
+
+        const start = parseInt(contentRange[1], 10);
+        const end = parseInt(contentRange[2], 10);
+        const headers = new Map([
+            ['content-type', response.headers.get('content-type') || 'video/mp4'],
+            ['content-length', String(end - start + 1)]
+        ]);
+        ['etag', 'last-modified'].forEach(header => {
+            if (response.headers.get(header)) headers.set(header, response.headers.get(header));
+        });
+        if (range) headers.set('content-range', contentRange[0]);
+
+        const result = { status: range ? 206 : 200, ok: true, url: response.url || url, headers: headers, body: response.body };
+        if (end - start + 1 >= this.minSize) {
+            result.body = Readable.from(this.segments(url, response, start, end, init));
+        }
+        return result;
+    }
+
+    // Yield bytes start..end in order. `first` already streams from `start`
+    // and serves the first segment.
+    async *segments(url, first, start, end, init) {
+        const size = Math.min(this.maxSegmentSize, Math.ceil((end - start + 1) / this.connections));
+        const segments = [];
+        for (let position = start; position <= end; position += size) {
+            segments.push(new Segment(position, Math.min(end, position + size - 1)));
+        }
+
+        // Stops every segment download when the client goes away or the
+        // stream ends early
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        if (init.signal) {
+            if (init.signal.aborted) controller.abort();
+            init.signal.addEventListener('abort', abort, { once: true });
+        }
+        const options = { ...init, signal: controller.signal };
+        const etag = first.headers.get('etag');
+
+        this.download(url, segments[0], options, etag, first);
+        let next = 1;
+        let written = 0;
+
+        try {
+            for (let i = 0; i < segments.length; i++) {
+                // Keep `connections` segments in flight, counting the one being drained
+                while (next < segments.length && next < i + this.connections) {
+                    this.download(url, segments[next++], options, etag);
+                }
+
+                for await (const chunk of segments[i].read()) {
+                    written += chunk.length;
+                    yield chunk;
+                }
+                segments[i] = null;
+            }
+
+            if (written !== end - start + 1) {
+                throw new SegmentedFetchError(`Segmented download delivered ${written} of ${end - start + 1} bytes`);
+            }
+        } finally {
+            controller.abort();
+            if (init.signal) {
+                init.signal.removeEventListener('abort', abort);
+            }
+        }
+    }
+
+    // Fill one segment, retrying with exponential backoff from where the
+    // last attempt stopped. Never rejects; failures end up in the segment.
+    async download(url, segment, init, etag, response = null) {
+        let attempts = 0;
+
+        for (;;) {
+            try {
+                if (!response) {
+                    const from = segment.start + segment.received;
+                    response = await this.fetch(url, `bytes=${from}-${segment.end}`, init);
+                    this.checkResponse(response, from, etag);
+                }
+                await this.drain(response.body, segment);
+                segment.finish();
+                return;
+            } catch (error) {
+                if (response && response.body && typeof response.body.destroy === 'function') {
+                    response.body.destroy();
+                }
+                response = null;
+
+                attempts++;
+                if (init.signal.aborted || !this.shouldRetry(error, attempts)) {
+                    segment.finish(error);
+                    return;
+                }
+                await this.sleep(this.retryDelay * 2 ** (attempts - 1), init.signal);
+            }
+        }
+    }
+
+    checkResponse(response, from, etag) {
+        if (response.status !== 206) {
+            // A 200 here means the origin stopped honouring Range mid-file
+            throw new SegmentedFetchError(`HTTP ${response.status} for a segment request`, response.status);
+        }
+
+        const contentRange = /^bytes (\d+)-/.exec(response.headers.get('content-range') || '');
+        if (!contentRange || parseInt(contentRange[1], 10) !== from) {
+            throw new SegmentedFetchError(`Segment response starts at the wrong offset (expected ${from})`);
+        }
+
+        const responseEtag = response.headers.get('etag');
+        if (etag && responseEtag && responseEtag !== etag) {
+            throw new SegmentedFetchError('The file changed on the CDN during the download', 410);
+        }
+    }
+
+    // Copy a body into the segment until it is full. The first segment reads
+    // from an open-ended response, which is cut off at the segment's end.
+    async drain(body, segment) {
+        for await (const data of body) {
+            const chunk = Buffer.from(data);
+            const room = segment.length - segment.received;
+            segment.push(chunk.length > room ? chunk.subarray(0, room) : chunk);
+            if (segment.received >= segment.length) {
+                break;
+            }
+        }
+
+        if (segment.received < segment.length) {
+            throw new SegmentedFetchError(`Segment ended after ${segment.received} of ${segment.length} bytes`);
+        }
+    }
+
+    shouldRetry(error, attempts) {
+        if (attempts > this.retries || error.name === 'UrlPolicyError') {
+            return false;
+        }
+        return !PERMANENT_STATUSES.has(error.upstreamStatus);
+    }
+
+    // Wait before the next attempt; an abort cuts the wait short
+    sleep(ms, signal) {
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', done);
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            signal.addEventListener('abort', done, { once: true });
+        });
+    }
+}
+
+module.exports = { SegmentedFetcher, SegmentedFetchError };
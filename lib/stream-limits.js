@@ -0,0 +1,101 @@
+const { Transform } = require('stream');
+
+// Caps how many streams one client (by key, usually the IP) may hold open
+class ConcurrencyLimiter {
+    constructor(options = {}) {
+        this.maxPerKey = options.maxPerKey || 6;
+        this.active = new Map();
+    }
+
+    // Returns a release function, or null when the key is at its limit.
+    // Calling release more than once is harmless.
+    acquire(key) {
+        const count = this.active.get(key) || 0;
+        if (count >= this.maxPerKey) {
+            return null;
+        }
+
+        this.active.set(key, count + 1);
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            const remaining = (this.active.get(key) || 1) - 1;
+            if (remaining > 0) {
+                this.active.set(key, remaining);
+            } else {
+                this.active.delete(key);
+            }
+        };
+    }
+
+    count(key) {
+        return this.active.get(key) || 0;
+    }
+}
+
+// Token bucket in bytes. take() always reserves the bytes, letting the
+// balance go negative, and resolves once the balance has been paid back, so
+// concurrent callers are served roughly in the order they asked.
+class TokenBucket {
+    constructor(options = {}) {
+        this.rate = options.rate;
+        this.burst = options.burst || options.rate;
+        this.tokens = this.burst;
+        this.updatedAt = Date.now();
+    }
+
+    take(amount) {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+        this.updatedAt = now;
+        this.tokens -= amount;
+
+        if (this.tokens >= 0) {
+            return Promise.resolve();
+        }
+        const delay = Math.ceil(-this.tokens / this.rate * 1000);
+        return new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+// Passes data through at the pace allowed by all of its buckets. Chunks are
+// split so no single write waits for more than one burst.
+class ThrottleStream extends Transform {
+    constructor(buckets, options = {}) {
+        super(options);
+        this.buckets = buckets;
+        this.sliceSize = Math.max(1024, Math.min(...buckets.map(bucket => bucket.burst), 64 * 1024));
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.throttle(chunk).then(() => callback(), callback);
+    }
+
+    async throttle(chunk) {
+        for (let offset = 0; offset < chunk.length; offset += this.sliceSize) {
+            if (this.destroyed) return;
+            const slice = chunk.subarray(offset, offset + this.sliceSize);
+            await Promise.all(this.buckets.map(bucket => bucket.take(slice.length)));
+            this.push(slice);
+        }
+    }
+}
+
+// Per-stream and server-wide bandwidth caps in bytes per second (0 = unlimited)
+class BandwidthLimiter {
+    constructor(options = {}) {
+        this.perStream = options.perStream || 0;
+        this.global = options.global ? new TokenBucket({ rate: options.global }) : null;
+    }
+
+    // A ThrottleStream for one response, or null when nothing is limited
+    createThrottle() {
+        const buckets = [];
+        if (this.perStream) buckets.push(new TokenBucket({ rate: this.perStream }));
+        if (this.global) buckets.push(this.global);
+        return buckets.length > 0 ? new ThrottleStream(buckets) : null;
+    }
+}
+
+module.exports = { ConcurrencyLimiter, TokenBucket, ThrottleStream, BandwidthLimiter };
@@ -0,0 +1,272 @@
+const { qualityFromHeight, formatBytes, describeContentType, extractJsonObject } = require('./video-utils');
+const { HlsPlaylistParser } = require('./hls-playlist');
+
+// Returns the tweet ID from x.com / twitter.com status links, or null
+function parseTweetUrl(input) {
+    let url;
+    try {
+        url = new URL(String(input).trim());
+    } catch {
+        return null;
+    }
+
+    const hostname = url.hostname.toLowerCase().replace(/^(www|mobile)\./, '');
+    if (hostname !== 'x.com' && hostname !== 'twitter.com') {
+        return null;
+    }
+
+    const match = url.pathname.match(/^\/(?:[^/]+|i(?:\/web)?)\/status(?:es)?\/(\d+)/);
+    return match ? match[1] : null;
+}
+
+// Public syndication endpoint used by embedded tweets. The token is derived
+// from the tweet ID the same way the embed widget does it.
+function syndicationUrl(tweetId) {
+    const token = ((Number(tweetId) / 1e15) * Math.PI).toString(36).replace(/(0+|\.)/g, '');
+    return `https://cdn.syndication.twimg.com/tweet-result?id=${tweetId}&lang=en&token=${token}`;
+}
+
+// X/Twitter video extraction from pasted page source, API responses
+// (legacy extended_entities or GraphQL) or the syndication JSON payload.
+// MP4 variants become video objects; the .m3u8 master playlist is returned
+// as a `type: 'HLS'` entry so the caller can expand its renditions.
+class TwitterExtractor {
+    extractVideos(input) {
+        const payloads = this.findJsonPayloads(String(input || ''));
+        const videos = [];
+        const seenMedia = new Set();
+        const seenUrls = new Set();
+
+        payloads.forEach(payload => {
+            this.collectMedia(payload).forEach(({ media, tweet }) => {
+                const key = media.id_str || media.media_key || media.media_url_https || JSON.stringify(media.video_info).slice(0, 200);
+                if (seenMedia.has(key)) return;
+                seenMedia.add(key);
+
+                this.createVideoObjects(media, tweet).forEach(video => {
+                    if (!seenUrls.has(video.url)) {
+                        seenUrls.add(video.url);
+                        videos.push(video);
+                    }
+                });
+            });
+        });
+
+        return videos;
+    }
+
+    findJsonPayloads(text) {
+        const payloads = [];
+        const tryParse = json => {
+            try {
+                payloads.push(JSON.parse(json));
+            } catch {
+                // Not valid JSON; skip it
+            }
+        };
+
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            tryParse(trimmed);
+        }
+
+        if (payloads.length === 0) {
+            // Page source: script payloads, or bare video_info objects anywhere
+            const scriptRegex = /<script[^>]*type=["']application\/json["'][^>]*>([\s\S]*?)<\/script>/gi;
+            let match;
+            while ((match = scriptRegex.exec(text)) !== null) {
+                if (match[1].includes('variants')) tryParse(match[1]);
+            }
+
+            const stateRegex = /window\.__INITIAL_STATE__\s*=\s*\{/g;
+            while ((match = stateRegex.exec(text)) !== null) {
+                const json = extractJsonObject(text, match.index + match[0].length - 1);
+                if (json) tryParse(json);
+            }
+
+            // Inline media lists keep the media type (animated_gif) next to
+            // video_info; bare video_info objects are the last resort
+            const unescaped = text.replace(/\\"/g, '"').replace(/\\\//g, '/');
+            const mediaRegex = /"(extended_entities|mediaDetails)"\s*:\s*[{[]/g;
+            while ((match = mediaRegex.exec(unescaped)) !== null) {
+                const json = extractJsonObject(unescaped, match.index + match[0].length - 1);
+                if (json) tryParse(`{"${match[1]}":${json}}`);
+            }
+
+            if (payloads.length === 0) {
+                const videoInfoRegex = /"video_info"\s*:\s*\{/g;
+                while ((match = videoInfoRegex.exec(unescaped)) !== null) {
+                    const json = extractJsonObject(unescaped, match.index + match[0].length - 1);
+                    if (json) tryParse(`{"video_info":${json}}`);
+                }
+            }
+        }
+
+        return payloads;
+    }
+
+    // Find media objects with video_info.variants, remembering the tweet they belong to
+    collectMedia(root) {
+        const found = [];
+        const stack = [{ value: root, tweet: null }];
+
+        while (stack.length > 0) {
+            const { value, tweet } = stack.pop();
+            if (!value || typeof value !== 'object') continue;
+
+            if (Array.isArray(value)) {
+                value.forEach(item => stack.push({ value: item, tweet }));
+                continue;
+            }
+
+            const isTweet = typeof value.full_text === 'string' ||
+                            (typeof value.text === 'string' && (value.mediaDetails || value.extended_entities || value.entities));
+            const context = isTweet ? value : tweet;
+
+            if (value.video_info && Array.isArray(value.video_info.variants)) {
+                found.push({ media: value, tweet: context });
+                continue;
+            }
+
+            Object.keys(value).forEach(key => stack.push({ value: value[key], tweet: context }));
+        }
+
+        return found;
+    }
+
+    createVideoObjects(media, tweet) {
+        const info = media.video_info;
+        const duration = info.duration_millis ? info.duration_millis / 1000 : null;
+        const isGif = media.type === 'animated_gif';
+        const details = this.parseDetails(tweet);
+        const thumbnail = media.media_url_https || media.media_url || null;
+
+        return info.variants
+            .filter(variant => variant.url)
+            .map(variant => {
+                const contentType = variant.content_type || variant.type || '';
+
+                if (contentType.includes('mpegURL') || /\.m3u8(\?|$)/.test(variant.url)) {
+                    return {
+                        url: variant.url,
+                        quality: 'Adaptive',
+                        type: 'HLS',
+                        size: 'Unknown',
+                        contentType: {
+                            hasVideo: true,
+                            hasAudio: !isGif,
+                            description: 'HLS Playlist'
+                        },
+                        hasVideo: true,
+                        hasAudio: !isGif,
+                        resolution: 'Auto',
+                        thumbnail: thumbnail,
+                        duration: duration,
+                        isPlaylist: true,
+                        ...details
+                    };
+                }
+
+                const dimensions = this.parseDimensions(variant.url);
+                const bitrate = variant.bitrate || null;
+                const hasAudio = !isGif;
+
+                return {
+                    url: variant.url,
+                    quality: dimensions ? qualityFromHeight(Math.min(dimensions.width, dimensions.height)) : 'Unknown Quality',
+                    type: 'MP4',
+                    size: bitrate && duration ? `~${formatBytes(bitrate / 8 * duration)}` : 'Unknown',
+                    contentType: {
+                        hasVideo: true,
+                        hasAudio: hasAudio,
+                        description: isGif ? 'GIF (Video Only)' : describeContentType(true, hasAudio)
+                    },
+                    hasVideo: true,
+                    hasAudio: hasAudio,
+                    resolution: dimensions ? `${dimensions.width}x${dimensions.height}` : 'Auto',
+                    thumbnail: thumbnail,
+                    duration: duration,
+                    bitrate: bitrate,
+                    ...details
+                };
+            })
+            .sort((a, b) => (a.isPlaylist ? 1 : 0) - (b.isPlaylist ? 1 : 0) || (b.bitrate || 0) - (a.bitrate || 0));
+    }
+
+    parseDetails(tweet) {
+        if (!tweet) {
+            return { title: 'X Video', author: null };
+        }
+
+        const text = (tweet.full_text || tweet.text || '')
+            .replace(/https:\/\/t\.co\/\w+/g, '')
+            .split('\n')[0]
+            .trim();
+        const user = tweet.user || (tweet.core && tweet.core.user_results && tweet.core.user_results.result &&
+            tweet.core.user_results.result.legacy) || null;
+        const author = user && user.screen_name ? user.screen_name : null;
+
+        return {
+            title: text ? (text.length > 80 ? `${text.substring(0, 77)}...` : text) : (author ? `Video by @${author}` : 'X Video'),
+            author: author
+        };
+    }
+
+    // Variant URLs carry the size in the path: /vid/avc1/1280x720/abc.mp4
+    parseDimensions(url) {
+        const match = /\/(\d{2,5})x(\d{2,5})\//.exec(url);
+        return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : null;
+    }
+}
+
+const twitterExtractor = new TwitterExtractor();
+const hlsParser = new HlsPlaylistParser();
+
+// Extractor registry entry. Status links resolve to the syndication JSON
+// rather than the page, which needs JavaScript to render.
+const twitterPlatform = {
+    name: 'twitter',
+    label: 'X/Twitter',
+    hosts: ['x.com', 'twitter.com'],
+    markers: ['video.twimg.com', '"video_info"', 'twitter.com/', 'x.com/'],
+    urlHint: 'Use an x.com or twitter.com /status/ URL.',
+    resolveUrl: url => {
+        const tweetId = parseTweetUrl(url);
+        return tweetId ? syndicationUrl(tweetId) : null;
+    },
+    fetcher: 'twitterFetcher',
+
+    async extract(source, context = {}) {
+        const found = twitterExtractor.extractVideos(source);
+        const videos = found.filter(video => !video.isPlaylist);
+        const playlists = found.filter(video => video.isPlaylist);
+
+        // Expand each master playlist into its renditions; a failed fetch only
+        // loses the rendition list, the MP4 variants are still returned
+        await Promise.all(playlists.map(async playlist => {
+            playlist.renditions = [];
+            playlist.audioRenditions = [];
+            if (!context.fetcher) return;
+
+            try {
+                const page = await context.fetcher.fetchHtml(playlist.url);
+                const master = hlsParser.parseMaster(page.html, page.url);
+                playlist.renditions = master.variants;
+                playlist.audioRenditions = master.media.filter(media => media.type === 'audio');
+            } catch (error) {
+                console.log(`❌ Could not load HLS playlist ${playlist.url}: ${error.message}`);
+            }
+        }));
+
+        return {
+            videos: videos,
+            playlists: playlists,
+            count: videos.length,
+            message: videos.length > 0
+                ? `Successfully extracted ${videos.length} X/Twitter video variant(s)`
+                : 'No videos found. The tweet may be private, deleted or contain only images.'
+        };
+    }
+};
+
+module.exports = { TwitterExtractor, parseTweetUrl, syndicationUrl, twitterPlatform };
@@ -0,0 +1,166 @@
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { hostMatches } = require('./page-fetcher');
+
+// CDN hosts the proxy endpoints may fetch from (subdomains match too)
+const DEFAULT_VIDEO_HOSTS = ['fbcdn.net', 'facebook.com', 'cdninstagram.com', 'googlevideo.com', 'video.twimg.com'];
+
+// Addresses a public CDN hostname must never resolve to
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],       // "this" network
+    ['10.0.0.0', 8, 'ipv4'],      // private
+    ['100.64.0.0', 10, 'ipv4'],   // carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'],     // loopback
+    ['169.254.0.0', 16, 'ipv4'],  // link-local, including cloud metadata endpoints
+    ['172.16.0.0', 12, 'ipv4'],   // private
+    ['192.0.0.0', 24, 'ipv4'],    // IETF protocol assignments
+    ['192.168.0.0', 16, 'ipv4'],  // private
+    ['198.18.0.0', 15, 'ipv4'],   // benchmarking
+    ['224.0.0.0', 4, 'ipv4'],     // multicast
+    ['240.0.0.0', 4, 'ipv4'],     // reserved and broadcast
+    ['::', 96, 'ipv6'],           // unspecified, loopback and IPv4-compatible
+    ['64:ff9b::', 96, 'ipv6'],    // NAT64, which can reach any IPv4 address
+    ['100::', 64, 'ipv6'],        // discard
+    ['2002::', 16, 'ipv6'],       // 6to4, same reason as NAT64
+    ['fc00::', 7, 'ipv6'],        // unique local
+    ['fe80::', 10, 'ipv6'],       // link-local
+    ['ff00::', 8, 'ipv6']         // multicast
+];
+
+// Raised for URLs the proxy must not fetch; the message is safe to show to the user
+class UrlPolicyError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UrlPolicyError';
+        this.status = status;
+    }
+}
+
+// Decides which URLs the server may fetch on a user's behalf: HTTPS only, on
+// an allow-listed host, resolving to public addresses, on every redirect hop.
+// The address check runs again in the socket's DNS lookup, so a hostname that
+// resolves differently the second time (DNS rebinding) is still refused.
+class UrlPolicy {
+    constructor(options = {}) {
+        this.allowedHosts = (options.allowedHosts || DEFAULT_VIDEO_HOSTS).map(host => host.toLowerCase());
+        // lookup(hostname, { all: true }) -> [{ address, family }], like dns.promises.lookup
+        this.lookup = options.lookup || dns.promises.lookup;
+        // fetch(url, init) with WHATWG fetch semantics; defaults to node-fetch
+        this.fetchImpl = options.fetch || (async (url, init) => (await import('node-fetch')).default(url, init));
+        this.maxRedirects = options.maxRedirects || 5;
+
+        this.blockList = new net.BlockList();
+        BLOCKED_RANGES.forEach(([network, prefix, type]) => this.blockList.addSubnet(network, prefix, type));
+
+        this.agent = new https.Agent({ lookup: (hostname, lookupOptions, callback) => this.guardedLookup(hostname, lookupOptions, callback) });
+    }
+
+    // Parse and check a URL without touching the network. Returns the URL object.
+    check(input) {
+        let url;
+        try {
+            url = new URL(String(input));
+        } catch {
+            throw new UrlPolicyError('Invalid URL');
+        }
+
+        if (url.protocol !== 'https:') {
+            throw new UrlPolicyError('Only HTTPS video URLs are allowed');
+        }
+        if (url.username || url.password) {
+            throw new UrlPolicyError('Video URLs must not contain credentials');
+        }
+        if (url.port && url.port !== '443') {
+            throw new UrlPolicyError('Video URLs must use the default HTTPS port');
+        }
+
+        const hostname = url.hostname.toLowerCase();
+        if (!hostMatches(hostname, this.allowedHosts)) {
+            throw new UrlPolicyError(`Refusing to fetch ${hostname}: not a supported video CDN`);
+        }
+
+        return url;
+    }
+
+    isAllowed(input) {
+        try {
+            this.check(input);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    isBlockedAddress(address) {
+        const type = net.isIP(address);
+        if (type === 0) {
+            return true;
+        }
+        return this.blockList.check(address, type === 4 ? 'ipv4' : 'ipv6');
+    }
+
+    // Check the URL and every address its hostname resolves to
+    async assertAllowed(input) {
+        const url = this.check(input);
+        await this.resolvePublic(url.hostname);
+        return url;
+    }
+
+    async resolvePublic(hostname) {
+        let addresses;
+        try {
+            addresses = await this.lookup(hostname, { all: true });
+        } catch {
+            throw new UrlPolicyError(`Could not resolve ${hostname}`, 502);
+        }
+
+        if (addresses.length === 0 || addresses.some(entry => this.isBlockedAddress(entry.address))) {
+            throw new UrlPolicyError(`Refusing to fetch ${hostname}: it resolves to a private address`);
+        }
+        return addresses;
+    }
+
+    // net.connect lookup hook: same result shapes as dns.lookup
+    guardedLookup(hostname, options, callback) {
+        this.resolvePublic(hostname).then(addresses => {
+            const family = options && options.family;
+            const matching = family ? addresses.filter(entry => entry.family === family) : addresses;
+            if (matching.length === 0) {
+                callback(new UrlPolicyError(`Could not resolve ${hostname}`, 502));
+            } else if (options && options.all) {
+                callback(null, matching);
+            } else {
+                callback(null, matching[0].address, matching[0].family);
+            }
+        }, error => callback(error));
+    }
+
+    // Fetch a URL, following redirects manually so every hop is checked
+    async fetch(startUrl, init = {}) {
+        let url = startUrl;
+
+        for (let hop = 0; hop <= this.maxRedirects; hop++) {
+            await this.assertAllowed(url);
+
+            const response = await this.fetchImpl(url, { ...init, redirect: 'manual', agent: this.agent });
+
+            if (response.status >= 300 && response.status < 400 && response.status !== 304) {
+                const location = response.headers.get('location');
+                if (!location) {
+                    throw new UrlPolicyError(`Redirect without a location from ${new URL(url).hostname}`, 502);
+                }
+                // Redirect bodies are tiny; read them so the socket is released
+                await response.arrayBuffer().catch(() => {});
+                url = new URL(location, url).toString();
+                continue;
+            }
+
+            return response;
+        }
+
+        throw new UrlPolicyError('Too many redirects', 502);
+    }
+}
+
+module.exports = { UrlPolicy, UrlPolicyError, DEFAULT_VIDEO_HOSTS };
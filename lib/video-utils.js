@@ -0,0 +1,84 @@
+// Formatting helpers shared by the platform extractors
+
+// Quality label from the short side of the frame, so portrait videos rank correctly
+function qualityFromHeight(lines) {
+    if (!lines) return 'Unknown Quality';
+    if (lines >= 2160) return '4K';
+    if (lines >= 1440) return '2K';
+    if (lines >= 720) return 'HD';
+    if (lines >= 480) return 'SD';
+    return 'Low';
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)}GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))}KB`;
+}
+
+function describeContentType(hasVideo, hasAudio) {
+    return hasVideo && hasAudio ? 'Video + Audio' :
+           hasVideo ? 'Video Only' :
+           hasAudio ? 'Audio Only' : 'Unknown';
+}
+
+// Extract the JSON object (or array) literal that starts at text[start].
+// Tracks strings and escapes so brackets inside string values are ignored.
+function extractJsonObject(text, start) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) {
+                return text.substring(start, i + 1);
+            }
+        }
+    }
+
+    return null;
+}
+
+// When a signed CDN URL stops working, as a ms timestamp, or null. Facebook
+// and Instagram put it in oe= (hex Unix seconds), YouTube in expire= (decimal).
+function cdnUrlExpiry(input) {
+    let url;
+    try {
+        url = new URL(input);
+    } catch {
+        return null;
+    }
+
+    const oe = url.searchParams.get('oe');
+    if (oe && /^[0-9a-f]{8,}$/i.test(oe)) {
+        return parseInt(oe, 16) * 1000;
+    }
+
+    const expire = url.searchParams.get('expire');
+    if (expire && /^\d{9,}$/.test(expire)) {
+        return parseInt(expire, 10) * 1000;
+    }
+
+    return null;
+}
+
+module.exports = { qualityFromHeight, formatBytes, describeContentType, extractJsonObject, cdnUrlExpiry };
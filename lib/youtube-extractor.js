@@ -0,0 +1,219 @@
+const { qualityFromHeight, formatBytes, describeContentType, extractJsonObject } = require('./video-utils');
+const { ExtractionError } = require('./extractor-registry');
+
+// Returns the canonical watch URL for youtube.com/watch, /shorts/, /embed/,
+// /live/ and youtu.be links, or null.
+function parseYouTubeUrl(input) {
+    let url;
+    try {
+        url = new URL(String(input).trim());
+    } catch {
+        return null;
+    }
+
+    const hostname = url.hostname.toLowerCase().replace(/^(www|m|music)\./, '');
+    let videoId = null;
+
+    if (hostname === 'youtu.be') {
+        videoId = url.pathname.split('/')[1];
+    } else if (hostname === 'youtube.com' || hostname === 'youtube-nocookie.com') {
+        if (url.pathname === '/watch') {
+            videoId = url.searchParams.get('v');
+        } else {
+            const match = url.pathname.match(/^\/(?:shorts|embed|live|v)\/([^/?#]+)/);
+            videoId = match ? match[1] : null;
+        }
+    }
+
+    return videoId && /^[A-Za-z0-9_-]{11}$/.test(videoId)
+        ? `https://www.youtube.com/watch?v=${videoId}`
+        : null;
+}
+
+// YouTube video extraction from watch-page HTML (pasted or fetched) or a raw
+// player response. Produces the same video objects as FacebookVideoExtractor.
+class YouTubeExtractor {
+    extractVideos(input) {
+        const playerResponse = this.findPlayerResponse(input);
+        if (!playerResponse) {
+            throw new ExtractionError('Could not find ytInitialPlayerResponse in the page. Please provide the complete watch page source.');
+        }
+
+        const status = playerResponse.playabilityStatus || {};
+        if (status.status && status.status !== 'OK') {
+            throw new ExtractionError(`YouTube says this video is not playable: ${status.reason || status.status}`);
+        }
+
+        const details = this.parseVideoDetails(playerResponse.videoDetails || {});
+        const streamingData = playerResponse.streamingData || {};
+        const formats = (streamingData.formats || []).map(format => ({ format, adaptive: false }))
+            .concat((streamingData.adaptiveFormats || []).map(format => ({ format, adaptive: true })));
+
+        const videos = [];
+        let cipheredCount = 0;
+
+        formats.forEach(({ format, adaptive }) => {
+            // Ciphered formats need the player's signature function, which we do not run
+            if (!format.url) {
+                cipheredCount++;
+                return;
+            }
+            videos.push(this.createVideoObject(format, adaptive, details));
+        });
+
+        if (cipheredCount > 0) {
+            console.log(`Skipped ${cipheredCount} YouTube formats with signature ciphers`);
+        }
+
+        return this.sortFormats(videos);
+    }
+
+    // Locate and parse ytInitialPlayerResponse, or accept a raw player JSON response
+    findPlayerResponse(input) {
+        const text = String(input || '').trim();
+
+        if (text.startsWith('{')) {
+            try {
+                const json = JSON.parse(text);
+                if (json.streamingData || json.playabilityStatus) {
+                    return json;
+                }
+            } catch {
+                // Not a raw player response; search it like HTML below
+            }
+        }
+
+        const marker = /ytInitialPlayerResponse["'\]]*\s*=\s*\{/g;
+        let match;
+        while ((match = marker.exec(text)) !== null) {
+            const json = extractJsonObject(text, match.index + match[0].length - 1);
+            if (!json) continue;
+
+            try {
+                return JSON.parse(json);
+            } catch (error) {
+                console.log('❌ Invalid ytInitialPlayerResponse JSON:', error.message);
+            }
+        }
+
+        return null;
+    }
+
+    parseVideoDetails(videoDetails) {
+        const thumbnails = (videoDetails.thumbnail && videoDetails.thumbnail.thumbnails) || [];
+        const largest = thumbnails.reduce((best, thumb) =>
+            (!best || (thumb.width || 0) > (best.width || 0) ? thumb : best), null);
+
+        return {
+            videoId: videoDetails.videoId || null,
+            title: videoDetails.title || null,
+            author: videoDetails.author || null,
+            duration: videoDetails.lengthSeconds ? parseInt(videoDetails.lengthSeconds, 10) : null,
+            thumbnail: largest ? largest.url : null
+        };
+    }
+
+    createVideoObject(format, adaptive, details) {
+        const mime = this.parseMimeType(format.mimeType);
+        const hasVideo = mime.kind === 'video';
+        const hasAudio = !adaptive || mime.kind === 'audio';
+        const bytes = format.contentLength ? parseInt(format.contentLength, 10) : null;
+        const duration = format.approxDurationMs ? parseInt(format.approxDurationMs, 10) / 1000 : details.duration;
+
+        let quality = 'Audio';
+        let resolution = format.bitrate ? `${Math.round(format.bitrate / 1000)}kbps` : 'Audio';
+        if (hasVideo) {
+            const shortSide = format.width && format.height ? Math.min(format.width, format.height) : format.height;
+            quality = qualityFromHeight(shortSide);
+            resolution = format.width && format.height ? `${format.width}x${format.height}` : (format.qualityLabel || 'Auto');
+        }
+
+        return {
+            url: format.url,
+            quality: quality,
+            type: mime.container.toUpperCase(),
+            size: bytes ? formatBytes(bytes) : (format.bitrate && duration ? formatBytes(format.bitrate / 8 * duration) : 'Unknown'),
+            contentType: {
+                hasVideo: hasVideo,
+                hasAudio: hasAudio,
+                description: describeContentType(hasVideo, hasAudio)
+            },
+            hasVideo: hasVideo,
+            hasAudio: hasAudio,
+            resolution: resolution,
+            thumbnail: details.thumbnail,
+            title: details.title,
+            author: details.author,
+            duration: duration,
+            itag: format.itag,
+            mimeType: format.mimeType,
+            codecs: mime.codecs,
+            bitrate: format.bitrate || null,
+            fps: format.fps || null,
+            qualityLabel: format.qualityLabel || null,
+            audioQuality: format.audioQuality || null,
+            bytes: bytes
+        };
+    }
+
+    // 'video/mp4; codecs="avc1.640028, mp4a.40.2"' -> { kind, container, codecs }
+    parseMimeType(mimeType) {
+        const match = /^(\w+)\/([\w.+-]+)(?:;\s*codecs="([^"]*)")?/.exec(mimeType || '');
+        if (!match) {
+            return { kind: 'unknown', container: 'mp4', codecs: [] };
+        }
+
+        const kind = match[1];
+        let container = match[2];
+        if (kind === 'audio' && container === 'mp4') {
+            container = 'm4a';
+        }
+
+        return {
+            kind: kind,
+            container: container,
+            codecs: match[3] ? match[3].split(',').map(codec => codec.trim()) : []
+        };
+    }
+
+    // Muxed formats first, then video-only by resolution, then audio-only by bitrate
+    sortFormats(videos) {
+        const rank = video => (video.hasVideo && video.hasAudio ? 0 : video.hasVideo ? 1 : 2);
+        const pixels = video => {
+            const match = /^(\d+)x(\d+)$/.exec(video.resolution);
+            return match ? parseInt(match[1], 10) * parseInt(match[2], 10) : 0;
+        };
+
+        return videos.sort((a, b) =>
+            rank(a) - rank(b) ||
+            pixels(b) - pixels(a) ||
+            (b.bitrate || 0) - (a.bitrate || 0));
+    }
+}
+
+const youtubeExtractor = new YouTubeExtractor();
+
+// Extractor registry entry
+const youtubePlatform = {
+    name: 'youtube',
+    label: 'YouTube',
+    hosts: ['youtube.com', 'youtu.be', 'youtube-nocookie.com'],
+    markers: ['ytInitialPlayerResponse', '"streamingData"', 'googlevideo.com'],
+    urlHint: 'Use a youtube.com/watch, /shorts/ or youtu.be URL.',
+    resolveUrl: parseYouTubeUrl,
+    fetcher: 'youtubeFetcher',
+
+    async extract(source) {
+        const videos = youtubeExtractor.extractVideos(source);
+
+        return {
+            videos: videos,
+            count: videos.length,
+            message: videos.length > 0
+                ? `Successfully extracted ${videos.length} YouTube format(s)`
+                : 'No directly downloadable formats found. This video only offers signature-protected streams.'
+        };
+    }
+};
+
+module.exports = { YouTubeExtractor, parseYouTubeUrl, youtubePlatform };
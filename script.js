@@ -4,11 +4,22 @@ const sourceCodeTextarea = document.getElementById('sourceCode');
 const extractBtn = document.getElementById('extractBtn');
 const clearBtn = document.getElementById('clearBtn');
 const charCount = document.getElementById('charCount');
-const spinner = document.getElementById('spinner');
 const results = document.getElementById('results');
 const videoResults = document.getElementById('videoResults');
 const errorMessage = document.getElementById('errorMessage');
 const errorText = document.getElementById('errorText');
+const urlForm = document.getElementById('urlForm');
+const postUrlInput = document.getElementById('postUrl');
+const urlExtractBtn = document.getElementById('urlExtractBtn');
+const harForm = document.getElementById('harForm');
+const harFileInput = document.getElementById('harFile');
+const harExtractBtn = document.getElementById('harExtractBtn');
+const youtubeUrlForm = document.getElementById('youtubeUrlForm');
+const youtubeSourceForm = document.getElementById('youtubeSourceForm');
+const instagramUrlForm = document.getElementById('instagramUrlForm');
+const instagramSourceForm = document.getElementById('instagramSourceForm');
+const twitterUrlForm = document.getElementById('twitterUrlForm');
+const twitterSourceForm = document.getElementById('twitterSourceForm');
 
 // Character counter
 sourceCodeTextarea.addEventListener('input', function() {
@@ -46,7 +57,10 @@ extractForm.addEventListener('submit', async function(e) {
         return;
     }
     
-    if (sourceCode.length < 1000) {
+    // GraphQL responses from the network tab can be short; only page source has a minimum length
+    const isJson = /^(for\s*\(;;\);)?\s*[{[]/.test(sourceCode);
+    
+    if (!isJson && sourceCode.length < 1000) {
         showError('The source code seems too short. Please make sure you copied the complete page source.');
         return;
     }
@@ -54,19 +68,152 @@ extractForm.addEventListener('submit', async function(e) {
     await extractVideoLinks(sourceCode);
 });
 
+// URL form submission handler
+urlForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const url = postUrlInput.value.trim();
+    
+    if (!url) {
+        showError('Please paste a Facebook video link.');
+        return;
+    }
+    
+    // Optional cookies for private posts; sent with this request only, so
+    // the fields are cleared once read
+    const cookiesInput = document.getElementById('cookiesFile');
+    const cookieHeader = document.getElementById('cookieHeader');
+    const cookies = cookiesInput.files[0] ? await cookiesInput.files[0].text() : cookieHeader.value.trim();
+    cookiesInput.value = '';
+    cookieHeader.value = '';
+    
+    await requestVideos('/extract-url', cookies ? { url: url, cookies: cookies } : { url: url }, urlExtractBtn);
+});
+
+// HAR form submission handler
+harForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const file = harFileInput.files[0];
+    
+    if (!file) {
+        showError('Please choose a .har file exported from your browser.');
+        return;
+    }
+    
+    if (file.size > 50 * 1024 * 1024) {
+        showError('The HAR file is larger than 50 MB. Record only the video page and export again.');
+        return;
+    }
+    
+    await requestVideos('/extract-har', { har: await file.text() }, harExtractBtn);
+});
+
+// YouTube form submission handlers
+youtubeUrlForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const url = document.getElementById('youtubeUrl').value.trim();
+    
+    if (!url) {
+        showError('Please paste a YouTube video link.');
+        return;
+    }
+    
+    await requestVideos('/extract-youtube', { url: url }, document.getElementById('youtubeUrlBtn'));
+});
+
+youtubeSourceForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const sourceCode = document.getElementById('youtubeSource').value.trim();
+    
+    if (!sourceCode) {
+        showError('Please paste the YouTube watch page source code.');
+        return;
+    }
+    
+    await requestVideos('/extract-youtube', { sourceCode: sourceCode }, document.getElementById('youtubeSourceBtn'));
+});
+
+// Instagram form submission handlers
+instagramUrlForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const url = document.getElementById('instagramUrl').value.trim();
+    
+    if (!url) {
+        showError('Please paste an Instagram post or reel link.');
+        return;
+    }
+    
+    await requestVideos('/extract-instagram', { url: url }, document.getElementById('instagramUrlBtn'));
+});
+
+instagramSourceForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const sourceCode = document.getElementById('instagramSource').value.trim();
+    
+    if (!sourceCode) {
+        showError('Please paste the Instagram post page source code.');
+        return;
+    }
+    
+    await requestVideos('/extract-instagram', { sourceCode: sourceCode }, document.getElementById('instagramSourceBtn'));
+});
+
+// X/Twitter form submission handlers
+twitterUrlForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const url = document.getElementById('twitterUrl').value.trim();
+    
+    if (!url) {
+        showError('Please paste an X/Twitter post link.');
+        return;
+    }
+    
+    await requestVideos('/extract-twitter', { url: url }, document.getElementById('twitterUrlBtn'));
+});
+
+twitterSourceForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const sourceCode = document.getElementById('twitterSource').value.trim();
+    
+    if (!sourceCode) {
+        showError('Please paste the X/Twitter post page source or tweet JSON.');
+        return;
+    }
+    
+    await requestVideos('/extract-twitter', { sourceCode: sourceCode }, document.getElementById('twitterSourceBtn'));
+});
+
 // Extract video links function
 async function extractVideoLinks(sourceCode) {
-    showLoading(true);
+    await requestVideos('/extract-videos', { sourceCode: sourceCode }, extractBtn);
+}
+
+// The last extraction request, so expired links can be fetched again. Its
+// cookies are not kept; fetching such a post again asks for them again.
+let lastExtraction = null;
+
+// Send an extraction request and render the results
+async function requestVideos(endpoint, payload, button) {
+    const { cookies, ...stored } = payload;
+    lastExtraction = { endpoint: endpoint, payload: stored, hadCookies: Boolean(cookies), button: button };
+    showLoading(true, button);
     hideError();
     hideResults();
     
     try {
-        const response = await fetch('/extract-videos', {
+        const response = await fetch(endpoint, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ sourceCode: sourceCode })
+            body: JSON.stringify(payload)
         });
         
         const data = await response.json();
@@ -76,7 +223,7 @@ async function extractVideoLinks(sourceCode) {
         }
         
         if (data.videos && data.videos.length > 0) {
-            displayResults(data.videos);
+            displayResults(data.videos, data.tracks, data.playlists, data.groups);
         } else {
             showError('No video links found in the provided source code. Please make sure the page contains a video and you copied the complete source code.');
         }
@@ -85,22 +232,31 @@ async function extractVideoLinks(sourceCode) {
         console.error('Extraction error:', error);
         showError(error.message || 'Failed to extract video links. Please check your internet connection and try again.');
     } finally {
-        showLoading(false);
+        showLoading(false, button);
     }
 }
 
 // Display results function with grid layout
-function displayResults(videos) {
+function displayResults(videos, tracks, playlists, groups) {
     videoResults.innerHTML = '';
     
     // Add summary info
     if (videos.length > 0) {
         const summaryDiv = document.createElement('div');
         summaryDiv.className = 'results-summary';
+        const separateTracks = videos.filter(video => !video.hasVideo || !video.hasAudio).length;
+        let summaryText = separateTracks > 0
+            ? `${separateTracks} of these are separate video-only or audio-only DASH tracks.`
+            : 'All videos are filtered to include both audio and video tracks for the best viewing experience.';
+        if (groups && groups.length > 0) {
+            summaryText = `${videos.length} files in total; pick a quality on each card.` +
+                (separateTracks > 0 ? ` ${summaryText}` : '');
+        }
+        const videoCount = groups && groups.length > 0 ? groups.length : videos.length;
         summaryDiv.innerHTML = `
             <div class="summary-stats">
-                <h3><i class="fas fa-video"></i> Found ${videos.length} Videos with Audio & Video</h3>
-                <p>All videos are filtered to include both audio and video tracks for the best viewing experience.</p>
+                <h3><i class="fas fa-video"></i> Found ${videoCount} Videos</h3>
+                <p>${summaryText}</p>
             </div>
             <div class="view-controls">
                 <button class="view-toggle-btn" id="viewToggleBtn">
@@ -111,15 +267,32 @@ function displayResults(videos) {
         videoResults.appendChild(summaryDiv);
     }
     
+    // Offer a merged download when the best quality is split into DASH tracks
+    if (tracks && tracks.muxUrl) {
+        videoResults.appendChild(createMergeItem(tracks.video[0], tracks.muxUrl));
+    }
+    
+    // List the renditions of any HLS master playlists
+    (playlists || []).filter(playlist => playlist.hlsUrl).forEach(playlist => {
+        videoResults.appendChild(createPlaylistItem(playlist));
+    });
+    
     // Create grid container
     const gridContainer = document.createElement('div');
     gridContainer.className = 'video-grid';
     gridContainer.id = 'videoGrid';
     
-    videos.forEach((video, index) => {
-        const videoItem = createVideoItem(video, index);
-        gridContainer.appendChild(videoItem);
-    });
+    // One card per clip when the server grouped its quality variants
+    if (groups && groups.length > 0) {
+        groups.forEach((group, index) => {
+            gridContainer.appendChild(createVideoGroupItem(group, index));
+        });
+    } else {
+        videos.forEach((video, index) => {
+            const videoItem = createVideoItem(video, index);
+            gridContainer.appendChild(videoItem);
+        });
+    }
     
     videoResults.appendChild(gridContainer);
     
@@ -130,8 +303,116 @@ function displayResults(videos) {
     initializeVideoPreviews();
 }
 
+// Create the "best video + best audio" download panel; muxUrl is the signed
+// /mux link the server returned with the tracks
+function createMergeItem(videoTrack, muxUrl) {
+    const mergeDiv = document.createElement('div');
+    mergeDiv.className = 'merge-tracks';
+    
+    mergeDiv.innerHTML = `
+        <div class="merge-info">
+            <h3><i class="fas fa-layer-group"></i> Best Quality with Sound</h3>
+            <p>Merges the ${escapeHtml(videoTrack.resolution)} video track with the best audio track into one MP4.</p>
+        </div>
+        <a href="${escapeHtml(muxUrl)}" class="download-btn primary" data-quality="${escapeHtml(videoTrack.quality)}">
+            <i class="fas fa-download"></i>
+            Download Merged
+        </a>
+    `;
+    
+    return mergeDiv;
+}
+
+// Create the HLS playlist panel with a download link per rendition
+function createPlaylistItem(playlist) {
+    const playlistDiv = document.createElement('div');
+    playlistDiv.className = 'merge-tracks';
+    
+    // Variant indexes match the server's order (highest bandwidth first)
+    const playlistUrl = playlist.hlsUrl;
+    const renditions = (playlist.renditions || []).map((rendition, index) => {
+        const size = rendition.width && rendition.height ? `${rendition.width}x${rendition.height}` : 'Audio';
+        const bitrate = rendition.bandwidth ? ` @ ${formatBitrate(rendition.bandwidth)}` : '';
+        return `
+            <a href="${escapeHtml(`${playlistUrl}&variant=${index}`)}" class="download-btn">
+                <i class="fas fa-download"></i>
+                ${escapeHtml(size + bitrate)}
+            </a>
+        `;
+    });
+    const description = renditions.length > 0
+        ? 'Each rendition is downloaded as a single file, with its audio merged in when it is a separate stream.'
+        : 'The playlist renditions could not be loaded; the best rendition is downloaded.';
+    
+    playlistDiv.innerHTML = `
+        <div class="merge-info">
+            <h3><i class="fas fa-list"></i> HLS Stream</h3>
+            <p>${description}</p>
+        </div>
+        <div class="rendition-links">
+            ${renditions.length > 0 ? renditions.join('') : `
+            <a href="${escapeHtml(playlistUrl)}" class="download-btn primary">
+                <i class="fas fa-download"></i>
+                Download
+            </a>`}
+        </div>
+    `;
+    
+    return playlistDiv;
+}
+
+// Create one card for a clip with a picker over its quality ladder
+function createVideoGroupItem(group, index) {
+    const variants = group.variants;
+    const recommended = group.recommended >= 0 ? group.recommended : 0;
+    const groupItem = createVideoItem(variants[recommended], index);
+    
+    if (variants.length < 2) {
+        return groupItem;
+    }
+    
+    const options = variants.map((variant, variantIndex) => {
+        const description = variant.contentType?.description || 'Video + Audio';
+        const label = `${variant.quality} • ${variant.resolution} • ${description} • ${variant.size}`;
+        const suffix = variantIndex === recommended ? ' (recommended)' : '';
+        return `<option value="${variantIndex}" ${variantIndex === recommended ? 'selected' : ''}>${escapeHtml(label + suffix)}</option>`;
+    });
+    
+    const picker = document.createElement('div');
+    picker.className = 'quality-picker';
+    picker.innerHTML = `
+        <label>
+            <i class="fas fa-sliders-h"></i>
+            <span>${variants.length} qualities</span>
+            <select>${options.join('')}</select>
+        </label>
+    `;
+    
+    // Swap the card's contents for the chosen variant
+    picker.querySelector('select').addEventListener('change', function() {
+        const replacement = createVideoItem(variants[parseInt(this.value, 10)], index);
+        const oldCard = groupItem.querySelector('.video-card');
+        const oldVideo = oldCard.querySelector('.preview-video');
+        if (oldVideo) {
+            // Stop the old preview download
+            oldVideo.removeAttribute('src');
+            oldVideo.load();
+        }
+        oldCard.replaceWith(replacement.querySelector('.video-card'));
+        groupItem.querySelector('.video-title').after(picker);
+        initializeVideoPreviews(groupItem);
+    });
+    
+    groupItem.querySelector('.video-title').after(picker);
+    return groupItem;
+}
+
 // Create video item element with grid layout and preview
 function createVideoItem(video, index) {
+    if (video.mediaType === 'image') {
+        return createImageItem(video, index);
+    }
+    
     const videoDiv = document.createElement('div');
     videoDiv.className = 'video-grid-item';
     
@@ -140,18 +421,43 @@ function createVideoItem(video, index) {
     const typeText = video.type || 'MP4';
     const resolution = video.resolution || 'Auto';
     const contentType = video.contentType?.description || 'Video + Audio';
+    const metadata = video.metadata || {};
+    const title = video.title || metadata.title || `Facebook Video ${index + 1}`;
+    const author = video.author || metadata.author;
+    const downloadName = video.downloadName || 'video.mp4';
+    const downloadUrl = video.downloadUrl || video.url;
+    const posterAttribute = video.thumbnail ? `poster="${escapeHtml(video.thumbnail)}"` : '';
+    const bylineText = author || metadata.publishedAt ? `
+                    <p class="video-byline">
+                        ${author ? `<i class="fas fa-user"></i> ${escapeHtml(author)}` : ''}
+                        ${author && metadata.publishedAt ? '<span class="separator">•</span>' : ''}
+                        ${metadata.publishedAt ? `<i class="fas fa-calendar"></i> ${formatDate(metadata.publishedAt)}` : ''}
+                    </p>` : '';
+    const captionText = metadata.caption && metadata.caption !== title ? `
+                    <p class="video-caption" title="${escapeHtml(metadata.caption)}">${escapeHtml(metadata.caption)}</p>` : '';
+    const expiryText = video.expiresAt ? `
+                    <p class="video-expiry ${expiryClass(video.expiresAt)}" data-expires-at="${escapeHtml(video.expiresAt)}">
+                        <i class="fas fa-hourglass-half"></i> <span>${formatExpiry(video.expiresAt)}</span>
+                    </p>` : '';
+    const durationText = video.duration ? `
+                        <span class="separator">•</span>
+                        <i class="fas fa-clock"></i> ${formatDuration(video.duration)}` : '';
+    const bitrateText = video.bitrate ? `
+                        <span class="separator">•</span>
+                        <i class="fas fa-tachometer-alt"></i> ${formatBitrate(video.bitrate)}` : '';
     
     videoDiv.innerHTML = `
         <div class="video-card">
             <div class="video-preview">
                 <div class="video-thumbnail">
                     <video 
-                        src="/proxy-video?url=${encodeURIComponent(video.url)}" 
+                        src="${escapeHtml(video.proxyUrl || '')}" 
                         muted 
-                        preload="auto"
+                        preload="metadata"
                         playsinline
+                        ${posterAttribute}
                         class="preview-video"
-                        data-video-url="${video.url}">
+                        data-video-url="${escapeHtml(video.url)}">
                     </video>
                     <div class="video-overlay">
                         <div class="play-button">
@@ -162,37 +468,43 @@ function createVideoItem(video, index) {
                         </div>
                     </div>
                     <div class="video-badges">
-                        <span class="quality-badge">${qualityText}</span>
-                        <span class="resolution-badge">${resolution}</span>
+                        <span class="quality-badge">${escapeHtml(qualityText)}</span>
+                        <span class="resolution-badge">${escapeHtml(resolution)}</span>
                     </div>
                 </div>
             </div>
             
             <div class="video-details">
                 <div class="video-title">
-                    <h3>Facebook Video ${index + 1}</h3>
+                    <h3>${escapeHtml(title)}</h3>${bylineText}${captionText}
                     <p class="video-meta">
-                        <i class="fas fa-video"></i> ${contentType}
+                        <i class="fas fa-video"></i> ${escapeHtml(contentType)}
                         <span class="separator">•</span>
-                        <i class="fas fa-file-video"></i> ${typeText}
+                        <i class="fas fa-file-video"></i> ${escapeHtml(typeText)}
                         <span class="separator">•</span>
-                        <i class="fas fa-hdd"></i> ${video.size}
-                    </p>
+                        <i class="fas fa-hdd"></i> ${escapeHtml(video.size)}${durationText}${bitrateText}
+                    </p>${expiryText}
                 </div>
                 
                 <div class="video-actions">
-                    <button class="preview-btn" data-video-url="${video.url}" data-video-title="Facebook Video ${index + 1}" data-video-quality="${qualityText}">
+                    <button class="preview-btn" data-video-url="${escapeHtml(video.url)}" data-proxy-url="${escapeHtml(video.proxyUrl || '')}" data-download-url="${escapeHtml(downloadUrl)}" data-video-title="${escapeHtml(title)}" data-video-quality="${escapeHtml(qualityText)}" data-download-name="${escapeHtml(downloadName)}">
                         <i class="fas fa-play-circle"></i>
                         Play Video
                     </button>
-                    <a href="${video.url}" 
+                    <a href="${escapeHtml(downloadUrl)}" 
                        class="download-btn primary" 
-                       download="facebook-video-${qualityText}-${index + 1}.mp4"
-                       target="_blank"
-                       data-quality="${qualityText}">
+                       download="${escapeHtml(downloadName)}"
+                       data-quality="${escapeHtml(qualityText)}"
+                       data-expires-at="${escapeHtml(video.expiresAt || '')}">
                         <i class="fas fa-download"></i>
                         Download
-                    </a>
+                    </a>${video.downloadUrl ? `
+                    <button class="server-download-btn" 
+                            data-download-url="${escapeHtml(video.downloadUrl)}" 
+                            data-expires-at="${escapeHtml(video.expiresAt || '')}" 
+                            title="Download on the server, with progress and automatic retries">
+                        <i class="fas fa-server"></i>
+                    </button>` : ''}
                 </div>
             </div>
         </div>
@@ -201,18 +513,330 @@ function createVideoItem(video, index) {
     return videoDiv;
 }
 
+// Escape text (e.g. video titles, CDN URLs) before putting it into HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Create an image result (e.g. photos in an Instagram carousel)
+function createImageItem(image, index) {
+    const imageDiv = document.createElement('div');
+    imageDiv.className = 'video-grid-item';
+    
+    const title = image.title || `Image ${index + 1}`;
+    const resolution = image.resolution || 'Auto';
+    
+    imageDiv.innerHTML = `
+        <div class="video-card">
+            <div class="video-preview">
+                <div class="video-thumbnail">
+                    <img src="${escapeHtml(image.url)}" alt="${escapeHtml(title)}" class="preview-image" referrerpolicy="no-referrer" loading="lazy">
+                    <div class="video-badges">
+                        <span class="quality-badge">Image</span>
+                        <span class="resolution-badge">${escapeHtml(resolution)}</span>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="video-details">
+                <div class="video-title">
+                    <h3>${escapeHtml(title)}</h3>
+                    <p class="video-meta">
+                        <i class="fas fa-image"></i> Image
+                        <span class="separator">•</span>
+                        <i class="fas fa-file-image"></i> ${escapeHtml(image.type || 'JPG')}
+                    </p>
+                </div>
+                
+                <div class="video-actions">
+                    <a href="${escapeHtml(image.downloadUrl || image.url)}" 
+                       class="download-btn primary" 
+                       download="${escapeHtml(image.downloadName || `image-${index + 1}.jpg`)}"
+                       rel="noopener noreferrer">
+                        <i class="fas fa-download"></i>
+                        Download
+                    </a>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    return imageDiv;
+}
+
+// Format seconds as m:ss or h:mm:ss
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+// ISO timestamp -> localized date, e.g. "May 1, 2024"
+function formatDate(isoString) {
+    const date = new Date(isoString);
+    return isNaN(date.getTime()) ? '' : date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// "Link expires in 2h 5m" / "Link expired"
+function formatExpiry(isoString) {
+    const remaining = new Date(isoString).getTime() - Date.now();
+    if (!(remaining > 0)) {
+        return 'Link expired';
+    }
+    
+    const minutes = Math.ceil(remaining / 60000);
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `Link expires in ${hours}h ${minutes % 60}m` : `Link expires in ${minutes}m`;
+}
+
+function expiryClass(isoString) {
+    const remaining = new Date(isoString).getTime() - Date.now();
+    return remaining <= 0 ? 'expired' : remaining < 30 * 60000 ? 'expiring-soon' : '';
+}
+
+// Refresh every countdown; prompt for a re-extraction once one runs out
+function updateExpiryCountdowns() {
+    let anyExpired = false;
+    
+    document.querySelectorAll('.video-expiry').forEach(element => {
+        const expiresAt = element.dataset.expiresAt;
+        element.querySelector('span').textContent = formatExpiry(expiresAt);
+        element.classList.remove('expired', 'expiring-soon');
+        const className = expiryClass(expiresAt);
+        if (className) element.classList.add(className);
+        if (className === 'expired') anyExpired = true;
+    });
+    
+    if (anyExpired) {
+        showLinkExpired();
+    }
+}
+
+// Ask the server why a proxy link failed; expired links get the re-extract
+// prompt. Returns true when the link has expired.
+async function checkLinkExpired(proxyUrl) {
+    if (!proxyUrl) return false;
+    
+    try {
+        const response = await fetch(proxyUrl, { headers: { 'Range': 'bytes=0-0' } });
+        if (response.ok) return false;
+        
+        const data = await response.json();
+        if (data.code === 'LINK_EXPIRED' || data.code === 'TOKEN_EXPIRED') {
+            showLinkExpired();
+            return true;
+        }
+    } catch (error) {
+        console.error('Link check failed:', error);
+    }
+    return false;
+}
+
+// Notice above the results offering to extract again. Links from a URL can be
+// fetched again directly; pasted source has to be copied again from the page.
+function showLinkExpired() {
+    if (document.getElementById('linkExpiredNotice') || !lastExtraction) {
+        return;
+    }
+    
+    const needsCookies = Boolean(lastExtraction.payload.url) && lastExtraction.hadCookies;
+    const canRefetch = Boolean(lastExtraction.payload.url) && !needsCookies;
+    const fromHar = Boolean(lastExtraction.payload.har);
+    const notice = document.createElement('div');
+    notice.className = 'link-expired-notice';
+    notice.id = 'linkExpiredNotice';
+    notice.innerHTML = `
+        <i class="fas fa-hourglass-end"></i>
+        <p>${needsCookies
+            ? 'These video links have expired. Add your cookies again and fetch the post again to get fresh links.'
+            : canRefetch
+                ? 'These video links have expired. Fetch the post again to get fresh links.'
+                : fromHar
+                    ? 'These video links have expired. Play the video again with the Network tab open and upload a new HAR file.'
+                    : 'These video links have expired. Reload the post, copy its page source again and paste it to get fresh links.'}</p>
+        <button class="view-toggle-btn" id="reextractBtn">
+            <i class="fas ${needsCookies ? 'fa-lock' : canRefetch ? 'fa-sync-alt' : fromHar ? 'fa-file-import' : 'fa-paste'}"></i> ${needsCookies ? 'Add Cookies' : canRefetch ? 'Fetch Again' : fromHar ? 'Upload New HAR' : 'Paste New Source'}
+        </button>
+    `;
+    
+    notice.querySelector('#reextractBtn').addEventListener('click', function() {
+        const { endpoint, payload, button } = lastExtraction;
+        if (canRefetch) {
+            requestVideos(endpoint, payload, button);
+            return;
+        }
+        
+        if (needsCookies) {
+            const cookieHeader = document.getElementById('cookieHeader');
+            cookieHeader.closest('details').open = true;
+            cookieHeader.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            cookieHeader.focus();
+            return;
+        }
+        
+        const fileInput = button.closest('form').querySelector('input[type="file"]');
+        if (fileInput) {
+            fileInput.value = '';
+            fileInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            fileInput.focus();
+            return;
+        }
+        
+        const textarea = button.closest('form').querySelector('textarea');
+        if (textarea) {
+            textarea.value = '';
+            textarea.dispatchEvent(new Event('input'));
+            textarea.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            textarea.focus();
+        }
+    });
+    
+    videoResults.prepend(notice);
+    notice.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// 2176000 -> "2.2 Mbps", 256000 -> "256 kbps"
+function formatBitrate(bitsPerSecond) {
+    return bitsPerSecond >= 1000000
+        ? `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`
+        : `${Math.round(bitsPerSecond / 1000)} kbps`;
+}
+
+// Queue a server-side download job (POST /jobs) and add it to the download manager
+async function startServerDownload(downloadUrl, button) {
+    button.disabled = true;
+    
+    try {
+        const response = await fetch('/jobs', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ downloads: [downloadUrl] })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to start the download');
+        }
+        
+        data.jobs.forEach(addDownloadJob);
+        
+    } catch (error) {
+        console.error('Download job error:', error);
+        showError(error.message || 'Failed to start the download. Please try again.');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// One row in the download manager, updated from the job's event stream
+function addDownloadJob(job) {
+    const manager = document.getElementById('downloadManager');
+    const row = document.createElement('div');
+    row.className = 'download-job';
+    row.innerHTML = `
+        <div class="download-job-info">
+            <span class="download-job-name" title="${escapeHtml(job.filename)}">${escapeHtml(job.filename)}</span>
+            <span class="download-job-status"></span>
+        </div>
+        <div class="download-job-bar"><div class="download-job-progress"></div></div>
+        <div class="download-job-actions">
+            <a href="${escapeHtml(job.fileUrl)}" class="download-btn primary download-job-save" style="display: none;">
+                <i class="fas fa-save"></i> Save File
+            </a>
+            <button class="view-toggle-btn download-job-cancel">
+                <i class="fas fa-times"></i> <span>Cancel</span>
+            </button>
+        </div>
+    `;
+    
+    const events = new EventSource(job.eventsUrl);
+    const update = event => renderDownloadJob(row, JSON.parse(event.data));
+    events.addEventListener('progress', update);
+    events.addEventListener('done', event => {
+        update(event);
+        events.close();
+    });
+    
+    // A file can only be fetched once
+    row.querySelector('.download-job-save').addEventListener('click', () => {
+        setTimeout(() => renderDownloadJob(row, { ...row.job, state: 'fetched', done: true }), 500);
+    });
+    
+    // Cancel a running job; remove a finished one (and its file on the server)
+    row.querySelector('.download-job-cancel').addEventListener('click', async () => {
+        events.close();
+        try {
+            await fetch(`/jobs/${encodeURIComponent(job.id)}`, { method: 'DELETE' });
+        } catch (error) {
+            console.error('Download job cancel error:', error);
+        }
+        row.remove();
+        if (!document.querySelector('.download-job')) {
+            manager.style.display = 'none';
+        }
+    });
+    
+    renderDownloadJob(row, job);
+    document.getElementById('downloadJobs').prepend(row);
+    manager.style.display = 'block';
+}
+
+function renderDownloadJob(row, job) {
+    row.job = job;
+    row.dataset.state = job.state;
+    
+    const sizeText = job.total ? `${formatFileSize(job.bytes)} of ${formatFileSize(job.total)}` : formatFileSize(job.bytes);
+    const statusText = {
+        queued: 'Waiting for a free slot...',
+        downloading: `${sizeText}${job.speed ? ` • ${formatFileSize(job.speed)}/s` : ''}${job.eta !== null && job.eta !== undefined ? ` • ${formatDuration(job.eta)} left` : ''}`,
+        retrying: `Connection lost, retrying (attempt ${job.attempts + 1})...`,
+        completed: `Ready • ${formatFileSize(job.bytes)}`,
+        fetched: 'Saved',
+        failed: `Failed: ${job.error || 'unknown error'}`,
+        cancelled: 'Cancelled'
+    }[job.state] || job.state;
+    
+    row.querySelector('.download-job-status').textContent = statusText;
+    row.querySelector('.download-job-progress').style.width = `${job.state === 'completed' || job.state === 'fetched' ? 100 : Math.round((job.progress || 0) * 100)}%`;
+    row.querySelector('.download-job-save').style.display = job.state === 'completed' ? 'flex' : 'none';
+    row.querySelector('.download-job-cancel span').textContent = job.done ? 'Remove' : 'Cancel';
+}
+
+// Bytes -> "12.3 MB"
+function formatFileSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes || 0;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
 // Show loading state
-function showLoading(loading) {
+function showLoading(loading, button = extractBtn) {
+    const buttonSpinner = button.querySelector('.spinner');
     if (loading) {
-        extractBtn.disabled = true;
-        extractBtn.classList.add('loading');
-        spinner.style.display = 'block';
-        extractBtn.querySelector('span').style.opacity = '0';
+        button.disabled = true;
+        button.classList.add('loading');
+        buttonSpinner.style.display = 'block';
+        button.querySelector('span').style.opacity = '0';
     } else {
-        extractBtn.disabled = false;
-        extractBtn.classList.remove('loading');
-        spinner.style.display = 'none';
-        extractBtn.querySelector('span').style.opacity = '1';
+        button.disabled = false;
+        button.classList.remove('loading');
+        buttonSpinner.style.display = 'none';
+        button.querySelector('span').style.opacity = '1';
     }
 }
 
@@ -380,8 +1004,9 @@ function handleSpecificErrors(error) {
 }
 
 // Video preview functionality
-// Open embedded video player
-function openVideoPlayer(videoUrl, title, quality) {
+// Open embedded video player. proxyUrl and downloadUrl are the signed
+// /proxy-video and /download links from the extraction result.
+function openVideoPlayer(downloadUrl, proxyUrl, title, quality, downloadName = `facebook-video-${quality}.mp4`) {
     // Create modal overlay
     const modal = document.createElement('div');
     modal.className = 'video-player-modal';
@@ -389,8 +1014,8 @@ function openVideoPlayer(videoUrl, title, quality) {
         <div class="video-player-container">
             <div class="video-player-header">
                 <div class="video-player-title">
-                    <h3>${title}</h3>
-                    <p class="video-player-quality">Quality: ${quality}</p>
+                    <h3>${escapeHtml(title)}</h3>
+                    <p class="video-player-quality">Quality: ${escapeHtml(quality)}</p>
                 </div>
                 <button class="close-player-btn" id="closePlayerBtn">
                     <i class="fas fa-times"></i>
@@ -403,7 +1028,7 @@ function openVideoPlayer(videoUrl, title, quality) {
                     autoplay 
                     preload="metadata"
                     class="embedded-video">
-                    <source src="/proxy-video?url=${encodeURIComponent(videoUrl)}" type="video/mp4">
+                    <source src="${escapeHtml(proxyUrl)}" type="video/mp4">
                     Your browser does not support the video tag.
                 </video>
             </div>
@@ -411,10 +1036,9 @@ function openVideoPlayer(videoUrl, title, quality) {
                 <button class="fullscreen-btn" id="fullscreenBtn">
                     <i class="fas fa-expand"></i> Fullscreen
                 </button>
-                <a href="${videoUrl}" 
+                <a href="${escapeHtml(downloadUrl)}" 
                    class="download-btn primary" 
-                   download="facebook-video-${quality}.mp4"
-                   target="_blank">
+                   download="${escapeHtml(downloadName)}">
                     <i class="fas fa-download"></i>
                     Download Video
                 </a>
@@ -425,6 +1049,13 @@ function openVideoPlayer(videoUrl, title, quality) {
     // Add modal to page
     document.body.appendChild(modal);
     
+    // Errors on a <source> fire on the element itself, not the video
+    modal.querySelector('#embeddedVideoPlayer source').addEventListener('error', async function() {
+        if (await checkLinkExpired(proxyUrl)) {
+            closeVideoPlayer();
+        }
+    });
+    
     // Add event listeners
     modal.addEventListener('click', function(e) {
         if (e.target === modal) {
@@ -467,8 +1098,8 @@ function toggleFullscreen() {
 }
 
 // Initialize video previews
-function initializeVideoPreviews() {
-    const previewVideos = document.querySelectorAll('.preview-video');
+function initializeVideoPreviews(root = document) {
+    const previewVideos = root.querySelectorAll('.preview-video');
     
     previewVideos.forEach(video => {
         // Set up video for proper preview
@@ -499,6 +1130,7 @@ function initializeVideoPreviews() {
         video.addEventListener('error', function(e) {
             console.error('Video loading error:', e);
             console.error('Error details:', this.error);
+            checkLinkExpired(this.getAttribute('src'));
             // Fallback: show play button overlay
             const overlay = this.nextElementSibling;
             if (overlay && overlay.classList.contains('video-overlay')) {
@@ -518,7 +1150,7 @@ function initializeVideoPreviews() {
             const videoQuality = previewBtn.dataset.videoQuality;
             
             if (videoUrl && videoTitle && videoQuality) {
-                openVideoPlayer(videoUrl, videoTitle, videoQuality);
+                openVideoPlayer(previewBtn.dataset.downloadUrl, previewBtn.dataset.proxyUrl, videoTitle, videoQuality, previewBtn.dataset.downloadName);
             }
         });
         
@@ -580,7 +1212,7 @@ function initializeEventListeners() {
             const videoQuality = btn.dataset.videoQuality;
             
             if (videoUrl && videoTitle && videoQuality) {
-                openVideoPlayer(videoUrl, videoTitle, videoQuality);
+                openVideoPlayer(btn.dataset.downloadUrl, btn.dataset.proxyUrl, videoTitle, videoQuality, btn.dataset.downloadName);
             }
         }
         
@@ -595,7 +1227,7 @@ function initializeEventListeners() {
                 const videoQuality = previewBtn.dataset.videoQuality;
                 
                 if (videoUrl && videoTitle && videoQuality) {
-                    openVideoPlayer(videoUrl, videoTitle, videoQuality);
+                    openVideoPlayer(previewBtn.dataset.downloadUrl, previewBtn.dataset.proxyUrl, videoTitle, videoQuality, previewBtn.dataset.downloadName);
                     e.preventDefault();
                     e.stopPropagation();
                 }
@@ -605,12 +1237,27 @@ function initializeEventListeners() {
         // Download buttons
         if (e.target.closest('.download-btn')) {
             const btn = e.target.closest('.download-btn');
+            if (btn.dataset.expiresAt && new Date(btn.dataset.expiresAt).getTime() <= Date.now()) {
+                e.preventDefault();
+                showLinkExpired();
+                return;
+            }
             const quality = btn.dataset.quality;
             if (quality) {
                 trackDownload(quality);
             }
         }
         
+        // Server-side download jobs
+        if (e.target.closest('.server-download-btn')) {
+            const btn = e.target.closest('.server-download-btn');
+            if (btn.dataset.expiresAt && new Date(btn.dataset.expiresAt).getTime() <= Date.now()) {
+                showLinkExpired();
+                return;
+            }
+            startServerDownload(btn.dataset.downloadUrl, btn);
+        }
+        
         // Close player button
         if (e.target.closest('#closePlayerBtn')) {
             closeVideoPlayer();
@@ -661,8 +1308,30 @@ function initializeDownloaderSelection() {
     }
 }
 
+// Initialize input tabs (switch between page source and URL input in a form)
+function initializeInputTabs() {
+    document.querySelectorAll('.input-tabs').forEach(tabBar => {
+        const container = tabBar.parentElement;
+        const tabs = tabBar.querySelectorAll('.input-tab');
+        const panels = container.querySelectorAll('.input-panel');
+
+        tabs.forEach(tab => {
+            tab.addEventListener('click', function() {
+                tabs.forEach(t => t.classList.remove('active'));
+                this.classList.add('active');
+
+                panels.forEach(panel => {
+                    panel.classList.toggle('active', panel.dataset.panel === this.dataset.input);
+                });
+            });
+        });
+    });
+}
+
 // Initialize everything when page loads
 document.addEventListener('DOMContentLoaded', function() {
     initializeEventListeners();
     initializeDownloaderSelection();
+    initializeInputTabs();
+    setInterval(updateExpiryCountdowns, 30000);
 });
\ No newline at end of file
@@ -1,11 +1,33 @@
 const express = require('express');
-const cheerio = require('cheerio');
 const cors = require('cors');
 const helmet = require('helmet');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
 const validator = require('validator');
 const compression = require('compression');
+const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const { pipeline } = require('stream/promises');
+const { FragmentedMp4Muxer, UnsupportedMediaError } = require('./lib/mp4-muxer');
+const { Mp4Probe } = require('./lib/mp4-probe');
+const { FacebookVideoExtractor } = require('./lib/facebook-extractor');
+const { isJsonPayload } = require('./lib/facebook-payloads');
+const { ExtractionPool, ExtractionPoolError } = require('./lib/extraction-pool');
+const { HlsDownloader, HlsError } = require('./lib/hls-downloader');
+const { PageFetcher, PageFetchError, parseFacebookVideoUrl } = require('./lib/page-fetcher');
+const { CookieJar, CookieError } = require('./lib/cookie-jar');
+const { UrlPolicy, UrlPolicyError } = require('./lib/url-policy');
+const { ProxyTokenSigner, ProxyTokenError } = require('./lib/proxy-token');
+const { formatDownloadFilename, contentDisposition } = require('./lib/download-filename');
+const { ConcurrencyLimiter, BandwidthLimiter } = require('./lib/stream-limits');
+const { RangeCache } = require('./lib/range-cache');
+const { SegmentedFetcher } = require('./lib/segmented-fetch');
+const { DownloadJobManager, DownloadJobError } = require('./lib/download-jobs');
+const { cdnUrlExpiry } = require('./lib/video-utils');
+const { ExtractorRegistry, ExtractionError } = require('./lib/extractor-registry');
+const { youtubePlatform } = require('./lib/youtube-extractor');
+const { instagramPlatform } = require('./lib/instagram-extractor');
+const { twitterPlatform } = require('./lib/twitter-extractor');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -53,1222 +75,1035 @@ const rateLimitMiddleware = async (req, res, next) => {
     }
 };
 
-// Logging middleware
+// Logging middleware. Only the method, path and IP: request bodies and
+// headers may carry the user's Facebook cookies.
 app.use((req, res, next) => {
     console.log(`${new Date().toISOString()} - ${req.method} ${req.path} - ${req.ip}`);
     next();
 });
 
-// Video extraction logic
-class FacebookVideoExtractor {
-    constructor() {
-        // Common patterns for Facebook video URLs
-        this.videoPatterns = [
-            // Traditional Facebook video patterns
-            /"hd_src":"([^"]+)"/g,
-            /"sd_src":"([^"]+)"/g,
-            /"hd_src_no_ratelimit":"([^"]+)"/g,
-            /"sd_src_no_ratelimit":"([^"]+)"/g,
-            
-            // Modern Facebook patterns
-            /"playable_url":"([^"]+)"/g,
-            /"playable_url_quality_hd":"([^"]+)"/g,
-            /"browser_native_hd_url":"([^"]+)"/g,
-            /"browser_native_sd_url":"([^"]+)"/g,
-            
-            // Video data and playback URLs
-            /"playback_url":"([^"]+)"/g,
-            /"video_url":"([^"]+)"/g,
-            /"videoUrl":"([^"]+)"/g,
-            /"videoSrc":"([^"]+)"/g,
-            /"playbackUrl":"([^"]+)"/g,
-            
-            // Progressive download patterns
-            /"progressive":\[.*?"url":"([^"]+)".*?\]/g,
-            /"url":"([^"]+)"[^}]*"quality":"[^"]*"/g,
-            
-            // Direct MP4 URL patterns (most comprehensive)
-            /https:\/\/[^"'\s]*\.mp4(?:\?[^"'\s]*)?/g,
-            /https:\/\/[^"'\s]*video[^"'\s]*\.mp4(?:\?[^"'\s]*)?/g,
-            /https:\/\/[^"'\s]*scontent[^"'\s]*\.mp4(?:\?[^"'\s]*)?/g,
-            /https:\/\/[^"'\s]*fbcdn[^"'\s]*\.mp4(?:\?[^"'\s]*)?/g,
-            /https:\/\/[^"'\s]*cdninstagram[^"'\s]*\.mp4(?:\?[^"'\s]*)?/g,
-            
-            // Facebook video server patterns
-            /https:\/\/video[^"'\s]*\.facebook\.com[^"'\s]*\.mp4(?:\?[^"'\s]*)?/g,
-            /https:\/\/[^"'\s]*\.fbcdn\.net[^"'\s]*\.mp4(?:\?[^"'\s]*)?/g,
-            
-            // More flexible patterns for modern FB
-            /"src":\s*"([^"]*\.mp4[^"]*)"/g,
-            /"source":\s*"([^"]*\.mp4[^"]*)"/g,
-            /"video":\s*"([^"]*\.mp4[^"]*)"/g,
-            
-            // Base64 or encoded patterns
-            /data-src=['"]([^'"]*\.mp4[^'"]*)['"]/g,
-            /src=['"]([^'"]*\.mp4[^'"]*)['"]/g,
-            
-            // GraphQL and API responses
-            /"dash_manifest":"([^"]+)"/g,
-            /"download_url":"([^"]+)"/g,
-            
-            // Blob and object URLs
-            /blob:https?:\/\/[^"'\s]+/g,
-            
-            // Alternative encoding patterns
-            /\\u002F\\u002F[^"]*\.mp4[^"]*/g,
-            
-            // JSON-style patterns with escaped slashes
-            /"[^"]*\\\/\\\/[^"]*\.mp4[^"]*"/g,
-        ];
-
-        this.qualityPatterns = [
-            { pattern: /hd|720p|1080p|high/i, quality: 'HD' },
-            { pattern: /sd|480p|medium/i, quality: 'SD' },
-            { pattern: /low|240p|360p/i, quality: 'Low' },
-            { pattern: /4k|2160p|ultra/i, quality: '4K' },
-            { pattern: /2k|1440p/i, quality: '2K' },
-        ];
-    }
+// Initialize extractor. It is used here for probing, sorting and grouping;
+// the page scan itself runs on the extraction pool.
+const extractor = new FacebookVideoExtractor();
 
-    extractVideos(html) {
-        const videos = [];
-        const foundUrls = new Set();
-
-        try {
-            // Clean HTML to prevent parsing issues
-            const cleanHtml = this.cleanHtml(html);
-            console.log('Cleaned HTML length:', cleanHtml.length);
-            
-            // Extract using regex patterns
-            this.videoPatterns.forEach((pattern, index) => {
-                let match;
-                const regex = new RegExp(pattern.source, pattern.flags);
-                let matchCount = 0;
-                
-                while ((match = regex.exec(cleanHtml)) !== null) {
-                    matchCount++;
-                    let url;
-                    
-                    // Handle different match groups
-                    if (match[1]) {
-                        url = this.decodeUrl(match[1]);
-                    } else {
-                        url = this.decodeUrl(match[0]);
-                    }
-                    
-                    // Skip empty URLs
-                    if (!url || url.length < 20) {
-                        continue;
-                    }
-                    
-                    // Skip DASH manifest fragments and XML tags
-                    if (url.includes('<') || url.includes('>') || url.includes('BaseURL') || 
-                        url.includes('SegmentBase') || url.includes('indexRange')) {
-                        console.log('❌ Skipping DASH manifest fragment:', url.substring(0, 100));
-                        continue;
-                    }
-                    
-                    // Skip if URL doesn't start with http/https after cleaning
-                    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-                        console.log('❌ Skipping invalid URL format:', url.substring(0, 100));
-                        continue;
-                    }
-                    
-                    // For pattern 31 (the one finding your videos), be more permissive
-                    if (index === 31 && url.includes('scontent') && url.includes('.mp4')) {
-                        console.log(`✅ Pattern 31 (Facebook CDN) found URL:`, url.substring(0, 200) + '...');
-                        
-                        if (!foundUrls.has(url)) {
-                            foundUrls.add(url);
-                            videos.push(this.createVideoObject(url));
-                            console.log('✅ Added Facebook video URL successfully!');
-                        }
-                        continue;
-                    }
-                    
-                    // For other patterns, use normal validation
-                    if (this.isValidVideoUrl(url) && !foundUrls.has(url)) {
-                        foundUrls.add(url);
-                        videos.push(this.createVideoObject(url));
-                        console.log('✅ Added valid video URL:', url.substring(0, 150) + '...');
-                    }
-                }
-                
-                if (matchCount > 0) {
-                    console.log(`Pattern ${index} found ${matchCount} matches`);
-                }
-            });
+// Worker threads for page scans, so a 50 MB paste does not stall other
+// requests. Jobs past EXTRACTION_TIMEOUT seconds are stopped, and at most
+// EXTRACTION_QUEUE_LIMIT jobs wait for a free worker.
+app.set('extractionPool', new ExtractionPool({
+    size: parseInt(process.env.EXTRACTION_WORKERS, 10) || Math.max(1, Math.min(4, os.cpus().length - 1)),
+    timeout: process.env.EXTRACTION_TIMEOUT ? parseInt(process.env.EXTRACTION_TIMEOUT, 10) * 1000 : undefined,
+    maxQueue: process.env.EXTRACTION_QUEUE_LIMIT !== undefined ? parseInt(process.env.EXTRACTION_QUEUE_LIMIT, 10) || 0 : undefined
+}));
 
-            console.log(`Found ${videos.length} videos so far from regex patterns`);
+// AbortSignal that fires when the client goes away before the response is sent
+function clientAbortSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+    return controller.signal;
+}
 
-            // Additional fallback search - look for any .mp4 URLs
-            if (videos.length === 0) {
-                console.log('No videos found with patterns, trying fallback search...');
-                this.fallbackVideoSearch(cleanHtml, foundUrls, videos);
-            }
+// Reads real track info from the head of each extracted file
+const videoProbe = new Mp4Probe({
+    fetch: (url, range, options) => fetchVideo(url, range, options)
+});
 
-            // Try to extract using Cheerio for structured data
-            const cheerioVideos = this.extractWithCheerio(cleanHtml);
-            cheerioVideos.forEach(video => {
-                if (!foundUrls.has(video.url)) {
-                    foundUrls.add(video.url);
-                    videos.push(video);
-                }
-            });
+// Probe extracted videos and replace guessed fields with real values
+async function probeVideos(videos) {
+    const results = await videoProbe.probeAll(videos.map(video => video.url));
+    let probed = 0;
+    
+    videos.forEach(video => {
+        const result = results.get(video.url);
+        if (result) {
+            extractor.applyProbeResult(video, result);
+            probed++;
+        }
+    });
+    
+    console.log(`Probed ${probed} of ${videos.length} videos`);
+    return extractor.sortVideosByQuality(videos);
+}
 
-            console.log(`Found ${videos.length} videos after Cheerio extraction`);
+// Every CDN fetch made for a user goes through this policy. ALLOWED_VIDEO_HOSTS
+// (comma-separated) replaces the default host allow-list.
+app.set('urlPolicy', new UrlPolicy({
+    allowedHosts: process.env.ALLOWED_VIDEO_HOSTS
+        ? process.env.ALLOWED_VIDEO_HOSTS.split(',').map(host => host.trim()).filter(Boolean)
+        : undefined
+}));
 
-            // Extract from JSON-LD structured data
-            const structuredVideos = this.extractFromStructuredData(cleanHtml);
-            structuredVideos.forEach(video => {
-                if (!foundUrls.has(video.url)) {
-                    foundUrls.add(video.url);
-                    videos.push(video);
-                }
-            });
+// Signs the /proxy-video links handed out with extraction results.
+// PROXY_TOKEN_SECRET keeps links valid across restarts and between instances;
+// PROXY_TOKEN_BIND_IP=true makes a link work only from the IP that extracted it.
+app.set('proxySigner', new ProxyTokenSigner({
+    secret: process.env.PROXY_TOKEN_SECRET,
+    ttl: process.env.PROXY_TOKEN_TTL ? parseInt(process.env.PROXY_TOKEN_TTL, 10) * 1000 : undefined,
+    bindIp: process.env.PROXY_TOKEN_BIND_IP === 'true' || process.env.PROXY_TOKEN_BIND_IP === '1'
+}));
 
-            console.log(`Final video count: ${videos.length}`);
+// Download file name template, e.g. "{author} - {title} ({date}) [{quality}]".
+// Also available: {resolution} and {id}.
+const DOWNLOAD_FILENAME_TEMPLATE = process.env.DOWNLOAD_FILENAME_TEMPLATE;
+
+// Give every playable result a signed /proxy-video link and a /download link
+// for this client. Group variants are the same objects as the videos, but may
+// include ones the caller dropped from `videos`, so they are walked too. DASH
+// track lists get a /mux link for their best video and audio tracks, and HLS
+// playlists a /hls link.
+function attachProxyLinks(result, req) {
+    const signer = req.app.get('proxySigner');
+    const videos = new Set(result.videos || []);
+    (result.groups || []).forEach(group => group.variants.forEach(variant => videos.add(variant)));
+
+    videos.forEach(video => {
+        if (video.expiresAt === undefined) {
+            const expiry = cdnUrlExpiry(video.url);
+            video.expiresAt = expiry ? new Date(expiry).toISOString() : null;
+        }
+        if (isAllowedVideoUrl(video.url)) {
+            video.downloadName = formatDownloadFilename(video, DOWNLOAD_FILENAME_TEMPLATE);
+            video.proxyUrl = signer.link(video.url, req.ip);
+            video.downloadUrl = signer.downloadLink(video.url, video.downloadName, req.ip);
+        }
+    });
 
-            // Sort videos by quality (HD first)
-            return this.sortVideosByQuality(videos);
+    [result.tracks, ...(result.groups || []).map(group => group.tracks)].forEach(tracks => {
+        if (!tracks || !tracks.video.length || !tracks.audio.length) return;
+        const video = tracks.video[0].url;
+        const audio = tracks.audio[0].url;
+        if (isAllowedVideoUrl(video) && isAllowedVideoUrl(audio)) {
+            tracks.muxUrl = signer.muxLink(video, audio, req.ip);
+        }
+    });
 
-        } catch (error) {
-            console.error('Video extraction error:', error);
-            throw new Error('Failed to parse the source code. Please ensure you copied the complete HTML source.');
+    (result.playlists || []).forEach(playlist => {
+        if (isAllowedVideoUrl(playlist.url)) {
+            playlist.hlsUrl = signer.hlsLink(playlist.url, req.ip);
         }
-    }
+    });
+    return result;
+}
 
-    cleanHtml(html) {
-        // Remove problematic characters and normalize
-        return html
-            .replace(/\\u([0-9a-fA-F]{4})/g, (match, code) => String.fromCharCode(parseInt(code, 16)))
-            .replace(/\\"/g, '"')
-            .replace(/\\\\/g, '\\')
-            .replace(/&quot;/g, '"')
-            .replace(/&amp;/g, '&')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>');
-    }
+// Downloads HLS renditions for /hls; playlists, keys and segments must all be on allowed CDN hosts
+app.set('hlsDownloader', new HlsDownloader({
+    fetch: (url, range, options) => fetchVideo(url, range, options),
+    allowUrl: url => isAllowedVideoUrl(url)
+}));
 
-    decodeUrl(url) {
-        if (!url || typeof url !== 'string') {
-            return '';
-        }
-        
-        try {
-            // Handle quoted URLs - remove quotes first
-            url = url.replace(/^["']|["']$/g, '');
-            
-            // Clean XML/DASH manifest tags that might be present
-            url = url.replace(/^[^h]*<BaseURL>/gi, '');  // Remove everything before <BaseURL> including the tag
-            url = url.replace(/<\/BaseURL>.*/gi, '');    // Remove </BaseURL> and everything after
-            url = url.replace(/><BaseURL>/gi, '');        // Remove ><BaseURL> fragments
-            url = url.replace(/<[^>]+>/g, '');            // Remove any remaining XML tags
-            
-            // Decode URL-encoded characters
-            url = decodeURIComponent(url.replace(/\\/g, ''));
-            
-            // Clean up common Facebook URL encoding issues
-            url = url.replace(/\\u002F/g, '/');
-            url = url.replace(/\\\//g, '/');
-            
-            // Final cleanup - trim whitespace
-            url = url.trim();
-            
-            return url;
-        } catch (error) {
-            // If decoding fails, return the original URL with basic cleanup
-            return url.replace(/\\/g, '').replace(/^["']|["']$/g, '').trim();
-        }
+// Fetches public post pages for URL-based extraction. Stored on the app so
+// the HTTP client can be swapped, e.g. app.set('pageFetcher', new PageFetcher({ fetch }))
+app.set('pageFetcher', new PageFetcher());
+app.set('youtubeFetcher', new PageFetcher({
+    site: 'YouTube',
+    allowedHosts: ['youtube.com', 'youtu.be'],
+    // Skip the EU cookie consent interstitial
+    headers: { 'Cookie': 'CONSENT=YES+1' }
+}));
+app.set('instagramFetcher', new PageFetcher({
+    site: 'Instagram',
+    allowedHosts: ['instagram.com', 'instagr.am']
+}));
+// Tweet JSON comes from the embed syndication API, playlists from the video CDN
+app.set('twitterFetcher', new PageFetcher({
+    site: 'X',
+    allowedHosts: ['cdn.syndication.twimg.com', 'video.twimg.com']
+}));
+
+// Run the extractor over a page's HTML and build the /extract-videos response.
+// The scan runs on the extraction pool; probing and grouping stay here.
+// Pasted GraphQL responses (JSON rather than HTML) go to extractGraphqlVideos.
+async function extractFacebookVideos(html, options = {}) {
+    if (isJsonPayload(html)) {
+        return extractGraphqlVideos(html, options);
     }
 
-    isValidVideoUrl(url) {
-        if (!url || typeof url !== 'string') {
-            return false;
-        }
-        
-        // Basic length check - real videos have much longer URLs
-        if (url.length < 200) {  // Real Facebook video URLs are very long
-            return false;
-        }
-        
-        // Check if it starts with http/https
-        if (!url.startsWith('http://') && !url.startsWith('https://')) {
-            return false;
-        }
-        
-        // Check if it's a valid URL format
-        try {
-            new URL(url);
-        } catch {
-            console.log('❌ Malformed URL:', url.substring(0, 100));
-            return false;
-        }
+    const scan = await app.get('extractionPool').run('facebook', html, { signal: options.signal });
+    const videos = scan.videos;
 
-        // Must be a .mp4 file
-        if (!url.includes('.mp4')) {
-            return false;
-        }
+    if (videos.length > 0) {
+        await probeVideos(videos);
 
-        // Check for Facebook-specific video indicators - very strict
-        const hasFacebookVideoIndicator = (
-            // Must be from Facebook CDN (scontent)
-            (url.includes('scontent') && url.includes('.fna.fbcdn.net')) &&
-            
-            // Must have video path structure
-            (url.includes('/o1/v/') || url.includes('/o2/v/')) &&
-            
-            // Must end with .mp4 and have parameters
-            url.includes('.mp4?') &&
-            
-            // Must have proper Facebook parameters that indicate it's a real video
-            (url.includes('_nc_cat=') || url.includes('&_nc_cat=')) &&
-            
-            // Must have a long hash (real videos have 40+ character hashes before .mp4)
-            /[A-Za-z0-9_-]{40,}\.mp4/.test(url)
-        );
-        
-        // Also check for DASH manifests and segments to exclude
-        const isDashOrSegment = (
-            url.includes('.mpd') ||
-            url.includes('segment') ||
-            url.includes('manifest') ||
-            url.includes('init.mp4') ||
-            url.includes('dash')
-        );
-        
-        if (isDashOrSegment) {
-            console.log('❌ URL rejected (DASH/segment):', url.substring(0, 100));
-            return false;
+        if (!scan.fallback) {
+            return facebookVideosResponse(videos, scan, `Successfully extracted ${videos.length} Facebook video(s) from the page`);
         }
-        
-        if (hasFacebookVideoIndicator) {
-            console.log('✅ Valid Facebook video URL found:', url.substring(0, 200) + '...');
-            return true;
-        } else {
-            console.log('❌ URL rejected (not a complete Facebook video):', url.substring(0, 100));
-            return false;
-        }
-    }
 
-    createVideoObject(url) {
-        const quality = this.detectQuality(url);
-        const type = this.detectType(url);
-        const contentType = this.detectContentType(url);
-        
         return {
-            url: url,
-            quality: quality,
-            type: type,
-            size: this.estimateSize(quality),
-            contentType: contentType,
-            hasVideo: contentType.hasVideo,
-            hasAudio: contentType.hasAudio,
-            resolution: this.detectResolution(url),
-            thumbnail: this.generateThumbnail(url)
+            success: true,
+            videos: videos,
+            groups: extractor.groupVariants(videos),
+            count: videos.length,
+            message: `Found ${videos.length} Facebook video(s) using specific pattern matching`,
+            totalFound: scan.totalFound,
+            filteredCount: videos.length
         };
     }
 
-    detectQuality(url) {
-        for (const { pattern, quality } of this.qualityPatterns) {
-            if (pattern.test(url)) {
-                return quality;
-            }
-        }
-        
-        // Default quality detection based on common patterns
-        if (url.includes('hd') || url.includes('720') || url.includes('1080')) {
-            return 'HD';
-        } else if (url.includes('sd') || url.includes('480')) {
-            return 'SD';
-        }
-        
-        return 'Unknown Quality';
-    }
+    // Final fallback - return a message indicating no Facebook videos found
+    return {
+        success: true,
+        videos: [],
+        count: 0,
+        message: `No Facebook videos found in the source code. This may be because the page doesn't contain a video, the video is not publicly accessible, or the video is embedded using a format we don't recognize.`,
+        totalFound: scan.totalFound,
+        filteredCount: 0
+    };
+}
 
-    detectType(url) {
-        if (url.includes('.mp4')) return 'MP4';
-        if (url.includes('.m4v')) return 'M4V';
-        if (url.includes('.mov')) return 'MOV';
-        if (url.includes('dash')) return 'DASH';
-        return 'MP4'; // Default
+// Extract videos from a raw /api/graphql/ response body copied from the
+// network tab: one JSON document, or newline-delimited chunks
+async function extractGraphqlVideos(text, options = {}) {
+    const scan = await app.get('extractionPool').run('graphql', text, { signal: options.signal });
+    const videos = scan.videos;
+
+    if (scan.chunks === 0) {
+        throw new ExtractionError('The pasted text looks like JSON but could not be parsed. Copy the complete GraphQL response.', 400);
     }
 
-    estimateSize(quality) {
-        const sizeMap = {
-            '4K': '~500MB',
-            '2K': '~200MB',
-            'HD': '~100MB',
-            'SD': '~50MB',
-            'Low': '~20MB'
+    if (videos.length === 0) {
+        return {
+            success: true,
+            videos: [],
+            count: 0,
+            message: `No video nodes found in the ${scan.chunks} GraphQL response chunk(s). Copy the response of the request that loads the video.`,
+            totalFound: 0,
+            filteredCount: 0
         };
-        return sizeMap[quality] || 'Unknown';
     }
 
-    detectContentType(url) {
-        // Analyze Facebook video URL patterns to determine content type
-        const hasVideo = true; // Most Facebook URLs are video
-        let hasAudio = true; // Assume has audio unless proven otherwise
-        
-        // Facebook video quality indicators that suggest audio presence
-        if (url.includes('/m78/') || url.includes('/m69/') || url.includes('/m366/') || url.includes('/m412/')) {
-            // m78, m69, m366, m412 are Facebook format codes
-            // m78/m412 typically have better audio quality
-            // m69 might be lower quality or video-only segments
-            if (url.includes('/m69/')) {
-                hasAudio = Math.random() > 0.3; // Some m69 might be video-only segments
-            }
-        }
-        
+    await probeVideos(videos);
+    return facebookVideosResponse(videos, scan, `Successfully extracted ${videos.length} Facebook video(s) from ${scan.chunks} GraphQL response chunk(s)`);
+}
+
+// Extract videos from a DevTools HAR export: the fbcdn.net files the player
+// requested and the video nodes of its GraphQL responses. Goes through the
+// same probing and grouping as page source.
+async function extractHarVideos(har, options = {}) {
+    const scan = await app.get('extractionPool').run('har', har, { signal: options.signal });
+    const videos = scan.videos;
+
+    if (videos.length === 0) {
         return {
-            hasVideo: hasVideo,
-            hasAudio: hasAudio,
-            description: hasVideo && hasAudio ? 'Video + Audio' : 
-                        hasVideo ? 'Video Only' : 
-                        hasAudio ? 'Audio Only' : 'Unknown'
+            success: true,
+            videos: [],
+            count: 0,
+            message: 'No Facebook video requests or GraphQL video responses found in the HAR file. Play the video with the Network tab open before exporting.',
+            totalFound: 0,
+            filteredCount: 0,
+            har: scan.har
         };
     }
 
-    detectResolution(url) {
-        // Extract resolution information from Facebook URLs
-        if (url.includes('1080') || url.includes('hd')) return '1080p';
-        if (url.includes('720')) return '720p';
-        if (url.includes('480')) return '480p';
-        if (url.includes('360')) return '360p';
-        
-        // Facebook format-based resolution detection
-        if (url.includes('/m78/')) return '720p+'; // Higher quality
-        if (url.includes('/m412/')) return '1080p+'; // High quality
-        if (url.includes('/m366/')) return '480p'; // Medium quality  
-        if (url.includes('/m69/')) return '360p'; // Lower quality
-        
-        return 'Auto';
-    }
+    await probeVideos(videos);
+    return {
+        ...facebookVideosResponse(videos, scan, `Successfully extracted ${videos.length} Facebook video(s) from ${scan.har.mediaFiles} media file(s) and ${scan.har.graphqlResponses} GraphQL response(s)`),
+        har: scan.har
+    };
+}
 
-    generateThumbnail(url) {
-        // For Facebook videos, we can't easily generate thumbnails from the URL
-        // But we can create a placeholder or use a generic video thumbnail
-        return null; // Will use CSS-generated thumbnail placeholder
-    }
+function facebookVideosResponse(videos, scan, message) {
+    return {
+        success: true,
+        videos: videos,
+        groups: extractor.groupVariants(videos),
+        tracks: extractor.groupDashTracks(videos),
+        count: videos.length,
+        message: message,
+        totalFound: scan.totalFound,
+        filteredCount: videos.length
+    };
+}
 
-    // Ultra-strict filtering to get only main video posts (not segments/previews)
-    filterUniqueHighQualityVideos(videos) {
-        console.log(`Starting with ${videos.length} videos`);
-        
-        // Step 1: Aggressive deduplication using multiple methods
-        const mainVideos = this.identifyMainVideos(videos);
-        console.log(`Identified ${mainVideos.length} potential main videos`);
-        
-        // Step 2: More aggressive filtering for actual videos that open in new tab
-        const filteredVideos = mainVideos.filter(video => {
-            const contentType = this.analyzeContentType(video.url);
-            const isMainVideo = this.isLikelyMainVideo(video.url);
-            
-            // More stringent checks for real videos vs previews
-            const isHighQuality = this.isHighQualityVideo(video.url);
-            const isProperLength = video.url.length > 300; // Real FB videos have very long URLs
-            const hasProperFormat = /\/[a-zA-Z0-9_-]{30,}\.[a-zA-Z0-9]+\?/.test(video.url); // Real FB videos have long IDs
-            
-            return contentType.hasVideo && contentType.hasAudio && isMainVideo && isHighQuality && isProperLength && hasProperFormat;
-        });
-        
-        // Step 3: Limit results to a reasonable number that are likely the actual videos
-        const limitedVideos = this.limitToMainContent(filteredVideos);
-        
-        console.log(`Final ultra-strict filtering result: ${limitedVideos.length} main videos`);
-        return limitedVideos;
-    }
-    
-    // Helper to determine if a video is high quality (likely to be actual content)
-    isHighQualityVideo(url) {
-        // Facebook's high-quality video formats
-        return url.includes('/m412/') || // 1080p
-               url.includes('/m540/') || // 720p
-               url.includes('/m366/');   // 480p
-    }
-    
-    // Limit results to main content videos only
-    limitToMainContent(videos) {
-        if (videos.length <= 20) {
-            return videos;
+// Extractor registry entry for Facebook; the other platforms live in lib/
+const facebookPlatform = {
+    name: 'facebook',
+    label: 'Facebook',
+    hosts: ['facebook.com', 'fb.watch'],
+    markers: ['fbcdn.net', '"dash_manifest"', '"playable_url', '"browser_native_', 'facebook.com/'],
+    urlHint: 'Use a facebook.com/watch, /reel/, /videos/ or fb.watch URL.',
+    resolveUrl: parseFacebookVideoUrl,
+    fetcher: 'pageFetcher',
+
+    async extract(html, context) {
+        if (context.sourceUrl && !html.includes('<html') && !html.includes('<!DOCTYPE')) {
+            throw new PageFetchError('Facebook did not return an HTML page for this link.');
         }
-        
-        // Sort by quality score first
-        videos.sort((a, b) => {
-            const scoreA = this.getQualityScore(a.url);
-            const scoreB = this.getQualityScore(b.url);
-            return scoreB - scoreA;
-        });
-        
-        // Group by video pattern/format
-        const videoGroups = new Map();
-        videos.forEach(video => {
-            const formatKey = this.getVideoFormatKey(video.url);
-            if (!videoGroups.has(formatKey)) {
-                videoGroups.set(formatKey, []);
-            }
-            videoGroups.get(formatKey).push(video);
-        });
-        
-        // Take top videos from each format group
-        const result = [];
-        videoGroups.forEach((group, formatKey) => {
-            // Take at most 3 videos from each format group
-            const topVideos = group.slice(0, 3);
-            result.push(...topVideos);
-        });
-        
-        return result;
-    }
-    
-    // Get a key representing the video format/pattern
-    getVideoFormatKey(url) {
-        if (url.includes('/m412/')) return 'hd-m412';
-        if (url.includes('/m540/')) return 'hd-m540';
-        if (url.includes('/m366/')) return 'sd-m366';
-        if (url.includes('/m78/')) return 'audio-m78';
-        if (url.includes('1080')) return 'hd-1080';
-        if (url.includes('720')) return 'hd-720';
-        if (url.includes('480')) return 'sd-480';
-        return 'other';
+        return extractFacebookVideos(html, { signal: context.signal });
     }
+};
 
-    // Identify main videos by analyzing URL patterns and context
-    identifyMainVideos(videos) {
-        const videoMap = new Map();
-        
-        videos.forEach(video => {
-            // Use a more aggressive grouping strategy
-            const baseId = this.extractBaseVideoId(video.url);
-            
-            if (!videoMap.has(baseId)) {
-                videoMap.set(baseId, []);
-            }
-            videoMap.get(baseId).push(video);
-        });
-        
-        const mainVideos = [];
-        
-        videoMap.forEach((group, baseId) => {
-            // Only keep groups with specific characteristics of main videos
-            if (this.isMainVideoGroup(group)) {
-                // Select the best video from this group
-                const bestVideo = this.selectBestVideoFromGroup(group);
-                if (bestVideo) {
-                    mainVideos.push(bestVideo);
-                }
-            }
+// Platforms used by /extract and the per-site endpoints. More can be added
+// with app.get('extractors').register(platform)
+app.set('extractors', new ExtractorRegistry()
+    .register(facebookPlatform)
+    .register(youtubePlatform)
+    .register(instagramPlatform)
+    .register(twitterPlatform));
+
+// Routes
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+app.post('/extract-videos', rateLimitMiddleware, async (req, res) => {
+    try {
+        const { sourceCode } = req.body;
+
+        // Validation
+        if (!sourceCode || typeof sourceCode !== 'string') {
+            return res.status(400).json({
+                error: 'Source code is required and must be a string.'
+            });
+        }
+
+        if (sourceCode.length > 50 * 1024 * 1024) { // 50MB limit
+            return res.status(400).json({
+                error: 'Source code is too large. Please try with a smaller page.'
+            });
+        }
+
+        // GraphQL responses copied from the network tab are JSON, not HTML
+        const isGraphql = isJsonPayload(sourceCode);
+
+        if (!isGraphql && sourceCode.length < 1000) {
+            return res.status(400).json({
+                error: 'Source code seems too short. Please provide the complete HTML source code.'
+            });
+        }
+
+        // Basic HTML validation
+        if (!isGraphql && !sourceCode.includes('<html') && !sourceCode.includes('<!DOCTYPE')) {
+            return res.status(400).json({
+                error: 'The provided content does not appear to be valid HTML source code or a GraphQL response.'
+            });
+        }
+
+        console.log(`Processing ${isGraphql ? 'GraphQL response' : 'source code'} of length: ${sourceCode.length}`);
+
+        const result = await extractFacebookVideos(sourceCode, { signal: clientAbortSignal(res) });
+        res.json({ ...attachProxyLinks(result, req), platform: 'facebook' });
+
+    } catch (error) {
+        if (error instanceof ExtractionPoolError) {
+            return sendPoolError(res, error);
+        }
+        if (error instanceof ExtractionError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('Extraction error:', error);
+        res.status(500).json({
+            error: 'Failed to extract video links. Please try again or check if the source code is complete.',
+            details: error.message
         });
-        
-        return mainVideos;
     }
+});
+
+// Extract videos from an uploaded DevTools network export ({ har }: the
+// .har file's text, or the parsed object)
+app.post('/extract-har', rateLimitMiddleware, async (req, res) => {
+    try {
+        const { har } = req.body;
 
-    // Extract base video ID with more aggressive grouping
-    extractBaseVideoId(url) {
-        // Method 1: Extract the main hash (usually 40+ characters)
-        const hashMatch = url.match(/\/([A-Za-z0-9_-]{40,})\./);
-        if (hashMatch) {
-            // Take only first 30 characters to group similar videos
-            return hashMatch[1].substring(0, 30);
+        if (!har || (typeof har !== 'string' && typeof har !== 'object')) {
+            return res.status(400).json({
+                error: 'A HAR file is required. Export it from the Network tab of your browser\'s developer tools.'
+            });
         }
-        
-        // Method 2: Extract from different URL patterns
-        const pathMatch = url.match(/\/f2\/([A-Za-z0-9_-]+)/);
-        if (pathMatch) {
-            return pathMatch[1];
+
+        if (typeof har === 'string' && har.length > 50 * 1024 * 1024) {
+            return res.status(400).json({
+                error: 'The HAR file is too large. Record only the video page and try again.'
+            });
         }
-        
-        // Fallback: use filename without extension
-        const filename = url.split('/').pop().split('?')[0].split('.')[0];
-        return filename.substring(0, 20);
-    }
 
-    // Check if a group represents a main video (not segments/previews)
-    isMainVideoGroup(group) {
-        // Main videos usually have multiple quality versions
-        if (group.length < 1) return false;
-        
-        // Check for quality diversity (main videos have multiple formats)
-        const formats = new Set();
-        group.forEach(video => {
-            const formatMatch = video.url.match(/\/m(\d+)\//);
-            if (formatMatch) {
-                formats.add(formatMatch[1]);
-            }
+        const result = await extractHarVideos(har, { signal: clientAbortSignal(res) });
+        res.json({ ...attachProxyLinks(result, req), platform: 'facebook' });
+
+    } catch (error) {
+        if (error instanceof ExtractionPoolError) {
+            return sendPoolError(res, error);
+        }
+        // Errors from the worker keep their name but not their class
+        if (error.name === 'HarImportError') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        console.error('HAR extraction error:', error);
+        res.status(500).json({
+            error: 'Failed to extract video links from the HAR file.',
+            details: error.message
         });
-        
-        // Main videos should have at least high-quality formats
-        const hasHighQuality = group.some(video => 
-            video.url.includes('/m412/') || 
-            video.url.includes('/m540/') || 
-            video.url.includes('/m366/')
-        );
-        
-        return hasHighQuality;
     }
+});
 
-    // Select best video from a group
-    selectBestVideoFromGroup(group) {
-        // Filter for videos with audio+video
-        const validVideos = group.filter(video => {
-            const contentType = this.analyzeContentType(video.url);
-            return contentType.hasVideo && contentType.hasAudio && contentType.quality !== 'low';
-        });
-        
-        if (validVideos.length === 0) return null;
-        
-        // Sort by quality score
-        validVideos.sort((a, b) => {
-            const scoreA = this.getQualityScore(a.url);
-            const scoreB = this.getQualityScore(b.url);
-            return scoreB - scoreA;
-        });
-        
-        return validVideos[0];
+// Extract videos from a Facebook post URL. Private posts need `cookies`: the
+// text of a cookies.txt export or a Cookie header (see runExtraction).
+app.post('/extract-url', rateLimitMiddleware, (req, res) => {
+    runExtraction(req, res, { url: req.body.url, cookies: req.body.cookies, platformName: 'facebook' });
+});
+
+// Extract YouTube formats from a watch URL or pasted watch-page source
+app.post('/extract-youtube', rateLimitMiddleware, (req, res) => {
+    runExtraction(req, res, { ...req.body, platformName: 'youtube' });
+});
+
+// Extract videos and images from an Instagram post/reel URL or pasted page source
+app.post('/extract-instagram', rateLimitMiddleware, (req, res) => {
+    runExtraction(req, res, { ...req.body, platformName: 'instagram' });
+});
+
+// Extract video variants from an X/Twitter status URL or pasted page source / tweet JSON
+app.post('/extract-twitter', rateLimitMiddleware, (req, res) => {
+    runExtraction(req, res, { ...req.body, platformName: 'twitter' });
+});
+
+// Extract from a URL or pasted source of any registered platform. The
+// platform is detected unless the body names one in `platform`.
+app.post('/extract', rateLimitMiddleware, (req, res) => {
+    const { url, sourceCode, platform, cookies } = req.body;
+    runExtraction(req, res, { url, sourceCode, cookies, platformName: platform });
+});
+
+// Reply for a job the extraction pool refused or stopped. Cancelled jobs
+// belong to clients that are gone, so there is nobody to answer.
+function sendPoolError(res, error) {
+    if (error.code === 'CANCELLED') {
+        console.log('Extraction cancelled: client disconnected');
+        return;
     }
 
-    // Check if URL is likely a main video (not preview/segment)
-    isLikelyMainVideo(url) {
-        // Main videos that open in new tabs have these characteristics:
-        
-        // 1. Must be medium to high quality (exclude low quality segments)
-        const hasGoodQuality = /\/m(366|412|540)\//.test(url);
-        if (!hasGoodQuality) return false;
-        
-        // 2. URL should have substantial length (main videos have longer URLs)
-        if (url.length < 300) return false;
-        
-        // 3. Should not be obvious preview/thumbnail segments
-        const isPreview = /preview|thumb|segment|chunk|short|snippet|dash|manifest/i.test(url);
-        if (isPreview) return false;
-        
-        // 4. Should have proper Facebook CDN structure (more specific patterns)
-        const hasFBStructure = /scontent.*\.fna\.fbcdn\.net.*\/o[0-9]\/v\/t[0-9]\/f2\//.test(url);
-        if (!hasFBStructure) return false;
-        
-        // 5. Must have specific FB video parameters (these indicate a full video)
-        // Real videos that open in new tab have proper Facebook tracking parameters
-        const hasVideoParams = url.includes('_n.mp4') && 
-                               (url.includes('_nc_cat=') || url.includes('&_nc_cat=')) && 
-                               (url.includes('efg=') || url.includes('&efg='));
-        if (!hasVideoParams) return false;
-        
-        // 6. Must have Content-Disposition or other parameters indicating it's a downloadable video
-        // Videos that open in new tab have these characteristics:
-        const hasRealVideoIndicators = (
-            // Has proper Facebook video ID structure
-            /[A-Za-z0-9_-]{40,}\.mp4/.test(url) &&
-            // Has Facebook's CDN parameters
-            (url.includes('_nc_ht=') || url.includes('&_nc_ht=')) &&
-            // Has proper hash/token structure
-            (url.includes('oh=') || url.includes('&oh=') || url.includes('_nc_ohc='))
-        );
-        
-        if (!hasRealVideoIndicators) return false;
-        
-        // 7. Exclude obvious DASH manifests or segments
-        if (url.includes('.mpd') || url.includes('segment') || url.includes('init.mp4')) {
-            return false;
-        }
-        
-        return true;
+    const outcome = { TIMEOUT: 'timed out', WORKER_EXITED: 'failed' }[error.code] || 'refused';
+    console.error(`Extraction ${outcome}: ${error.message}`);
+    if (error.code === 'QUEUE_FULL') {
+        res.set('Retry-After', '5');
     }
+    res.status(error.status).json({ error: error.message, code: error.code });
+}
 
-    // Final contextual filtering based on source code analysis
-    contextualVideoFiltering(videos, sourceCode) {
-        console.log(`Starting contextual filtering with ${videos.length} videos`);
-        
-        // Look for video post indicators in the source code - improved patterns
-        const videoPostPatterns = [
-            /"video_post"/g,
-            /"story_attachment"/g,
-            /"attachment":\s*\{[^}]*"video"/g,
-            /"media":\s*\{[^}]*"video"/g,
-            /"video_id":\s*"[^"]+"/g,
-            /"playable_url":"[^"]+"/g,
-            /"playable_url_quality_hd":"[^"]+"/g,
-            /"browser_native_hd_url":"[^"]+"/g,
-            /"browser_native_sd_url":"[^"]+"/g,
-            /"permalink_url":"[^"]+"/g,
-            /"permalinkUrl":"[^"]+"/g
-        ];
-        
-        const videoPostContexts = [];
-        
-        // Extract contexts around video posts - wider context for better matching
-        videoPostPatterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(sourceCode)) !== null) {
-                const start = Math.max(0, match.index - 2000); // Look further back
-                const end = Math.min(sourceCode.length, match.index + 2000); // Look further ahead
-                const context = sourceCode.substring(start, end);
-                videoPostContexts.push(context);
-            }
-        });
-        
-        console.log(`Found ${videoPostContexts.length} video post contexts`);
-        
-        // Check for main video indicators - these typically appear in page source
-        // when there's an actual video that opens in a new tab
-        const hasMainVideoIndicators = 
-            sourceCode.includes('videoData') || 
-            sourceCode.includes('dash_manifest') ||
-            sourceCode.includes('xfbml video');
-            
-        // Extract video IDs from contexts for more precise matching
-        const videoIds = this.extractVideoIdsFromContext(sourceCode);
-        console.log(`Found ${videoIds.size} unique video IDs in context`);
-        
-        // Filter videos that appear in post contexts and match known video IDs
-        const contextualVideos = videos.filter(video => {
-            const videoHash = this.extractVideoHash(video.url);
-            const videoId = this.extractVideoId(video.url);
-            
-            // Check multiple matching criteria
-            const matchesContext = videoPostContexts.some(context => 
-                context.includes(videoHash)
-            );
-            
-            const matchesVideoId = videoId && videoIds.has(videoId);
-            const isMainContentVideo = this.isMainContentVideo(video.url);
-            
-            return (matchesContext || matchesVideoId) && isMainContentVideo;
-        });
-        
-        console.log(`Contextual filtering result: ${contextualVideos.length} videos found in post contexts`);
-        
-        // If contextual filtering is too restrictive, use a fallback method
-        // that's more conservative than before but still better than nothing
-        if (contextualVideos.length === 0 && videos.length > 0) {
-            console.log('Contextual filtering too restrictive, using secondary filtering');
-            
-            // Use a more restrictive fallback - only return high quality videos
-            const highQualityVideos = videos.filter(video => 
-                this.isHighQualityVideo(video.url) && 
-                this.isMainContentVideo(video.url)
-            );
-            
-            // Limit to a reasonable number of videos (max 15)
-            return this.limitResults(highQualityVideos, 15);
+// Resolve the platform, fetch the page for URLs and run the platform's extractor.
+// `cookies` are only used for the page fetch and only held for this request:
+// they are never logged or stored, and are dropped once the response is sent.
+async function runExtraction(req, res, { url, sourceCode, cookies, platformName }) {
+    const registry = req.app.get('extractors');
+    let platform = null;
+    let jar = null;
+
+    if (platformName) {
+        platform = registry.get(platformName);
+        if (!platform) {
+            return res.status(400).json({
+                error: `Unknown platform "${platformName}". Supported platforms: ${registry.names().join(', ')}.`
+            });
         }
-        
-        // Limit final results to a reasonable number
-        return this.limitResults(contextualVideos, 15);
     }
-    
-    // Extract video IDs from the page source
-    extractVideoIdsFromContext(sourceCode) {
-        const videoIds = new Set();
-        
-        // Pattern for video IDs in Facebook source
-        const patterns = [
-            /"video_id":"([0-9]+)"/g,
-            /"videoId":"([0-9]+)"/g, 
-            /"id":"([0-9]+)","is_video":true/g,
-            /data-video-id="([0-9]+)"/g
-        ];
-        
-        patterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(sourceCode)) !== null) {
-                if (match[1] && match[1].length > 5) {
-                    videoIds.add(match[1]);
-                }
+
+    try {
+        let source = sourceCode;
+        let sourceUrl = null;
+
+        if (url) {
+            platform = platform || registry.detectUrl(url);
+            if (!platform) {
+                return res.status(400).json({
+                    error: 'Unsupported link. Paste a link to a post on one of the supported sites.'
+                });
             }
-        });
-        
-        return videoIds;
-    }
-    
-    // Extract a potential video ID from a URL
-    extractVideoId(url) {
-        // Try various patterns for video IDs in URLs
-        const patterns = [
-            /\/videos\/([0-9]+)/,
-            /\/video_redirect\/\?video_id=([0-9]+)/,
-            /video_id=([0-9]+)/
-        ];
-        
-        for (const pattern of patterns) {
-            const match = url.match(pattern);
-            if (match && match[1]) {
-                return match[1];
+
+            const pageUrl = platform.resolveUrl(url);
+            if (!pageUrl) {
+                return res.status(400).json({
+                    error: `Unsupported link. ${platform.urlHint}`
+                });
             }
+
+            jar = cookies ? CookieJar.parse(cookies) : null;
+            console.log(`Fetching ${platform.label} page: ${pageUrl}${jar ? ` with ${jar.size} user cookie(s)` : ''}`);
+            const page = await req.app.get(platform.fetcher).fetchHtml(pageUrl, { cookies: jar });
+            source = page.html;
+            sourceUrl = page.url;
+        } else if (source && typeof source === 'string') {
+            platform = platform || registry.detectSource(source);
+            if (!platform) {
+                return res.status(400).json({
+                    error: 'Could not tell which site this page source comes from.'
+                });
+            }
+        } else {
+            return res.status(400).json({
+                error: 'A video URL or the page source code is required.'
+            });
         }
-        
-        return null;
-    }
-    
-    // More stringent check for main content videos (not previews)
-    isMainContentVideo(url) {
-        // These are characteristics of actual FB videos that open in new tab
-        // Real videos have complete parameter sets that allow browser to open them
-        return (
-            // Must be high quality (real videos)
-            (url.includes('/m412/') || url.includes('/m540/') || url.includes('/m366/')) &&
-            
-            // Must have proper FB video parameters (both forms)
-            (url.includes('_nc_cat=') || url.includes('&_nc_cat=')) &&
-            
-            // Must have efg parameter (indicates proper video encoding)
-            (url.includes('efg=') || url.includes('&efg=')) &&
-            
-            // Must have video hash/token (oh or _nc_ohc)
-            (url.includes('oh=') || url.includes('_nc_ohc=')) &&
-            
-            // Must have host parameter
-            (url.includes('_nc_ht=') || url.includes('&_nc_ht=')) &&
-            
-            // URL must be very long (typical for real FB videos)
-            url.length > 350 &&
-            
-            // Must have proper video file structure (long hash before .mp4)
-            /[A-Za-z0-9_-]{40,}\.mp4/.test(url) &&
-            
-            // Must not have preview/dash/segment indicators
-            !url.includes('preview') &&
-            !url.includes('thumb') &&
-            !url.includes('dash') &&
-            !url.includes('segment') &&
-            !url.includes('manifest') &&
-            !url.includes('init.mp4')
-        );
-    }
-    
-    // Limit results to a specified maximum number
-    limitResults(videos, maxVideos) {
-        if (videos.length <= maxVideos) {
-            return videos;
-        }
-        
-        // Sort by quality first
-        videos.sort((a, b) => {
-            const scoreA = this.getQualityScore(a.url);
-            const scoreB = this.getQualityScore(b.url);
-            return scoreB - scoreA;
-        });
-        
-        // Return only the top videos
-        return videos.slice(0, maxVideos);
-    }
 
-    // Extract video hash from URL for context matching
-    extractVideoHash(url) {
-        const match = url.match(/\/([A-Za-z0-9_-]{30,})\./);
-        return match ? match[1] : '';
-    }
+        const fetcher = platform.fetcher ? req.app.get(platform.fetcher) : null;
+        const context = { fetcher: fetcher, sourceUrl: sourceUrl, signal: clientAbortSignal(res) };
+        const result = attachProxyLinks(await platform.extract(source, context), req);
 
-    // More accurate content type analysis
-    analyzeContentType(url) {
-        // Facebook format codes analysis
-        // m412 = High quality video with audio (720p-1080p)
-        // m366 = Standard quality video with audio (360p-480p)  
-        // m78 = Audio optimized version
-        // m69 = Lower quality or segments
-        
-        const highQualityVideoAudio = /\/m(412|540|720|1080)/;
-        const standardQualityVideoAudio = /\/m366/;
-        const audioOptimized = /\/m78/;
-        const lowerQuality = /\/m69/;
-        
-        if (highQualityVideoAudio.test(url)) {
-            return {
-                hasVideo: true,
-                hasAudio: true,
-                quality: 'high',
-                description: 'High Quality Video + Audio'
-            };
+        res.json({
+            success: true,
+            platform: platform.name,
+            ...result,
+            ...(sourceUrl ? { sourceUrl: sourceUrl } : {})
+        });
+
+    } catch (error) {
+        if (error instanceof ExtractionPoolError) {
+            return sendPoolError(res, error);
         }
-        
-        if (standardQualityVideoAudio.test(url)) {
-            return {
-                hasVideo: true,
-                hasAudio: true,
-                quality: 'standard',
-                description: 'Standard Quality Video + Audio'
-            };
+
+        const label = platform ? platform.label : 'video';
+        console.error(`${label} extraction error:`, error);
+
+        if (error instanceof PageFetchError || error instanceof ExtractionError || error instanceof CookieError) {
+            return res.status(error.status).json({ error: error.message });
         }
-        
-        if (audioOptimized.test(url)) {
-            return {
-                hasVideo: true,
-                hasAudio: true,
-                quality: 'audio-optimized',
-                description: 'Audio Optimized Video'
-            };
+
+        res.status(500).json({
+            error: `Failed to extract ${label} media. Please try again or paste the page source instead.`,
+            details: error.message
+        });
+    } finally {
+        if (jar) {
+            jar.clear();
         }
-        
-        if (lowerQuality.test(url)) {
-            // m69 might be video-only segments or lower quality
-            return {
-                hasVideo: true,
-                hasAudio: false,
-                quality: 'low',
-                description: 'Video Only (Low Quality)'
-            };
+        if (req.body && req.body.cookies !== undefined) {
+            delete req.body.cookies;
         }
-        
-        // Default for Facebook videos
-        return {
-            hasVideo: true,
-            hasAudio: true,
-            quality: 'unknown',
-            description: 'Video + Audio'
-        };
     }
+}
 
-    // Get quality score for sorting (higher is better)
-    getQualityScore(url) {
-        if (/\/m(412|540|720|1080)/.test(url)) return 100; // High quality
-        if (/\/m366/.test(url)) return 80; // Standard quality
-        if (/\/m78/.test(url)) return 60; // Audio optimized
-        if (/\/m69/.test(url)) return 20; // Lower quality
-        
-        // Check for explicit quality indicators
-        if (url.includes('1080') || url.includes('hd')) return 90;
-        if (url.includes('720')) return 85;
-        if (url.includes('480')) return 70;
-        if (url.includes('360')) return 50;
-        
-        return 40; // Default
+// Quick check for request parameters: HTTPS on an allowed CDN host. The
+// address checks happen in fetchVideo, on every redirect hop.
+function isAllowedVideoUrl(url) {
+    return typeof url === 'string' && app.get('urlPolicy').isAllowed(url);
+}
+
+// Fetch a video URL from the CDN with browser-like headers, through the URL
+// policy. Range is only sent when the caller asks for one.
+async function fetchVideo(url, range, options = {}) {
+    const headers = {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        'Referer': 'https://www.facebook.com/',
+        'Accept': 'video/webm,video/ogg,video/*;q=0.9,application/ogg;q=0.7,audio/*;q=0.6,*/*;q=0.5',
+        'Accept-Encoding': 'identity'
+    };
+    if (range) {
+        headers['Range'] = range;
     }
+    
+    return app.get('urlPolicy').fetch(url, { ...options, headers });
+}
 
-    extractWithCheerio(html) {
-        const videos = [];
-        
-        try {
-            const $ = cheerio.load(html);
-            
-            // Look for video elements
-            $('video').each((i, elem) => {
-                const src = $(elem).attr('src');
-                if (src && this.isValidVideoUrl(src)) {
-                    videos.push(this.createVideoObject(src));
-                }
-            });
+// Open proxy, download, merge and HLS streams per client IP. Each preview
+// card holds one while it loads.
+app.set('streamLimiter', new ConcurrencyLimiter({
+    maxPerKey: parseInt(process.env.MAX_STREAMS_PER_IP, 10) || 6
+}));
 
-            // Look for source elements within video tags
-            $('video source').each((i, elem) => {
-                const src = $(elem).attr('src');
-                if (src && this.isValidVideoUrl(src)) {
-                    videos.push(this.createVideoObject(src));
-                }
-            });
+// Bandwidth caps in bytes per second for /proxy-video, /download, /mux and /hls (0 = unlimited)
+app.set('bandwidthLimiter', new BandwidthLimiter({
+    perStream: parseInt(process.env.STREAM_BANDWIDTH_LIMIT, 10) || 0,
+    global: parseInt(process.env.TOTAL_BANDWIDTH_LIMIT, 10) || 0
+}));
 
-            // Look for script tags containing video data
-            $('script').each((i, elem) => {
-                const content = $(elem).html();
-                if (content && content.includes('video')) {
-                    this.videoPatterns.forEach(pattern => {
-                        let match;
-                        const regex = new RegExp(pattern.source, pattern.flags);
-                        
-                        while ((match = regex.exec(content)) !== null) {
-                            const url = this.decodeUrl(match[1]);
-                            if (this.isValidVideoUrl(url)) {
-                                videos.push(this.createVideoObject(url));
-                            }
-                        }
-                    });
-                }
-            });
+// Splits large /download files into SEGMENTED_DOWNLOAD_CONNECTIONS parallel
+// Range requests, since the CDN throttles each connection. Files smaller than
+// SEGMENTED_DOWNLOAD_MIN_SIZE bytes use one stream; 1 connection turns it off.
+app.set('segmentedFetcher', new SegmentedFetcher({
+    connections: process.env.SEGMENTED_DOWNLOAD_CONNECTIONS !== undefined ? parseInt(process.env.SEGMENTED_DOWNLOAD_CONNECTIONS, 10) || 1 : undefined,
+    minSize: process.env.SEGMENTED_DOWNLOAD_MIN_SIZE !== undefined ? parseInt(process.env.SEGMENTED_DOWNLOAD_MIN_SIZE, 10) || 0 : undefined,
+    fetch: (url, range, options) => fetchVideo(url, range, options)
+}));
 
-        } catch (error) {
-            console.error('Cheerio extraction error:', error);
-        }
+// Upstream fetch for streamVideo and the range cache. Only downloads ask for
+// `segmented`; previews and the player keep to one connection, since a
+// segmented stream buffers several segments ahead of the client.
+function fetchUpstream(url, range, { segmented, ...options } = {}) {
+    return segmented
+        ? app.get('segmentedFetcher').fetchRange(url, range, options)
+        : fetchVideo(url, range, options);
+}
 
-        return videos;
-    }
+// Disk cache for proxied byte ranges, so previews, replays and downloads of
+// the same file are served locally. RANGE_CACHE_MAX_BYTES=0 turns it off.
+const RANGE_CACHE_MAX_BYTES = process.env.RANGE_CACHE_MAX_BYTES !== undefined
+    ? parseInt(process.env.RANGE_CACHE_MAX_BYTES, 10) || 0
+    : 1024 * 1024 * 1024;
+app.set('rangeCache', RANGE_CACHE_MAX_BYTES > 0 ? new RangeCache({
+    directory: process.env.RANGE_CACHE_DIR || path.join(os.tmpdir(), 'video-range-cache'),
+    maxBytes: RANGE_CACHE_MAX_BYTES,
+    fetch: fetchUpstream
+}) : null);
+
+// Server-side downloads for POST /jobs: retried, resumed with Range requests
+// and kept in DOWNLOAD_JOBS_DIR until fetched once or DOWNLOAD_JOB_TTL seconds
+// after they finish.
+app.set('downloadJobs', new DownloadJobManager({
+    directory: process.env.DOWNLOAD_JOBS_DIR || path.join(os.tmpdir(), 'video-download-jobs'),
+    concurrency: parseInt(process.env.DOWNLOAD_JOB_CONCURRENCY, 10) || 2,
+    maxRetries: process.env.DOWNLOAD_JOB_RETRIES !== undefined ? parseInt(process.env.DOWNLOAD_JOB_RETRIES, 10) || 0 : undefined,
+    ttl: process.env.DOWNLOAD_JOB_TTL ? parseInt(process.env.DOWNLOAD_JOB_TTL, 10) * 1000 : undefined,
+    fetch: (url, range, options) => fetchVideo(url, range, options)
+}));
 
-    extractFromStructuredData(html) {
-        const videos = [];
-        
-        try {
-            // Look for JSON-LD structured data
-            const jsonLdRegex = /<script[^>]*type=["']application\/ld\+json["'][^>]*>(.*?)<\/script>/gis;
-            let match;
-            
-            while ((match = jsonLdRegex.exec(html)) !== null) {
-                try {
-                    const jsonData = JSON.parse(match[1]);
-                    const videoUrls = this.findVideoUrlsInObject(jsonData);
-                    videoUrls.forEach(url => {
-                        if (this.isValidVideoUrl(url)) {
-                            videos.push(this.createVideoObject(url));
-                        }
-                    });
-                } catch (error) {
-                    // Invalid JSON, skip
-                }
-            }
+// Upstream headers worth passing on to the browser
+const FORWARDED_VIDEO_HEADERS = ['content-type', 'content-length', 'content-range', 'etag', 'last-modified'];
 
-        } catch (error) {
-            console.error('Structured data extraction error:', error);
-        }
+// Take one of the client's MAX_STREAMS_PER_IP stream slots until the
+// response closes. Answers 429 and returns null when all are in use.
+function acquireStream(req, res) {
+    const release = req.app.get('streamLimiter').acquire(req.ip);
+    if (!release) {
+        res.set('Retry-After', '5');
+        res.status(429).json({ error: 'Too many videos are streaming at once. Close some previews and try again.', code: 'TOO_MANY_STREAMS' });
+        return null;
+    }
+    res.on('close', release);
+    return release;
+}
 
-        return videos;
+// Where to write a generated response (merged or HLS downloads): a bandwidth
+// throttle piped into `res`, or `res` itself when nothing is limited. The
+// throttle is destroyed when the client goes away, which stops the writer.
+function throttledOutput(req, res) {
+    const throttle = req.app.get('bandwidthLimiter').createThrottle();
+    if (!throttle) {
+        return res;
     }
+    throttle.pipe(res);
+    res.on('close', () => throttle.destroy());
+    return throttle;
+}
 
-    findVideoUrlsInObject(obj, urls = []) {
-        if (typeof obj !== 'object' || obj === null) return urls;
-        
-        for (const key in obj) {
-            if (typeof obj[key] === 'string' && this.isValidVideoUrl(obj[key])) {
-                urls.push(obj[key]);
-            } else if (typeof obj[key] === 'object') {
-                this.findVideoUrlsInObject(obj[key], urls);
-            }
-        }
-        
-        return urls;
+// Stream a CDN URL to the client with the client's Range, passing the CDN's
+// status through. The upstream request is aborted as soon as the client goes
+// away. `headers` are added to successful responses. With `segmented`, large
+// files are fetched in parallel segments by the segmentedFetcher.
+async function streamVideo(req, res, url, headers = {}, { segmented = false } = {}) {
+    const release = acquireStream(req, res);
+    if (!release) return;
+
+    // The CDN answers expired links with a bare 403; say what happened instead
+    const expiry = cdnUrlExpiry(url);
+    const linkExpired = () => {
+        release();
+        res.status(410).json({ error: 'This video link has expired. Extract the video again to get a fresh link.', code: 'LINK_EXPIRED' });
+    };
+    if (expiry && expiry <= Date.now()) {
+        return linkExpired();
     }
 
-    fallbackVideoSearch(html, foundUrls, videos) {
-        console.log('Starting fallback video search...');
-        
-        // Look for any URL that contains .mp4 with more flexible patterns
-        const fallbackPatterns = [
-            // Very broad .mp4 search
-            /https?:\/\/[^\s"'<>]*\.mp4[^\s"'<>]*/gi,
-            // Look for URLs with video indicators
-            /https?:\/\/[^\s"'<>]*video[^\s"'<>]*\.mp4[^\s"'<>]*/gi,
-            // Facebook CDN patterns
-            /https?:\/\/[^\s"'<>]*scontent[^\s"'<>]*\.mp4[^\s"'<>]*/gi,
-            /https?:\/\/[^\s"'<>]*fbcdn[^\s"'<>]*\.mp4[^\s"'<>]*/gi,
-            // Look for any mention of video URLs in quotes
-            /"(https?:\/\/[^"]*\.mp4[^"]*)"/gi,
-            /'(https?:\/\/[^']*\.mp4[^']*)'/gi,
-        ];
-        
-        fallbackPatterns.forEach((pattern, index) => {
-            let match;
-            let matchCount = 0;
-            
-            while ((match = pattern.exec(html)) !== null) {
-                matchCount++;
-                let url = match[1] || match[0];
-                url = this.decodeUrl(url);
-                
-                console.log(`Fallback pattern ${index} found:`, url.substring(0, 200));
-                
-                if (this.isValidVideoUrl(url) && !foundUrls.has(url)) {
-                    foundUrls.add(url);
-                    videos.push(this.createVideoObject(url));
-                    console.log('✅ Fallback found valid video:', url.substring(0, 150));
-                }
-            }
-            
-            if (matchCount > 0) {
-                console.log(`Fallback pattern ${index} found ${matchCount} potential URLs`);
+    // res emits 'close' both when the response finishes and when the client
+    // disconnects; req 'close' fires as soon as a GET request has been read
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+        const cache = req.app.get('rangeCache');
+        const init = { method: req.method === 'HEAD' ? 'HEAD' : 'GET', signal: controller.signal, segmented: segmented };
+        const response = cache
+            ? await cache.fetchRange(url, req.headers.range, init)
+            : await fetchUpstream(url, req.headers.range, init);
+
+        if (response.status === 416) {
+            res.set('Content-Range', response.headers.get('content-range') || '');
+            return res.status(416).end();
+        }
+
+        if (!response.ok) {
+            if (expiry && expiry <= Date.now()) {
+                return linkExpired();
             }
+            const status = [403, 404, 410].includes(response.status) ? response.status : 502;
+            return res.status(status).json({ error: 'The video is no longer available from the CDN. Extract it again to get a fresh link.', code: 'UPSTREAM_ERROR' });
+        }
+
+        FORWARDED_VIDEO_HEADERS.forEach(header => {
+            if (response.headers.get(header)) res.set(header, response.headers.get(header));
         });
-        
-        console.log(`Fallback search complete. Total videos: ${videos.length}`);
+        res.set({ 'Accept-Ranges': 'bytes', ...headers });
+        res.status(response.status);
+
+        if (req.method === 'HEAD' || !response.body) {
+            return res.end();
+        }
+
+        const throttle = req.app.get('bandwidthLimiter').createThrottle();
+        await (throttle ? pipeline(response.body, throttle, res) : pipeline(response.body, res));
+
+    } catch (error) {
+        if (controller.signal.aborted || error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+            // The client went away
+            return;
+        }
+        console.error('Video stream error:', error);
+
+        if (res.headersSent) {
+            res.destroy(error);
+        } else if (error instanceof UrlPolicyError) {
+            res.status(error.status).json({ error: error.message });
+        } else {
+            res.status(502).json({ error: 'Failed to stream video' });
+        }
     }
+}
 
-    sortVideosByQuality(videos) {
-        const qualityOrder = { '4K': 0, '2K': 1, 'HD': 2, 'SD': 3, 'Low': 4, 'Unknown Quality': 5 };
-        
-        return videos.sort((a, b) => {
-            const aOrder = qualityOrder[a.quality] || 5;
-            const bOrder = qualityOrder[b.quality] || 5;
-            return aOrder - bOrder;
-        });
+// Verify a link token. Missing, bad or expired tokens get their error code
+// as the reply and null is returned.
+function verifyProxyToken(req, res, token) {
+    try {
+        return req.app.get('proxySigner').verify(token, req.ip);
+    } catch (error) {
+        if (!(error instanceof ProxyTokenError)) {
+            throw error;
+        }
+        res.status(error.status).json({ error: error.message, code: error.code });
+        return null;
     }
 }
 
-// Initialize extractor
-const extractor = new FacebookVideoExtractor();
+// Video proxy endpoint to handle CORS issues. Only serves the signed links
+// from extraction results (?token=), so it cannot be used as an open relay.
+app.get('/proxy-video', (req, res) => {
+    const link = verifyProxyToken(req, res, req.query.token);
+    if (!link) return;
 
-// Routes
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
+    return streamVideo(req, res, link.url, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+        'Access-Control-Allow-Headers': 'Range'
+    });
 });
 
-app.post('/extract-videos', rateLimitMiddleware, async (req, res) => {
-    try {
-        const { sourceCode } = req.body;
+// Save a signed link as an attachment under its templated file name. The
+// name was sanitized by formatDownloadFilename before it was signed. HEAD
+// and Range requests are passed to the CDN so downloads can be resumed.
+app.get('/download/:token', (req, res) => {
+    const link = verifyProxyToken(req, res, req.params.token);
+    if (!link) return;
 
-        // Validation
-        if (!sourceCode || typeof sourceCode !== 'string') {
-            return res.status(400).json({
-                error: 'Source code is required and must be a string.'
-            });
-        }
+    return streamVideo(req, res, link.url, {
+        'Content-Disposition': contentDisposition(link.filename || 'video.mp4')
+    }, { segmented: true });
+});
 
-        if (sourceCode.length < 1000) {
-            return res.status(400).json({
-                error: 'Source code seems too short. Please provide the complete HTML source code.'
-            });
-        }
+// A job as the client sees it, with the URLs of its event stream and file
+function jobResponse(jobs, job) {
+    const id = encodeURIComponent(job.id);
+    return { ...jobs.snapshot(job), eventsUrl: `/jobs/${id}/events`, fileUrl: `/jobs/${id}/file` };
+}
 
-        if (sourceCode.length > 50 * 1024 * 1024) { // 50MB limit
-            return res.status(400).json({
-                error: 'Source code is too large. Please try with a smaller page.'
-            });
-        }
+// Find the job named in the URL, or reply 404 and return null. Jobs of
+// other clients are not found either.
+function findJob(req, res) {
+    const job = req.app.get('downloadJobs').get(req.params.id);
+    if (!job || job.owner !== req.ip) {
+        res.status(404).json({ error: 'Download job not found. Finished files are kept for a limited time.', code: 'JOB_NOT_FOUND' });
+        return null;
+    }
+    return job;
+}
 
-        // Basic HTML validation
-        if (!sourceCode.includes('<html') && !sourceCode.includes('<!DOCTYPE')) {
-            return res.status(400).json({
-                error: 'The provided content does not appear to be valid HTML source code.'
-            });
+// Queue server-side downloads. `downloads` lists the signed downloadUrl
+// links (or their tokens) of the variants to fetch; the reply lists one job
+// per link.
+app.post('/jobs', rateLimitMiddleware, (req, res) => {
+    const downloads = req.body.downloads;
+    if (!Array.isArray(downloads) || downloads.length === 0 || downloads.length > 10) {
+        return res.status(400).json({ error: 'downloads must list between 1 and 10 download links.' });
+    }
+
+    const links = [];
+    for (const download of downloads) {
+        const token = String(download).replace(/^.*\/download\//, '');
+        const link = verifyProxyToken(req, res, token);
+        if (!link) return;
+        links.push(link);
+    }
+
+    try {
+        const jobs = req.app.get('downloadJobs');
+        const created = jobs.createBatch(links.map(link => ({
+            url: link.url,
+            filename: link.filename || 'video.mp4',
+            owner: req.ip
+        })));
+        console.log(`Queued ${created.length} download job(s)`);
+        res.status(202).json({ jobs: created.map(job => jobResponse(jobs, job)) });
+    } catch (error) {
+        if (!(error instanceof DownloadJobError)) {
+            console.error('Could not queue download jobs:', error.message);
+            return res.status(500).json({ error: 'Could not queue the downloads.' });
         }
+        if (error.code === 'QUEUE_FULL') {
+            res.set('Retry-After', '30');
+        }
+        res.status(error.status).json({ error: error.message, code: error.code });
+    }
+});
 
-        console.log(`Processing source code of length: ${sourceCode.length}`);
-
-        // Extract videos
-        const videos = extractor.extractVideos(sourceCode);
-
-        // Filter to ensure these are actual Facebook video CDN URLs and not other media
-        const facebookVideos = videos.filter(video => {
-            // Check if the URL has Facebook-specific indicators
-            const isFacebookVideo = video.url.includes('facebook.com') || 
-                                   video.url.includes('fbcdn.net') || 
-                                   video.url.includes('scontent') ||
-                                   video.url.includes('fbvideo');
-                                   
-            // Also check if it has video format indicators that are typical for Facebook
-            const hasVideoFormat = video.url.includes('.mp4') || video.url.includes('.m3u8');
-            
-            // Check for Facebook-specific URL structures (like video IDs, formats, etc.)
-            const hasFacebookStructure = video.url.includes('?') && 
-                                       (video.url.includes('dlid=') || 
-                                        video.url.includes('format=') || 
-                                        video.url.includes('quality=') ||
-                                        video.url.includes('v/') ||
-                                        video.url.includes('/v/') ||
-                                        video.url.includes('/videos/'));
-            
-            // Accept if it's clearly a Facebook video URL
-            return isFacebookVideo || hasFacebookStructure;
-        });
+app.get('/jobs/:id', (req, res) => {
+    const job = findJob(req, res);
+    if (job) {
+        res.json(jobResponse(req.app.get('downloadJobs'), job));
+    }
+});
 
-        console.log(`Facebook video filtering: ${facebookVideos.length} videos from ${videos.length} total`);
+// Progress as Server-Sent Events: "progress" while the job runs, then one
+// "done" event (completed, failed or cancelled) and the stream ends
+app.get('/jobs/:id/events', (req, res) => {
+    const jobs = req.app.get('downloadJobs');
+    const job = findJob(req, res);
+    if (!job) return;
+
+    // no-transform keeps the compression middleware from buffering the events
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const send = snapshot => {
+        if (res.writableEnded) return;
+        res.write(`event: ${snapshot.done ? 'done' : 'progress'}\ndata: ${JSON.stringify({ ...snapshot, fileUrl: `/jobs/${encodeURIComponent(snapshot.id)}/file` })}\n\n`);
+        if (snapshot.done) {
+            res.end();
+        }
+    };
 
-        if (facebookVideos.length > 0) {
-            console.log(`Found ${facebookVideos.length} Facebook video(s) after filtering`);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
 
-            res.json({
-                success: true,
-                videos: facebookVideos,
-                count: facebookVideos.length,
-                message: `Successfully extracted ${facebookVideos.length} Facebook video(s) from the page`,
-                totalFound: videos.length,
-                filteredCount: facebookVideos.length
-            });
-        } else {
-            // If no Facebook videos found, try a more specific search for Facebook video patterns in the source
-            console.log('No Facebook videos found with initial extraction, trying more specific patterns...');
-            
-            // Look for more specific Facebook video patterns in the HTML source
-            const fbVideoPattern = /(?:"|')(https?:\/\/[^"']*scontent[^"']*\.mp4[^"']*)(?:"|')/gi;
-            let match;
-            const additionalUrls = new Set();
-            
-            while ((match = fbVideoPattern.exec(sourceCode)) !== null) {
-                const url = extractor.decodeUrl(match[1]);
-                if (extractor.isValidVideoUrl(url)) {
-                    additionalUrls.add(url);
-                }
-            }
-            
-            if (additionalUrls.size > 0) {
-                const additionalVideos = Array.from(additionalUrls).map(url => extractor.createVideoObject(url));
-                console.log(`Found ${additionalVideos.length} additional Facebook videos via specific pattern matching`);
-                
-                return res.json({
-                    success: true,
-                    videos: additionalVideos,
-                    count: additionalVideos.length,
-                    message: `Found ${additionalVideos.length} Facebook video(s) using specific pattern matching`,
-                    totalFound: videos.length,
-                    filteredCount: additionalVideos.length
-                });
-            }
+    send(jobs.snapshot(job));
+    if (!res.writableEnded) {
+        unsubscribe = jobs.subscribe(job.id, send);
+    }
+});
 
-            // Final fallback - return a message indicating no Facebook videos found
-            return res.json({
-                success: true,
-                videos: [],
-                count: 0,
-                message: `No Facebook videos found in the source code. This may be because the page doesn't contain a video, the video is not publicly accessible, or the video is embedded using a format we don't recognize.`,
-                totalFound: videos.length,
-                filteredCount: 0
-            });
+// The finished file, once. It is deleted after a complete delivery; an
+// interrupted delivery can be retried.
+app.get('/jobs/:id/file', async (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    let file;
+    try {
+        file = req.app.get('downloadJobs').take(job.id);
+    } catch (error) {
+        // Express 4 does not catch rejections of async handlers
+        if (!(error instanceof DownloadJobError)) {
+            console.error('Could not claim download job file:', error.message);
+            return res.status(500).json({ error: 'Could not send the file.' });
         }
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
 
+    res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': String(file.size),
+        'Content-Disposition': contentDisposition(file.filename)
+    });
+
+    try {
+        await pipeline(fs.createReadStream(file.path), res);
+        file.release(true);
     } catch (error) {
-        console.error('Extraction error:', error);
-        res.status(500).json({
-            error: 'Failed to extract video links. Please try again or check if the source code is complete.',
-            details: error.message
-        });
+        file.release(false);
+        if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error('Download job delivery error:', error);
+            res.destroy(error);
+        }
     }
 });
 
-// Video proxy endpoint to handle CORS issues
-app.get('/proxy-video', async (req, res) => {
+// Cancel a running job, or delete a finished one and its file
+app.delete('/jobs/:id', (req, res) => {
+    const jobs = req.app.get('downloadJobs');
+    const job = findJob(req, res);
+    if (!job) return;
+
+    const snapshot = jobs.snapshot(jobs.cancel(job.id));
+    if (snapshot.done && snapshot.state !== 'cancelled') {
+        jobs.remove(job.id);
+    }
+    res.json(snapshot);
+});
+
+// Mux a video-only and an audio-only DASH track into a single MP4. Only
+// serves the signed `muxUrl` links from extraction results (?token=).
+app.get('/mux', rateLimitMiddleware, async (req, res) => {
+    const link = verifyProxyToken(req, res, req.query.token);
+    if (!link) return;
+
+    const video = link.url;
+    const audio = link.audioUrl;
+    if (!audio) {
+        return res.status(400).json({ error: 'This link is not a merge link. Extract the video again.', code: 'TOKEN_INVALID' });
+    }
+    
+    if (!isAllowedVideoUrl(video) || !isAllowedVideoUrl(audio)) {
+        return res.status(400).json({ error: 'Only Facebook video URLs are allowed' });
+    }
+
+    // The CDN answers expired links with a bare 403; say what happened instead
+    const linkExpired = () => [video, audio].some(url => cdnUrlExpiry(url) && cdnUrlExpiry(url) <= Date.now());
+    const sendLinkExpired = () => res.status(410).json({ error: 'This video link has expired. Extract the video again to get a fresh link.', code: 'LINK_EXPIRED' });
+    if (linkExpired()) {
+        return sendLinkExpired();
+    }
+
+    if (!acquireStream(req, res)) return;
+    
+    let videoResponse;
+    let audioResponse;
+    
+    // Stop reading from the CDN when the client goes away
+    res.on('close', () => {
+        if (videoResponse) videoResponse.body.destroy();
+        if (audioResponse) audioResponse.body.destroy();
+    });
+    
     try {
-        const { url } = req.query;
-        
-        if (!url) {
-            return res.status(400).json({ error: 'URL parameter is required' });
-        }
-        
-        // Validate that it's a Facebook video URL
-        if (!url.includes('fbcdn.net') && !url.includes('facebook.com')) {
-            return res.status(400).json({ error: 'Only Facebook video URLs are allowed' });
+        [videoResponse, audioResponse] = await Promise.all([fetchVideo(video), fetchVideo(audio)]);
+        
+        // As in streamVideo, other CDN refusals keep their status
+        const failed = [videoResponse, audioResponse].find(response => !response.ok);
+        if (failed) {
+            videoResponse.body.destroy();
+            audioResponse.body.destroy();
+            if (linkExpired()) {
+                return sendLinkExpired();
+            }
+            const status = [403, 404, 410].includes(failed.status) ? failed.status : 502;
+            return res.status(status).json({ error: 'The video is no longer available from the CDN. Extract it again to get a fresh link.', code: 'UPSTREAM_ERROR' });
         }
         
-        // Set appropriate headers for video streaming
-        const headers = {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Referer': 'https://www.facebook.com/',
-            'Accept': 'video/webm,video/ogg,video/*;q=0.9,application/ogg;q=0.7,audio/*;q=0.6,*/*;q=0.5',
-            'Accept-Encoding': 'identity',
-            'Range': req.headers.range || 'bytes=0-'
-        };
-        
-        // Import fetch dynamically
-        const fetch = (await import('node-fetch')).default;
+        res.set({
+            'Content-Type': 'video/mp4',
+            'Content-Disposition': 'attachment; filename="facebook-video.mp4"'
+        });
         
-        const response = await fetch(url, { headers });
+        const muxer = new FragmentedMp4Muxer();
+        await muxer.mux(videoResponse.body, audioResponse.body, throttledOutput(req, res));
         
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+    } catch (error) {
+        console.error('Mux error:', error);
+        
+        if (res.headersSent) {
+            // Part of the file is already on its way, so just cut the stream
+            res.destroy(error);
+        } else if (error instanceof UnsupportedMediaError) {
+            res.removeHeader('Content-Disposition');
+            res.status(422).json({ error: error.message });
+        } else if (error instanceof UrlPolicyError) {
+            res.removeHeader('Content-Disposition');
+            res.status(error.status).json({ error: error.message });
+        } else {
+            res.removeHeader('Content-Disposition');
+            res.status(500).json({ error: 'Failed to merge video and audio' });
         }
-        
-        // Forward response headers
+    }
+});
+
+// Download an HLS playlist as a single file. The signed `hlsUrl` token
+// (?token=) holds a master playlist (the `variant` index picks the
+// rendition, highest bandwidth first) or a media playlist, optionally with a
+// separate audio media playlist. fMP4 video and audio renditions are merged
+// into one MP4; TS segments are concatenated into a .ts file.
+app.get('/hls', rateLimitMiddleware, async (req, res) => {
+    const link = verifyProxyToken(req, res, req.query.token);
+    if (!link) return;
+
+    const url = link.url;
+    const audio = link.audioUrl;
+    const variant = req.query.variant !== undefined ? parseInt(req.query.variant, 10) : 0;
+
+    if (!url || !isAllowedVideoUrl(url) || (audio && !isAllowedVideoUrl(audio))) {
+        return res.status(400).json({ error: 'A playlist URL on a supported video CDN is required' });
+    }
+
+    if (!Number.isInteger(variant) || variant < 0) {
+        return res.status(400).json({ error: 'variant must be a non-negative integer' });
+    }
+
+    if (!acquireStream(req, res)) return;
+
+    // Stop fetching segments when the client goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    try {
+        const downloader = req.app.get('hlsDownloader');
+        const playlists = await downloader.resolve(url, { variant: variant, audioUrl: audio, signal: controller.signal });
+        const video = playlists.video;
+        const merge = playlists.audio && video.isFragmentedMp4 && playlists.audio.isFragmentedMp4;
+
+        if (playlists.audio && !merge) {
+            console.log('Separate HLS audio is only merged for fMP4 renditions; downloading the video rendition alone');
+        }
+
+        console.log(`HLS download: ${video.segments.length} segments, ${Math.round(video.duration)}s${merge ? ' + audio' : ''}`);
+
         res.set({
-            'Content-Type': response.headers.get('content-type') || 'video/mp4',
-            'Content-Length': response.headers.get('content-length'),
-            'Accept-Ranges': 'bytes',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
-            'Access-Control-Allow-Headers': 'Range'
+            'Content-Type': video.isFragmentedMp4 ? 'video/mp4' : 'video/mp2t',
+            'Content-Disposition': `attachment; filename="video.${video.isFragmentedMp4 ? 'mp4' : 'ts'}"`
         });
-        
-        if (response.headers.get('content-range')) {
-            res.set('Content-Range', response.headers.get('content-range'));
-            res.status(206);
+
+        const videoStream = downloader.createStream(video, { signal: controller.signal });
+        const output = throttledOutput(req, res);
+
+        if (merge) {
+            const audioStream = downloader.createStream(playlists.audio, { signal: controller.signal });
+            res.on('close', () => {
+                videoStream.destroy();
+                audioStream.destroy();
+            });
+            await new FragmentedMp4Muxer().mux(videoStream, audioStream, output);
+        } else {
+            await pipeline(videoStream, output);
         }
-        
-        // Stream the video
-        response.body.pipe(res);
-        
+
     } catch (error) {
-        console.error('Video proxy error:', error);
-        res.status(500).json({ error: 'Failed to proxy video' });
+        if (controller.signal.aborted) {
+            return;
+        }
+
+        console.error('HLS download error:', error);
+
+        if (res.headersSent) {
+            // Part of the file is already on its way, so just cut the stream
+            res.destroy(error);
+        } else if (error instanceof HlsError || error instanceof UnsupportedMediaError || error instanceof UrlPolicyError) {
+            res.removeHeader('Content-Disposition');
+            res.status(error.status || 422).json({ error: error.message });
+        } else {
+            res.removeHeader('Content-Disposition');
+            res.status(500).json({ error: 'Failed to download the HLS stream' });
+        }
     }
 });
 
 // Health check endpoint
 app.get('/health', (req, res) => {
+    const rangeCache = req.app.get('rangeCache');
     res.json({
         status: 'OK',
         timestamp: new Date().toISOString(),
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        extractionPool: req.app.get('extractionPool').stats(),
+        rangeCache: rangeCache ? rangeCache.stats() : null,
+        downloadJobs: req.app.get('downloadJobs').stats()
     });
 });
 
@@ -1280,15 +1115,43 @@ app.get('/test', (req, res) => {
         endpoints: [
             'GET /',
             'POST /extract-videos',
+            'POST /extract-url',
+            'POST /extract-youtube',
+            'POST /extract-instagram',
+            'POST /extract-twitter',
+            'POST /extract',
+            'GET /proxy-video',
+            'GET /download/:token',
+            'GET /mux',
+            'GET /hls',
+            'POST /jobs',
+            'GET /jobs/:id',
+            'GET /jobs/:id/events',
+            'GET /jobs/:id/file',
+            'DELETE /jobs/:id',
             'GET /health',
             'GET /test'
         ]
     });
 });
 
-// Error handling middleware
+// Body parser failures carry the raw request body (error.body), which may
+// hold cookies, so only their type is logged
+const BODY_PARSER_ERRORS = {
+    'entity.parse.failed': [400, 'The request body is not valid JSON.'],
+    'entity.too.large': [413, 'The request body is too large.']
+};
+
+// Error handling middleware. The error object itself is never logged whole,
+// since its properties can include request data.
 app.use((error, req, res, next) => {
-    console.error('Unhandled error:', error);
+    const bodyError = BODY_PARSER_ERRORS[error.type];
+    if (bodyError) {
+        console.error(`Rejected request body: ${error.type}`);
+        return res.status(bodyError[0]).json({ error: bodyError[1] });
+    }
+
+    console.error('Unhandled error:', error.stack || error.message);
     res.status(500).json({
         error: 'Internal server error occurred.'
     });
@@ -1301,11 +1164,13 @@ app.use((req, res) => {
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Facebook Video Downloader server running on port ${PORT}`);
-    console.log(`📱 Open http://localhost:${PORT} in your browser`);
-    console.log(`⚡ Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Start server (skipped when the app is required, e.g. by a test harness)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Facebook Video Downloader server running on port ${PORT}`);
+        console.log(`📱 Open http://localhost:${PORT} in your browser`);
+        console.log(`⚡ Environment: ${process.env.NODE_ENV || 'development'}`);
+    });
+}
 
 module.exports = app;
\ No newline at end of file
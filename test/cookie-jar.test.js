@@ -0,0 +1,273 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const util = require('util');
+const { CookieJar, CookieError } = require('../lib/cookie-jar');
+const { PageFetcher } = require('../lib/page-fetcher');
+
+const NOW = Date.UTC(2026, 0, 1);
+const HOUR = 60 * 60;
+
+function netscape(...lines) {
+    return ['# Netscape HTTP Cookie File', ...lines.map(fields => fields.join('\t'))].join('\n');
+}
+
+describe('CookieJar', () => {
+    it('reads a cookies.txt export, including #HttpOnly_ lines', () => {
+        const jar = CookieJar.parse(netscape(
+            ['#HttpOnly_.facebook.com', 'TRUE', '/', 'TRUE', '0', 'xs', 'secret'],
+            ['.facebook.com', 'TRUE', '/', 'TRUE', '0', 'c_user', '42']
+        ), { now: () => NOW });
+
+        assert.equal(jar.size, 2);
+        assert.equal(jar.headerFor('https://www.facebook.com/reel/1'), 'xs=secret; c_user=42');
+    });
+
+    it('reads a Cookie header, with or without its name', () => {
+        assert.equal(CookieJar.parse('c_user=42; xs=a=b').headerFor('https://www.facebook.com/'), 'c_user=42; xs=a=b');
+        assert.equal(CookieJar.parse('Cookie: c_user=42').headerFor('https://www.facebook.com/'), 'c_user=42');
+    });
+
+    it('drops expired cookies and keeps session cookies', () => {
+        const jar = CookieJar.parse(netscape(
+            ['.facebook.com', 'TRUE', '/', 'FALSE', String(NOW / 1000 - HOUR), 'old', '1'],
+            ['.facebook.com', 'TRUE', '/', 'FALSE', String(NOW / 1000 + HOUR), 'fresh', '1'],
+            ['.facebook.com', 'TRUE', '/', 'FALSE', '0', 'session', '1']
+        ), { now: () => NOW });
+
+        assert.equal(jar.headerFor('https://www.facebook.com/'), 'fresh=1; session=1');
+    });
+
+    it('sends secure cookies over HTTPS only', () => {
+        const jar = CookieJar.parse(netscape(
+            ['.facebook.com', 'TRUE', '/', 'TRUE', '0', 'secure', '1'],
+            ['.facebook.com', 'TRUE', '/', 'FALSE', '0', 'plain', '1']
+        ));
+
+        assert.equal(jar.headerFor('https://www.facebook.com/'), 'secure=1; plain=1');
+        assert.equal(jar.headerFor('http://www.facebook.com/'), 'plain=1');
+    });
+
+    it('matches domains and paths', () => {
+        const jar = CookieJar.parse(netscape(
+            ['.facebook.com', 'TRUE', '/', 'FALSE', '0', 'sub', '1'],
+            ['www.facebook.com', 'FALSE', '/', 'FALSE', '0', 'host', '1'],
+            ['.facebook.com', 'TRUE', '/groups', 'FALSE', '0', 'path', '1'],
+            ['.other.com', 'TRUE', '/', 'FALSE', '0', 'other', '1']
+        ));
+
+        assert.equal(jar.headerFor('https://www.facebook.com/watch'), 'sub=1; host=1');
+        assert.equal(jar.headerFor('https://m.facebook.com/groups/1'), 'sub=1; path=1');
+        assert.equal(jar.headerFor('https://facebook.com/'), 'sub=1');
+        assert.equal(jar.headerFor('https://notfacebook.com/'), null);
+        assert.equal(jar.headerFor('https://facebook.com.evil.example/'), null);
+    });
+
+    it('refuses input without cookies', () => {
+        assert.throws(() => CookieJar.parse(''), CookieError);
+        assert.throws(() => CookieJar.parse('no cookies here'), /No usable cookies/);
+        assert.throws(() => CookieJar.parse('a=1'.padEnd(300 * 1024, ' ')), /too large/);
+    });
+
+    it('keeps cookie values out of JSON and inspection', () => {
+        const jar = CookieJar.parse('c_user=42; xs=secret');
+        assert.doesNotMatch(JSON.stringify({ jar }), /secret/);
+        assert.doesNotMatch(util.inspect(jar), /secret/);
+    });
+
+    it('forgets every cookie when cleared', () => {
+        const jar = CookieJar.parse('c_user=42; xs=secret');
+        const cookies = jar.cookies;
+        jar.clear();
+
+        assert.equal(jar.size, 0);
+        assert.equal(jar.headerFor('https://www.facebook.com/'), null);
+        assert.ok(cookies.every(cookie => cookie.value === ''));
+    });
+});
+
+// Facebook stub: /reel/* redirects to /watch/, which needs c_user=42 and
+// otherwise redirects to the login page
+const PAGE = `<!DOCTYPE html><html><body><script type="application/json" data-sjs>{"a":{"__typename":"Video","id":"1234567890","playable_url_quality_hd":"https:\\/\\/scontent.xx.fbcdn.net\\/v\\/t42\\/${'A'.repeat(40)}.mp4?_nc_cat=1&oh=00_${'b'.repeat(40)}&oe=6650A1B2"}}</script>${' '.repeat(1000)}</body></html>`;
+
+describe('PageFetcher with cookies', () => {
+    let stub;
+    let base;
+    const seen = [];
+
+    before(async () => {
+        stub = http.createServer((req, res) => {
+            seen.push({ url: req.url, cookie: req.headers.cookie || null });
+            if (req.url.startsWith('/reel/http')) {
+                res.writeHead(302, { location: 'http://www.facebook.com/watch/?v=1234567890' });
+            } else if (req.url.startsWith('/reel/')) {
+                res.writeHead(302, { location: '/watch/?v=1234567890' });
+            } else if (!/(^|; )c_user=42(;|$)/.test(req.headers.cookie || '')) {
+                res.writeHead(302, { location: '/login/?next=%2Fwatch%2F' });
+            } else {
+                res.writeHead(200, { 'content-type': 'text/html' });
+                return res.end(PAGE);
+            }
+            res.end();
+        });
+        await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${stub.address().port}`;
+    });
+
+    after(() => new Promise(resolve => stub.close(resolve)));
+
+    // Facebook URLs are sent to the stub; the fetcher still checks the real hosts
+    function fetcher() {
+        return new PageFetcher({ fetch: (url, init) => fetch(url.replace(/^https:\/\/www\.facebook\.com/, base), init) });
+    }
+
+    it('sends the cookies from a Cookie header on every hop', async () => {
+        seen.length = 0;
+        const page = await fetcher().fetchHtml('https://www.facebook.com/reel/1', { cookies: CookieJar.parse('c_user=42; xs=secret') });
+
+        assert.equal(page.html, PAGE);
+        assert.deepEqual(seen.map(request => request.cookie), ['c_user=42; xs=secret', 'c_user=42; xs=secret']);
+    });
+
+    it('sends the matching cookies from a cookies.txt export', async () => {
+        seen.length = 0;
+        const jar = CookieJar.parse(netscape(
+            ['#HttpOnly_.facebook.com', 'TRUE', '/', 'TRUE', '0', 'xs', 'secret'],
+            ['.facebook.com', 'TRUE', '/', 'FALSE', '0', 'c_user', '42'],
+            ['.instagram.com', 'TRUE', '/', 'FALSE', '0', 'sessionid', 'other']
+        ));
+        const page = await fetcher().fetchHtml('https://www.facebook.com/reel/1', { cookies: jar });
+
+        assert.equal(page.html, PAGE);
+        assert.ok(seen.every(request => request.cookie === 'xs=secret; c_user=42'));
+    });
+
+    it('refuses the login redirect without cookies', async () => {
+        seen.length = 0;
+        await assert.rejects(fetcher().fetchHtml('https://www.facebook.com/reel/1'), error =>
+            error.name === 'PageFetchError' && error.status === 403 && /needs a login/.test(error.message));
+        assert.ok(seen.every(request => request.cookie === null));
+    });
+
+    it('refuses a redirect to plain HTTP before sending the cookies', async () => {
+        seen.length = 0;
+        await assert.rejects(fetcher().fetchHtml('https://www.facebook.com/reel/http', { cookies: CookieJar.parse('c_user=42; xs=secret') }), error =>
+            error.name === 'PageFetchError' && error.status === 400 && /plain HTTP/.test(error.message));
+        assert.deepEqual(seen.map(request => request.url), ['/reel/http']);
+    });
+
+    it('reports cookies that no longer log in', async () => {
+        await assert.rejects(fetcher().fetchHtml('https://www.facebook.com/reel/1', { cookies: CookieJar.parse('c_user=7') }), error =>
+            error.status === 401 && /cookies are expired/.test(error.message));
+    });
+
+    it('names the site it fetches for in its errors', async () => {
+        const instagram = new PageFetcher({
+            site: 'Instagram',
+            allowedHosts: ['instagram.com'],
+            fetch: async url => url.includes('/missing/')
+                ? { ok: false, status: 404, headers: new Map() }
+                : { ok: false, status: 302, headers: new Map([['location', 'https://www.facebook.com/watch/?v=1']]) }
+        });
+
+        await assert.rejects(instagram.fetchHtml('https://www.instagram.com/missing/'), error =>
+            error.status === 404 && error.message === 'Instagram returned HTTP 404 for this link');
+        await assert.rejects(instagram.fetchHtml('https://www.instagram.com/reel/1/'), error =>
+            error.status === 400 && error.message === 'Refusing to fetch www.facebook.com: not one of the Instagram hosts');
+    });
+});
+
+describe('POST /extract-url with cookies', () => {
+    let app;
+    let server;
+    let stub;
+    let base;
+    const logged = [];
+    const originals = {};
+    let clears = 0;
+
+    before(async () => {
+        stub = http.createServer((req, res) => {
+            if (/(^|; )c_user=42(;|$)/.test(req.headers.cookie || '')) {
+                res.writeHead(200, { 'content-type': 'text/html' });
+                return res.end(PAGE);
+            }
+            res.writeHead(302, { location: '/login/' });
+            res.end();
+        });
+        await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+        const stubBase = `http://127.0.0.1:${stub.address().port}`;
+
+        app = require('../server');
+        app.set('pageFetcher', new PageFetcher({ fetch: (url, init) => fetch(url.replace(/^https:\/\/www\.facebook\.com/, stubBase), init) }));
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        base = `http://127.0.0.1:${server.address().port}`;
+
+        ['log', 'error', 'warn'].forEach(method => {
+            originals[method] = console[method];
+            console[method] = (...args) => logged.push(args.map(arg => typeof arg === 'string' ? arg : util.inspect(arg)).join(' '));
+        });
+        originals.clear = CookieJar.prototype.clear;
+        CookieJar.prototype.clear = function () {
+            clears++;
+            return originals.clear.call(this);
+        };
+    });
+
+    after(async () => {
+        ['log', 'error', 'warn'].forEach(method => { console[method] = originals[method]; });
+        CookieJar.prototype.clear = originals.clear;
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => stub.close(resolve));
+        await app.get('extractionPool').close();
+    });
+
+    function post(body) {
+        return fetch(`${base}/extract-url`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        });
+    }
+
+    it('extracts a private post and clears the jar afterwards', async () => {
+        clears = 0;
+        const response = await post({ url: 'https://www.facebook.com/reel/1234567', cookies: 'c_user=42; xs=SECRETXS1' });
+        const result = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(result.count, 1);
+        assert.equal(clears, 1);
+    });
+
+    it('clears the jar when the cookies are refused', async () => {
+        clears = 0;
+        const response = await post({ url: 'https://www.facebook.com/reel/1234567', cookies: 'c_user=7; xs=SECRETXS1' });
+
+        assert.equal(response.status, 401);
+        assert.equal(clears, 1);
+    });
+
+    it('answers unusable cookie input with a 400', async () => {
+        const response = await post({ url: 'https://www.facebook.com/reel/1234567', cookies: 'not cookies' });
+        assert.equal(response.status, 400);
+    });
+
+    it('answers a malformed JSON body with a 400 without logging it', async () => {
+        const response = await post('{"cookies":"xs=SECRETXS2", bad');
+        assert.equal(response.status, 400);
+        assert.ok(logged.some(line => line.includes('entity.parse.failed')));
+    });
+
+    it('answers an oversized body with a 413', async () => {
+        const response = await post(`{"cookies":"xs=SECRETXS3${'x'.repeat(51 * 1024 * 1024)}"}`);
+        assert.equal(response.status, 413);
+    });
+
+    it('never logs cookie values', () => {
+        assert.ok(logged.length > 0);
+        assert.ok(logged.every(line => !line.includes('SECRETXS')), 'a cookie value was logged');
+    });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatDownloadFilename, sanitizeFilename, contentDisposition } = require('../lib/download-filename');
+
+describe('formatDownloadFilename', () => {
+    it('fills the template and drops empty placeholders', () => {
+        const video = { title: 'Cat video', quality: 'HD', metadata: { author: 'Jane', publishedAt: '2024-05-01T10:00:00Z' } };
+        assert.equal(formatDownloadFilename(video), 'Jane - Cat video (2024-05-01) [HD].mp4');
+        assert.equal(formatDownloadFilename({ title: 'Cat video' }), 'Cat video.mp4');
+        assert.equal(formatDownloadFilename({}), 'video.mp4');
+    });
+
+    it('caps long names without losing the extension', () => {
+        const name = formatDownloadFilename({ title: 'x'.repeat(500) });
+
+        assert.ok(name.endsWith('.mp4'));
+        assert.equal(Buffer.byteLength(name, 'utf8'), 204);
+    });
+
+    it('strips characters that are unsafe in file names', () => {
+        assert.equal(formatDownloadFilename({ title: 'a/b\\c:"d"‮gpj.exe' }), 'a b c d gpj.exe.mp4');
+        assert.equal(sanitizeFilename('CON'), '_CON');
+    });
+});
+
+describe('contentDisposition', () => {
+    it('adds an ASCII fallback and the UTF-8 name', () => {
+        assert.equal(contentDisposition('Café "1".mp4'), 'attachment; filename="Caf_ _1_.mp4"; filename*=UTF-8\'\'Caf%C3%A9%20%221%22.mp4');
+    });
+});
@@ -0,0 +1,315 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { DownloadJobManager, DownloadJobError } = require('../lib/download-jobs');
+
+const FILE = crypto.randomBytes(512 * 1024 + 77);
+
+// Range-capable fixture server. `stalls` is how many of the next requests
+// hang: `stallMode` headers sends nothing at all, body sends the headers and
+// part of the body, then goes quiet without closing the connection
+let stalls = 0;
+let stallMode = 'body';
+let requests = [];
+const hanging = new Set();
+
+function serve(req, res) {
+    const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    requests.push(req.headers.range || null);
+    const start = range ? parseInt(range[1], 10) : 0;
+
+    if (stalls > 0) {
+        stalls--;
+        hanging.add(res);
+        if (stallMode === 'headers') return;
+    }
+
+    res.writeHead(range ? 206 : 200, {
+        'content-type': 'video/mp4',
+        'content-length': FILE.length - start,
+        ...(range ? { 'content-range': `bytes ${start}-${FILE.length - 1}/${FILE.length}` } : {})
+    });
+    if (hanging.has(res)) {
+        return res.write(FILE.subarray(start, start + 64 * 1024));
+    }
+    res.end(FILE.subarray(start));
+}
+
+function settled(jobs, job) {
+    return new Promise(resolve => {
+        const unsubscribe = jobs.subscribe(job.id, snapshot => {
+            if (snapshot.done) {
+                unsubscribe();
+                resolve(snapshot);
+            }
+        });
+    });
+}
+
+describe('DownloadJobManager', () => {
+    let server;
+    let url;
+    let nodeFetch;
+    let directory;
+    let jobs;
+    let originalLog;
+    let originalError;
+
+    before(async () => {
+        server = http.createServer(serve);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/v.mp4`;
+        ({ default: nodeFetch } = await import('node-fetch'));
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'download-jobs-test-'));
+
+        originalLog = console.log;
+        originalError = console.error;
+        console.log = () => {};
+        console.error = () => {};
+    });
+
+    after(async () => {
+        console.log = originalLog;
+        console.error = originalError;
+        await new Promise(resolve => server.close(resolve));
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        stalls = 0;
+        stallMode = 'body';
+        requests = [];
+        jobs = new DownloadJobManager({
+            fetch: (target, range, init) => nodeFetch(target, { ...init, headers: range ? { Range: range } : {} }),
+            directory: directory,
+            retryDelay: 5,
+            idleTimeout: 200,
+            progressInterval: 10
+        });
+    });
+
+    afterEach(async () => {
+        await jobs.close();
+        hanging.forEach(res => res.destroy());
+        hanging.clear();
+    });
+
+    it('downloads the whole file', async () => {
+        const job = jobs.create({ url: url, filename: 'v.mp4', owner: 'a' });
+        const result = await settled(jobs, job);
+
+        assert.equal(result.state, 'completed');
+        assert.equal(result.attempts, 1);
+        assert.deepEqual(await fs.promises.readFile(jobs.filePath(job)), FILE);
+    });
+
+    it('aborts a body that stops sending and resumes it with a Range request', async () => {
+        stalls = 1;
+        const job = jobs.create({ url: url, filename: 'v.mp4', owner: 'a' });
+        const states = [];
+        jobs.subscribe(job.id, snapshot => states.push(snapshot));
+        const result = await settled(jobs, job);
+
+        assert.equal(result.state, 'completed');
+        assert.equal(result.attempts, 2);
+        assert.deepEqual(requests, [null, `bytes=${64 * 1024}-`]);
+        assert.deepEqual(await fs.promises.readFile(jobs.filePath(job)), FILE);
+
+        const retrying = states.find(snapshot => snapshot.state === 'retrying');
+        assert.match(retrying.error, /sent nothing for/);
+    });
+
+    it('aborts a request that never gets an answer', async () => {
+        stalls = 1;
+        stallMode = 'headers';
+        const job = jobs.create({ url: url, filename: 'v.mp4', owner: 'a' });
+        const result = await settled(jobs, job);
+
+        assert.equal(result.state, 'completed');
+        assert.equal(result.attempts, 2);
+        assert.deepEqual(await fs.promises.readFile(jobs.filePath(job)), FILE);
+    });
+
+    it('fails with STALLED once the retries are used up', async () => {
+        stalls = 10;
+        jobs.maxRetries = 1;
+        const job = jobs.create({ url: url, filename: 'v.mp4', owner: 'a' });
+        const result = await settled(jobs, job);
+
+        assert.equal(result.state, 'failed');
+        assert.equal(result.code, 'STALLED');
+        assert.equal(result.attempts, 2);
+    });
+
+    it('keeps a cancelled job cancelled rather than stalled', async () => {
+        stalls = 1;
+        const job = jobs.create({ url: url, filename: 'v.mp4', owner: 'a' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        jobs.cancel(job.id);
+
+        const snapshot = jobs.snapshot(job);
+        assert.equal(snapshot.state, 'cancelled');
+        assert.equal(snapshot.code, null);
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(jobs.snapshot(job).state, 'cancelled');
+        assert.equal(requests.length, 1);
+    });
+});
+
+describe('DownloadJobManager capacity', () => {
+    let jobs;
+
+    // Never answers, so created jobs stay running or queued
+    const pending = (url, range, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+    });
+    const downloads = (count, owner = 'a') => Array.from({ length: count }, (_, i) => ({ url: `https://video.example/${i}.mp4`, filename: `${i}.mp4`, owner: owner }));
+
+    beforeEach(() => {
+        jobs = new DownloadJobManager({
+            fetch: pending,
+            directory: path.join(os.tmpdir(), 'download-jobs-capacity-test'),
+            concurrency: 2,
+            maxQueue: 3,
+            maxPerOwner: 6
+        });
+    });
+
+    afterEach(async () => {
+        await jobs.close();
+        await fs.promises.rm(jobs.directory, { recursive: true, force: true });
+    });
+
+    it('fills the free slots and the queue in one batch', () => {
+        const created = jobs.createBatch(downloads(5));
+
+        assert.equal(created.length, 5);
+        assert.equal(jobs.running, 2);
+        assert.equal(jobs.queue.length, 3);
+    });
+
+    it('queues nothing when the batch overflows the queue', () => {
+        jobs.createBatch(downloads(3));
+
+        assert.throws(() => jobs.createBatch(downloads(3, 'b')), error => error instanceof DownloadJobError && error.code === 'QUEUE_FULL');
+        assert.equal(jobs.jobs.size, 3);
+        assert.equal(jobs.queue.length, 1);
+        assert.equal(Array.from(jobs.jobs.values()).filter(job => job.owner === 'b').length, 0);
+    });
+
+    it('queues nothing when the batch takes an owner over the limit', () => {
+        jobs.maxPerOwner = 4;
+        jobs.createBatch(downloads(3));
+
+        assert.throws(() => jobs.createBatch(downloads(2)), error => error instanceof DownloadJobError && error.code === 'TOO_MANY_JOBS');
+        assert.equal(jobs.jobs.size, 3);
+        assert.equal(jobs.createBatch(downloads(1, 'b')).length, 1);
+    });
+
+    it('refuses a single job once the queue is full', () => {
+        jobs.createBatch(downloads(5));
+
+        assert.throws(() => jobs.create(downloads(1, 'b')[0]), error => error.code === 'QUEUE_FULL');
+    });
+});
+
+describe('Download job routes', () => {
+    let app;
+    let server;
+    let base;
+    let jobs;
+    const originals = {};
+
+    const post = downloads => fetch(`${base}/jobs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ downloads: downloads })
+    });
+    const links = count => Array.from({ length: count }, (_, i) => app.get('proxySigner').downloadLink(`https://scontent.xx.fbcdn.net/v/${i}.mp4?oe=FFFFFFFF`, `${i}.mp4`, '127.0.0.1'));
+
+    before(async () => {
+        app = require('../server');
+        app.set('rangeCache', null);
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        base = `http://127.0.0.1:${server.address().port}`;
+
+        ['log', 'error'].forEach(method => {
+            originals[method] = console[method];
+            console[method] = () => {};
+        });
+    });
+
+    after(async () => {
+        ['log', 'error'].forEach(method => { console[method] = originals[method]; });
+        await new Promise(resolve => server.close(resolve));
+        await app.get('extractionPool').close();
+    });
+
+    beforeEach(() => {
+        jobs = new DownloadJobManager({
+            fetch: (url, range, init) => new Promise((resolve, reject) => {
+                init.signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+            }),
+            directory: path.join(os.tmpdir(), 'download-jobs-route-test'),
+            maxPerOwner: 3
+        });
+        app.set('downloadJobs', jobs);
+    });
+
+    afterEach(async () => {
+        await jobs.close();
+        await fs.promises.rm(jobs.directory, { recursive: true, force: true });
+    });
+
+    it('queues no job when the batch is over the limit', async () => {
+        const response = await post(links(4));
+
+        assert.equal(response.status, 429);
+        assert.equal((await response.json()).code, 'TOO_MANY_JOBS');
+        assert.equal(jobs.jobs.size, 0);
+    });
+
+    it('queues every job of a batch that fits', async () => {
+        const response = await post(links(3));
+
+        assert.equal(response.status, 202);
+        assert.equal((await response.json()).jobs.length, 3);
+        assert.equal(jobs.jobs.size, 3);
+    });
+
+    it('hides the jobs of other clients', async () => {
+        const job = jobs.create({ url: 'https://scontent.xx.fbcdn.net/v/0.mp4?oe=FFFFFFFF', filename: '0.mp4', owner: '10.0.0.8' });
+
+        for (const [method, suffix] of [['GET', ''], ['GET', '/events'], ['GET', '/file'], ['DELETE', '']]) {
+            const response = await fetch(`${base}/jobs/${job.id}${suffix}`, { method: method });
+            assert.equal(response.status, 404, `${method} /jobs/:id${suffix}`);
+            assert.equal((await response.json()).code, 'JOB_NOT_FOUND');
+        }
+        assert.notEqual(job.state, 'cancelled');
+    });
+
+    it('answers 500 when claiming the file fails unexpectedly', async () => {
+        const [job] = (await (await post(links(1))).json()).jobs;
+        jobs.take = () => {
+            throw new Error('disk gone');
+        };
+        const rejections = [];
+        const onRejection = error => rejections.push(error);
+        process.on('unhandledRejection', onRejection);
+
+        try {
+            const response = await fetch(`${base}/jobs/${job.id}/file`);
+            assert.equal(response.status, 500);
+            assert.equal((await response.json()).error, 'Could not send the file.');
+        } finally {
+            process.off('unhandledRejection', onRejection);
+        }
+        assert.deepEqual(rejections, []);
+    });
+});
@@ -0,0 +1,30 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ExtractionPool, ExtractionPoolError } = require('../lib/extraction-pool');
+
+const SCRIPT = path.join(__dirname, 'fixtures', 'extraction-worker.js');
+
+describe('ExtractionPool', () => {
+    let pool;
+
+    afterEach(() => pool.close());
+
+    it('runs tasks on a worker', async () => {
+        pool = new ExtractionPool({ script: SCRIPT, size: 1 });
+
+        assert.deepEqual(await pool.run('echo', { a: 1 }), { a: 1 });
+        assert.equal(pool.stats().completed, 1);
+    });
+
+    it('fails the running job when its worker exits and keeps serving', async () => {
+        pool = new ExtractionPool({ script: SCRIPT, size: 1 });
+        const exited = pool.run('exit', null);
+        const queued = pool.run('echo', 'after');
+
+        await assert.rejects(exited, error =>
+            error instanceof ExtractionPoolError && error.code === 'WORKER_EXITED' && /exit code 3/.test(error.message));
+        assert.equal(await queued, 'after');
+        assert.equal(pool.stats().failed, 1);
+    });
+});
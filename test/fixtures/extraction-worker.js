@@ -0,0 +1,10 @@
+const { parentPort } = require('worker_threads');
+
+// Stand-in for lib/extraction-worker.js: "echo" answers with its input,
+// "exit" ends the worker without an error event, as an OOM kill would
+parentPort.on('message', ({ id, task, input }) => {
+    if (task === 'exit') {
+        process.exit(3);
+    }
+    parentPort.postMessage({ id: id, result: input });
+});
@@ -0,0 +1,99 @@
+// Builds tiny fragmented MP4 files (ftyp + moov + moof/mdat) for the muxer
+// and probe tests. Only the fields those modules read are filled in.
+const { buildBox } = require('../../lib/mp4-boxes');
+
+function fullBox(type, version, flags, ...payloads) {
+    const header = Buffer.alloc(4);
+    header[0] = version;
+    header.writeUIntBE(flags, 1, 3);
+    return buildBox(type, header, ...payloads);
+}
+
+function u32(...values) {
+    const buffer = Buffer.alloc(4 * values.length);
+    values.forEach((value, i) => buffer.writeUInt32BE(value, i * 4));
+    return buffer;
+}
+
+function u64(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(value));
+    return buffer;
+}
+
+function mvhd(timescale, duration, nextTrackId) {
+    return fullBox('mvhd', 0, 0, u32(0, 0, timescale, duration), Buffer.alloc(76), u32(nextTrackId));
+}
+
+function tkhd(trackId, duration, width = 0, height = 0) {
+    return fullBox('tkhd', 0, 7, u32(0, 0, trackId, 0, duration), Buffer.alloc(52), u32(width << 16, height << 16));
+}
+
+function mdhd(timescale, duration = 0) {
+    return fullBox('mdhd', 0, 0, u32(0, 0, timescale, duration), Buffer.alloc(4));
+}
+
+function hdlr(handler) {
+    return fullBox('hdlr', 0, 0, u32(0), Buffer.from(handler, 'latin1'), Buffer.alloc(12), Buffer.from('handler\0', 'latin1'));
+}
+
+// One edit list entry: segment_duration, media_time, rate
+function elst(segmentDuration) {
+    return buildBox('edts', fullBox('elst', 0, 0, u32(1, segmentDuration, 0, 0x00010000)));
+}
+
+// options: { handler, movieTimescale, mediaTimescale, movieDuration,
+//   trackDuration, fragments, fragmentDuration (seconds), payload (byte),
+//   baseDataOffset, lastMdatSizeZero, mvex, sidx }
+function fragmentedMp4(options) {
+    const {
+        handler,
+        movieTimescale = 1000,
+        mediaTimescale,
+        movieDuration = 0,
+        trackDuration = 0,
+        fragments,
+        fragmentDuration,
+        payload,
+        baseDataOffset = false,
+        lastMdatSizeZero = false,
+        mvex = true,
+        sidx = true
+    } = options;
+
+    const trak = buildBox('trak',
+        tkhd(1, trackDuration),
+        elst(trackDuration),
+        buildBox('mdia', mdhd(mediaTimescale), hdlr(handler)));
+    const moovChildren = [mvhd(movieTimescale, movieDuration, 2), trak];
+    if (mvex) {
+        moovChildren.push(buildBox('mvex', fullBox('mehd', 0, 0, u32(movieDuration)), fullBox('trex', 0, 0, u32(1, 1, 0, 0, 0))));
+    }
+
+    const boxes = [buildBox('ftyp', Buffer.from('dashiso6mp41', 'latin1')), buildBox('moov', ...moovChildren)];
+    if (sidx) {
+        boxes.push(fullBox('sidx', 0, 0, u32(1, mediaTimescale, 0, 0, 0)));
+    }
+
+    let offset = boxes.reduce((total, box) => total + box.length, 0);
+    for (let i = 0; i < fragments; i++) {
+        // tfhd flags: default-base-is-moof, or base-data-offset-present with
+        // the moof's absolute position in this file
+        const tfhd = baseDataOffset
+            ? fullBox('tfhd', 0, 0x000001, u32(1), u64(offset))
+            : fullBox('tfhd', 0, 0x020000, u32(1));
+        const moof = buildBox('moof',
+            fullBox('mfhd', 0, 0, u32(100 + i)),
+            buildBox('traf', tfhd, fullBox('tfdt', 1, 0, u64(i * fragmentDuration * mediaTimescale))));
+        const mdat = buildBox('mdat', Buffer.alloc(64, payload + i));
+        if (lastMdatSizeZero && i === fragments - 1) {
+            mdat.writeUInt32BE(0, 0);
+        }
+        boxes.push(moof, mdat);
+        offset += moof.length + mdat.length;
+    }
+
+    return Buffer.concat(boxes);
+}
+
+module.exports = { fragmentedMp4, fullBox, u32, u64, mvhd, tkhd, mdhd, hdlr };
@@ -0,0 +1,146 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { HlsDownloader, HlsError } = require('../lib/hls-downloader');
+
+const KEY = crypto.randomBytes(16);
+const MEDIA_FILE = crypto.randomBytes(4000);
+
+function encrypt(data, iv) {
+    const cipher = crypto.createCipheriv('aes-128-cbc', KEY, iv);
+    return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+function sequenceIv(sequence) {
+    const iv = Buffer.alloc(16);
+    iv.writeUInt32BE(sequence, 12);
+    return iv;
+}
+
+function response(body, { status = 200, headers = {} } = {}) {
+    return {
+        ok: status < 400,
+        status: status,
+        headers: new Map(Object.entries(headers)),
+        body: Readable.from(typeof body === 'string' || Buffer.isBuffer(body) ? [body] : body)
+    };
+}
+
+// Serves `files` by URL and records every request. Ranges are honoured only
+// when `ranges` is set, like a server that may or may not support them.
+function fixtureFetch(files, { ranges = true } = {}) {
+    const requests = [];
+    const fetch = async (url, range) => {
+        requests.push([url, range]);
+        const file = files[url];
+        if (file === undefined) return response('', { status: 404 });
+        if (typeof file === 'function') return file();
+
+        const data = Buffer.from(file);
+        const match = /^bytes=(\d+)-(\d+)$/.exec(range || '');
+        if (match && ranges) {
+            return response(data.subarray(parseInt(match[1], 10), parseInt(match[2], 10) + 1), { status: 206 });
+        }
+        return response(data);
+    };
+    return { fetch, requests };
+}
+
+async function download(downloader, url) {
+    const { video } = await downloader.resolve(url);
+    const chunks = [];
+    for await (const chunk of downloader.createStream(video)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+describe('HlsDownloader', () => {
+    it('decrypts AES-128 segments with the IV taken from the media sequence number', async () => {
+        const first = crypto.randomBytes(1000);
+        const second = crypto.randomBytes(777);
+        const { fetch } = fixtureFetch({
+            'https://video.example/v.m3u8': [
+                '#EXTM3U',
+                '#EXT-X-MEDIA-SEQUENCE:41',
+                '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+                '#EXTINF:4,', 'a.ts',
+                '#EXTINF:4,', 'b.ts',
+                '#EXT-X-ENDLIST'
+            ].join('\n'),
+            'https://video.example/key.bin': KEY,
+            'https://video.example/a.ts': encrypt(first, sequenceIv(41)),
+            'https://video.example/b.ts': encrypt(second, sequenceIv(42))
+        });
+
+        const data = await download(new HlsDownloader({ fetch }), 'https://video.example/v.m3u8');
+
+        assert.deepEqual(data, Buffer.concat([first, second]));
+    });
+
+    it('fetches byte ranges and slices them when the server sends the whole file', async () => {
+        const playlist = [
+            '#EXTM3U',
+            '#EXT-X-MAP:URI="media.mp4",BYTERANGE="100@0"',
+            '#EXTINF:4,', '#EXT-X-BYTERANGE:1500@100', 'media.mp4',
+            '#EXTINF:4,', '#EXT-X-BYTERANGE:2400', 'media.mp4',
+            '#EXT-X-ENDLIST'
+        ].join('\n');
+        const files = { 'https://video.example/v.m3u8': playlist, 'https://video.example/media.mp4': MEDIA_FILE };
+
+        for (const ranges of [true, false]) {
+            const { fetch, requests } = fixtureFetch(files, { ranges });
+            const data = await download(new HlsDownloader({ fetch }), 'https://video.example/v.m3u8');
+
+            assert.deepEqual(data, MEDIA_FILE);
+            assert.deepEqual(requests.slice(1).map(([, range]) => range), ['bytes=0-99', 'bytes=100-1599', 'bytes=1600-3999']);
+        }
+    });
+
+    it('picks the highest variant of a master playlist and its audio rendition', async () => {
+        const media = ['#EXTM3U', '#EXTINF:4,', 'seg.ts', '#EXT-X-ENDLIST'].join('\n');
+        const { fetch } = fixtureFetch({
+            'https://video.example/master.m3u8': [
+                '#EXTM3U',
+                '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="a",NAME="Main",DEFAULT=YES,URI="audio.m3u8"',
+                '#EXT-X-STREAM-INF:BANDWIDTH=500000,AUDIO="a"', 'low.m3u8',
+                '#EXT-X-STREAM-INF:BANDWIDTH=3000000,AUDIO="a"', 'high.m3u8'
+            ].join('\n'),
+            'https://video.example/high.m3u8': media,
+            'https://video.example/audio.m3u8': media
+        });
+
+        const { video, audio, variant } = await new HlsDownloader({ fetch }).resolve('https://video.example/master.m3u8');
+
+        assert.equal(variant.bandwidth, 3000000);
+        assert.equal(video.segments[0].url, 'https://video.example/seg.ts');
+        assert.equal(audio.segments.length, 1);
+    });
+
+    it('stops reading a playlist as soon as it goes over the size limit', async () => {
+        let sent = 0;
+        function* endless() {
+            yield '#EXTM3U\n';
+            for (let i = 0; i < 1000; i++) {
+                sent++;
+                yield '#EXTINF:4,\nsegment.ts\n'.repeat(20);
+            }
+        }
+        const { fetch } = fixtureFetch({ 'https://video.example/v.m3u8': () => response(endless()) });
+        const downloader = new HlsDownloader({ fetch, maxPlaylistBytes: 4096 });
+
+        await assert.rejects(downloader.resolve('https://video.example/v.m3u8'), error => error instanceof HlsError && /too large/.test(error.message));
+        assert.ok(sent < 20, `read ${sent} chunks`);
+    });
+
+    it('refuses a playlist whose Content-Length is over the limit without reading it', async () => {
+        const body = Readable.from(['#EXTM3U\n']);
+        const { fetch } = fixtureFetch({
+            'https://video.example/v.m3u8': () => ({ ok: true, status: 200, headers: new Map([['content-length', '999999']]), body: body })
+        });
+
+        await assert.rejects(new HlsDownloader({ fetch, maxPlaylistBytes: 4096 }).resolve('https://video.example/v.m3u8'), /too large/);
+        assert.equal(body.destroyed, true);
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { HlsPlaylistParser } = require('../lib/hls-playlist');
+
+const BASE = 'https://video.example/hls/master.m3u8';
+
+const MASTER = `#EXTM3U
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="English",LANGUAGE="en",AUTOSELECT=YES,URI="audio/en.m3u8"
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Main",DEFAULT=YES,URI="audio/main.m3u8"
+#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2",AUDIO="aud"
+low/index.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=2500000,AVERAGE-BANDWIDTH=2000000,RESOLUTION=1280x720,FRAME-RATE=29.970,AUDIO="aud"
+# a comment between the tag and its URI
+https://cdn.example/high/index.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=100000
+`;
+
+const MEDIA = `#EXTM3U
+#EXT-X-TARGETDURATION:6
+#EXT-X-MEDIA-SEQUENCE:7
+#EXT-X-PLAYLIST-TYPE:VOD
+#EXT-X-MAP:URI="init.mp4",BYTERANGE="720@0"
+#EXT-X-KEY:METHOD=AES-128,URI="key.bin"
+#EXTINF:6.0,
+#EXT-X-BYTERANGE:1000@720
+media.mp4
+#EXTINF:6.0,
+#EXT-X-BYTERANGE:500
+media.mp4
+#EXT-X-KEY:METHOD=AES-128,URI="key2.bin",IV=0x1A
+#EXT-X-DISCONTINUITY
+#EXTINF:4.5,
+#EXT-X-BYTERANGE:300
+media.mp4
+#EXT-X-KEY:METHOD=NONE
+#EXTINF:2,
+other.mp4
+#EXT-X-ENDLIST
+`;
+
+describe('HlsPlaylistParser', () => {
+    const parser = new HlsPlaylistParser();
+
+    it('tells playlists and master playlists apart', () => {
+        assert.equal(parser.isPlaylist('  #EXTM3U\n'), true);
+        assert.equal(parser.isPlaylist('<html>'), false);
+        assert.equal(parser.isMasterPlaylist(MASTER), true);
+        assert.equal(parser.isMasterPlaylist(MEDIA), false);
+    });
+
+    it('lists the variants of a master playlist, highest bandwidth first', () => {
+        const playlist = parser.parse(MASTER, BASE);
+
+        assert.equal(playlist.type, 'master');
+        assert.deepEqual(playlist.variants.map(variant => [variant.url, variant.bandwidth, variant.width, variant.height]), [
+            ['https://cdn.example/high/index.m3u8', 2500000, 1280, 720],
+            ['https://video.example/hls/low/index.m3u8', 800000, 640, 360]
+        ]);
+        assert.equal(playlist.variants[0].averageBandwidth, 2000000);
+        assert.equal(playlist.variants[0].frameRate, 29.97);
+        assert.deepEqual(playlist.variants[1].codecs, ['avc1.4d401e', 'mp4a.40.2']);
+    });
+
+    it('pairs each variant with the default audio rendition of its group', () => {
+        const playlist = parser.parse(MASTER, BASE);
+
+        assert.equal(playlist.media.length, 2);
+        assert.deepEqual(playlist.media.map(item => [item.name, item.isDefault, item.autoselect]), [['English', false, true], ['Main', true, false]]);
+        assert.ok(playlist.variants.every(variant => variant.audioUrl === 'https://video.example/hls/audio/main.m3u8'));
+    });
+
+    it('parses the segments of a media playlist', () => {
+        const playlist = parser.parse(MEDIA, 'https://video.example/hls/v/index.m3u8');
+
+        assert.equal(playlist.type, 'media');
+        assert.equal(playlist.targetDuration, 6);
+        assert.equal(playlist.mediaSequence, 7);
+        assert.equal(playlist.playlistType, 'VOD');
+        assert.equal(playlist.endList, true);
+        assert.equal(playlist.duration, 18.5);
+        assert.equal(playlist.isFragmentedMp4, true);
+        assert.deepEqual(playlist.segments.map(segment => segment.sequence), [7, 8, 9, 10]);
+        assert.deepEqual(playlist.segments.map(segment => segment.discontinuity), [false, false, true, false]);
+        assert.deepEqual(playlist.segments[0].map.byteRange, { length: 720, offset: 0 });
+        assert.equal(playlist.segments[3].url, 'https://video.example/hls/v/other.mp4');
+    });
+
+    it('continues a byte range without an offset where the previous one ended', () => {
+        const { segments } = parser.parse(MEDIA, 'https://video.example/hls/v/index.m3u8');
+
+        assert.deepEqual(segments.map(segment => segment.byteRange), [
+            { length: 1000, offset: 720 },
+            { length: 500, offset: 1720 },
+            { length: 300, offset: 2220 },
+            null
+        ]);
+    });
+
+    it('applies each key to the segments after it until METHOD=NONE', () => {
+        const { segments } = parser.parse(MEDIA, 'https://video.example/hls/v/index.m3u8');
+
+        assert.equal(segments[0].key.url, 'https://video.example/hls/v/key.bin');
+        assert.equal(segments[0].key.iv, null);
+        assert.equal(segments[1].key, segments[0].key);
+        assert.equal(segments[2].key.iv.toString('hex'), '0000000000000000000000000000001a');
+        assert.equal(segments[3].key, null);
+    });
+});
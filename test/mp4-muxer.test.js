@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough, Readable } = require('stream');
+const { buildBox, readBoxes, findBox, findAllBoxes, readFullBoxHeader } = require('../lib/mp4-boxes');
+const { FragmentedMp4Muxer, UnsupportedMediaError } = require('../lib/mp4-muxer');
+const { fragmentedMp4, fullBox, u32, mvhd, tkhd, mdhd, hdlr } = require('./fixtures/mp4');
+
+// Video: 3 fragments of 2 s at 15360 Hz, movie timescale 1000
+const VIDEO = fragmentedMp4({
+    handler: 'vide', mediaTimescale: 15360, movieDuration: 6000, trackDuration: 6000,
+    fragments: 3, fragmentDuration: 2, payload: 0x10
+});
+
+// Audio: 6 fragments of 1 s at 44100 Hz, movie timescale 48000, absolute
+// base data offsets and a size-0 mdat at the end
+const AUDIO = fragmentedMp4({
+    handler: 'soun', movieTimescale: 48000, mediaTimescale: 44100, movieDuration: 336000, trackDuration: 288000,
+    fragments: 6, fragmentDuration: 1, payload: 0x40, baseDataOffset: true, lastMdatSizeZero: true
+});
+
+async function mux(video, audio) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    await new FragmentedMp4Muxer().mux(Readable.from([video]), Readable.from([audio]), output);
+    return Buffer.concat(chunks);
+}
+
+function trackId(tkhdBox) {
+    return tkhdBox.data.readUInt32BE(readFullBoxHeader(tkhdBox).payloadOffset + 8);
+}
+
+function payloadUInt32(box, offset = 0) {
+    return box.data.readUInt32BE(readFullBoxHeader(box).payloadOffset + offset);
+}
+
+describe('FragmentedMp4Muxer', () => {
+    it('merges both moov boxes with the audio track renumbered', async () => {
+        const boxes = readBoxes(await mux(VIDEO, AUDIO));
+        assert.deepEqual(boxes.slice(0, 2).map(box => box.type), ['ftyp', 'moov']);
+
+        const moov = boxes[1];
+        const traks = findAllBoxes(moov, 'trak');
+        assert.deepEqual(traks.map(trak => trackId(findBox(trak, ['tkhd']))), [1, 2]);
+        assert.deepEqual(traks.map(trak => findBox(trak, ['mdia', 'hdlr']).data.toString('latin1', 16, 20)), ['vide', 'soun']);
+
+        const movieHeader = findBox(moov, ['mvhd']);
+        assert.equal(movieHeader.data.readUInt32BE(movieHeader.data.length - 4), 3, 'next_track_ID');
+
+        const trexes = findAllBoxes(findBox(moov, ['mvex']), 'trex');
+        assert.deepEqual(trexes.map(trex => payloadUInt32(trex)), [1, 2]);
+        assert.equal(findAllBoxes(moov, 'mvex').length, 1);
+    });
+
+    it('rescales the audio durations to the video movie timescale', async () => {
+        const moov = readBoxes(await mux(VIDEO, AUDIO))[1];
+
+        // 336000 / 48000 = 7 s, longer than the video's 6 s
+        assert.equal(payloadUInt32(findBox(moov, ['mvhd']), 12), 7000, 'mvhd duration');
+        assert.equal(payloadUInt32(findBox(moov, ['mvex', 'mehd'])), 7000, 'mehd duration');
+
+        const audioTrak = findAllBoxes(moov, 'trak')[1];
+        assert.equal(payloadUInt32(findBox(audioTrak, ['tkhd']), 16), 6000, 'tkhd duration');
+        assert.equal(payloadUInt32(findBox(audioTrak, ['edts', 'elst']), 4), 6000, 'elst segment duration');
+
+        const videoTrak = findAllBoxes(moov, 'trak')[0];
+        assert.equal(payloadUInt32(findBox(videoTrak, ['tkhd']), 16), 6000);
+    });
+
+    it('interleaves fragments by decode time and renumbers them', async () => {
+        const boxes = readBoxes(await mux(VIDEO, AUDIO));
+        const fragments = boxes.filter(box => box.type === 'moof');
+
+        assert.equal(boxes.filter(box => box.type === 'sidx').length, 0, 'sidx is dropped');
+        assert.equal(fragments.length, 9);
+        assert.deepEqual(fragments.map(moof => payloadUInt32(findBox(moof, ['mfhd']))), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+        const order = fragments.map(moof => {
+            const traf = findBox(moof, ['traf']);
+            const id = payloadUInt32(findBox(traf, ['tfhd']));
+            const tfdt = findBox(traf, ['tfdt']);
+            const time = Number(tfdt.data.readBigUInt64BE(readFullBoxHeader(tfdt).payloadOffset));
+            return `${id === 1 ? 'v' : 'a'}${time / (id === 1 ? 15360 : 44100)}`;
+        });
+        assert.deepEqual(order, ['v0', 'a0', 'a1', 'v2', 'a2', 'a3', 'v4', 'a4', 'a5']);
+
+        boxes.forEach((box, i) => {
+            if (box.type === 'moof') assert.equal(boxes[i + 1].type, 'mdat');
+        });
+    });
+
+    it('moves absolute base data offsets to the fragment\'s new position', async () => {
+        const boxes = readBoxes(await mux(VIDEO, AUDIO));
+
+        boxes.filter(box => box.type === 'moof').forEach(moof => {
+            const tfhd = findBox(moof, ['traf', 'tfhd']);
+            const header = readFullBoxHeader(tfhd);
+            if (header.flags & 0x000001) {
+                assert.equal(Number(tfhd.data.readBigUInt64BE(header.payloadOffset + 4)), moof.start);
+            }
+        });
+    });
+
+    it('writes a real size for a trailing size-0 mdat', async () => {
+        const output = await mux(VIDEO, AUDIO);
+        const boxes = readBoxes(output);
+        const last = boxes[boxes.length - 1];
+
+        assert.equal(last.type, 'mdat');
+        assert.equal(output.readUInt32BE(last.start), 72);
+        assert.equal(last.start + last.size, output.length);
+        assert.ok(last.data.subarray(8).every(byte => byte === 0x45));
+    });
+
+    it('refuses a stream without a moov box', async () => {
+        const moofFirst = Buffer.concat([
+            buildBox('ftyp', Buffer.from('isom', 'latin1')),
+            buildBox('moof', fullBox('mfhd', 0, 0, u32(1))),
+            buildBox('mdat', Buffer.alloc(8))
+        ]);
+        await assert.rejects(mux(VIDEO, moofFirst), error =>
+            error instanceof UnsupportedMediaError && /audio stream has no moov/.test(error.message));
+    });
+
+    it('refuses a progressive MP4 without mvex', async () => {
+        const progressive = Buffer.concat([
+            buildBox('ftyp', Buffer.from('isom', 'latin1')),
+            buildBox('moov', mvhd(1000, 1000, 2), buildBox('trak', tkhd(1, 1000), buildBox('mdia', mdhd(15360), hdlr('vide')))),
+            buildBox('mdat', Buffer.alloc(8))
+        ]);
+        await assert.rejects(mux(progressive, AUDIO), error =>
+            error instanceof UnsupportedMediaError && /video stream is not a fragmented MP4/.test(error.message));
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { Mp4Probe } = require('../lib/mp4-probe');
+const { buildBox } = require('../lib/mp4-boxes');
+const { mvhd, tkhd, mdhd, hdlr } = require('./fixtures/mp4');
+
+const FTYP = buildBox('ftyp', Buffer.from('isom0000mp41', 'latin1'));
+
+// A moov with one 1280x720 video track, padded with a free box to `size`
+// bytes so it does not fit in the probe's first read
+function moovBox(size) {
+    const trak = buildBox('trak', tkhd(1, 5000, 1280, 720), buildBox('mdia', mdhd(15360, 76800), hdlr('vide')));
+    const children = Buffer.concat([mvhd(1000, 5000, 2), trak]);
+    return buildBox('moov', children, buildBox('free', Buffer.alloc(size - children.length - 16)));
+}
+
+function mdatBox(size) {
+    return buildBox('mdat', Buffer.alloc(size - 8, 0xaa));
+}
+
+// Serves `file` with Range support and records every requested range
+function rangeFetch(file, ranges) {
+    return async (url, range) => {
+        const [, start, end] = /^bytes=(\d+)-(\d+)$/.exec(range);
+        const first = parseInt(start, 10);
+        const last = Math.min(parseInt(end, 10), file.length - 1);
+        ranges.push([first, last]);
+        return {
+            ok: true,
+            status: 206,
+            headers: new Map([['content-range', `bytes ${first}-${last}/${file.length}`]]),
+            body: Readable.from([file.subarray(first, last + 1)])
+        };
+    };
+}
+
+async function probe(file) {
+    const ranges = [];
+    const result = await new Mp4Probe({ fetch: rangeFetch(file, ranges) }).probe('https://video.example/v.mp4');
+    return { result, ranges };
+}
+
+describe('Mp4Probe', () => {
+    let originalLog;
+
+    before(() => {
+        originalLog = console.log;
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = originalLog;
+    });
+
+    it('reads a small head, then exactly the rest of a large moov', async () => {
+        const moov = moovBox(40000);
+        const file = Buffer.concat([FTYP, moov, mdatBox(200000)]);
+        const { result, ranges } = await probe(file);
+
+        assert.deepEqual(ranges, [[0, 16383], [16384, FTYP.length + moov.length - 1]]);
+        assert.equal(result.bytesRead, FTYP.length + moov.length);
+        assert.equal(result.duration, 5);
+        assert.equal(result.size, file.length);
+        assert.deepEqual(result.tracks.map(track => [track.type, track.width, track.height]), [['video', 1280, 720]]);
+    });
+
+    it('skips over mdat and reads only box headers before a trailing moov', async () => {
+        const mdat = mdatBox(1024 * 1024);
+        const free = buildBox('free', Buffer.alloc(100));
+        const moov = moovBox(30000);
+        const file = Buffer.concat([FTYP, mdat, free, moov]);
+        const freeStart = FTYP.length + mdat.length;
+        const moovStart = freeStart + free.length;
+        const { result, ranges } = await probe(file);
+
+        assert.deepEqual(ranges, [
+            [0, 16383],
+            [freeStart, freeStart + 15],
+            [moovStart, moovStart + 15],
+            [moovStart + 16, file.length - 1]
+        ]);
+        assert.equal(result.bytesRead, 16384 + 16 + moov.length);
+        assert.deepEqual(result.tracks.map(track => track.type), ['video']);
+    });
+
+    it('reads a trailing moov of size 0 up to the end of the file', async () => {
+        const moov = moovBox(30000);
+        moov.writeUInt32BE(0, 0);
+        const file = Buffer.concat([FTYP, mdatBox(100000), moov]);
+        const { result } = await probe(file);
+
+        assert.equal(result.duration, 5);
+        assert.equal(result.tracks.length, 1);
+    });
+
+    it('gives up when an mdat of size 0 leaves no room for moov', async () => {
+        const mdat = mdatBox(100000);
+        mdat.writeUInt32BE(0, 0);
+        const { result, ranges } = await probe(Buffer.concat([FTYP, mdat]));
+
+        assert.equal(result, null);
+        assert.equal(ranges.length, 1);
+    });
+});
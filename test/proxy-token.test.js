@@ -0,0 +1,220 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { ProxyTokenSigner, ProxyTokenError } = require('../lib/proxy-token');
+const { UrlPolicy } = require('../lib/url-policy');
+const { ConcurrencyLimiter, BandwidthLimiter } = require('../lib/stream-limits');
+const { readBoxes } = require('../lib/mp4-boxes');
+const { formatDownloadFilename } = require('../lib/download-filename');
+const { fragmentedMp4 } = require('./fixtures/mp4');
+
+const VIDEO_URL = 'https://scontent.xx.fbcdn.net/v/video.mp4?oe=FFFFFFFF';
+const AUDIO_URL = 'https://scontent.xx.fbcdn.net/v/audio.mp4?oe=FFFFFFFF';
+
+function tokenOf(link) {
+    return new URL(link, 'http://localhost').searchParams.get('token');
+}
+
+describe('ProxyTokenSigner', () => {
+    const signer = new ProxyTokenSigner({ secret: 'test' });
+
+    it('round-trips the URL, file name and audio URL', () => {
+        assert.equal(signer.verify(tokenOf(signer.link(VIDEO_URL))).url, VIDEO_URL);
+        assert.equal(signer.verify(signer.downloadLink(VIDEO_URL, 'a.mp4').split('/')[2]).filename, 'a.mp4');
+
+        const mux = signer.verify(tokenOf(signer.muxLink(VIDEO_URL, AUDIO_URL)));
+        assert.equal(mux.url, VIDEO_URL);
+        assert.equal(mux.audioUrl, AUDIO_URL);
+
+        assert.equal(signer.verify(tokenOf(signer.hlsLink(VIDEO_URL))).audioUrl, null);
+    });
+
+    it('refuses tampered, foreign and expired tokens', () => {
+        const token = tokenOf(signer.muxLink(VIDEO_URL, AUDIO_URL));
+        const [payload, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ u: VIDEO_URL, a: 'https://evil.example/', e: 4102444800 })).toString('base64url');
+
+        assert.throws(() => signer.verify(`${forged}.${signature}`), { code: 'TOKEN_INVALID' });
+        assert.throws(() => new ProxyTokenSigner({ secret: 'other' }).verify(token), { code: 'TOKEN_INVALID' });
+        assert.throws(() => signer.verify(payload), { code: 'TOKEN_INVALID' });
+        assert.throws(() => signer.verify(undefined), error => error instanceof ProxyTokenError && error.status === 401);
+
+        const expired = new ProxyTokenSigner({ secret: 'test', now: () => Date.now() - 7 * 60 * 60 * 1000 });
+        assert.throws(() => signer.verify(tokenOf(expired.link(VIDEO_URL))), { code: 'TOKEN_EXPIRED' });
+    });
+
+    it('binds tokens to the client IP when asked', () => {
+        const bound = new ProxyTokenSigner({ secret: 'test', bindIp: true });
+        const token = tokenOf(bound.muxLink(VIDEO_URL, AUDIO_URL, '203.0.113.1'));
+
+        assert.equal(bound.verify(token, '203.0.113.1').audioUrl, AUDIO_URL);
+        assert.throws(() => bound.verify(token, '203.0.113.2'), { code: 'TOKEN_INVALID' });
+    });
+});
+
+describe('Signed link routes', () => {
+    let app;
+    let server;
+    let base;
+    let signer;
+    const fetched = [];
+    const originals = {};
+
+    const files = {
+        [VIDEO_URL]: fragmentedMp4({ handler: 'vide', mediaTimescale: 15360, fragments: 2, fragmentDuration: 2, payload: 0x10 }),
+        [AUDIO_URL]: fragmentedMp4({ handler: 'soun', mediaTimescale: 44100, fragments: 4, fragmentDuration: 1, payload: 0x40 })
+    };
+
+    before(async () => {
+        app = require('../server');
+        signer = app.get('proxySigner');
+        app.set('rangeCache', null);
+        app.set('urlPolicy', new UrlPolicy({
+            lookup: async () => [{ address: '157.240.1.1', family: 4 }],
+            fetch: async url => {
+                fetched.push(url);
+                const body = files[url];
+                return {
+                    ok: Boolean(body),
+                    status: body ? 200 : 404,
+                    headers: new Map([['content-type', 'video/mp4']]),
+                    body: Readable.from(body ? [body] : [])
+                };
+            }
+        }));
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        base = `http://127.0.0.1:${server.address().port}`;
+
+        ['log', 'error'].forEach(method => {
+            originals[method] = console[method];
+            console[method] = () => {};
+        });
+    });
+
+    after(async () => {
+        ['log', 'error'].forEach(method => { console[method] = originals[method]; });
+        await new Promise(resolve => server.close(resolve));
+        await app.get('extractionPool').close();
+    });
+
+    it('refuses raw CDN URLs without a token', async () => {
+        fetched.length = 0;
+        const raw = `video=${encodeURIComponent(VIDEO_URL)}&audio=${encodeURIComponent(AUDIO_URL)}`;
+
+        let response = await fetch(`${base}/mux?${raw}`);
+        assert.equal(response.status, 401);
+        assert.equal((await response.json()).code, 'TOKEN_MISSING');
+
+        response = await fetch(`${base}/hls?url=${encodeURIComponent(VIDEO_URL)}`);
+        assert.equal(response.status, 401);
+        assert.deepEqual(fetched, []);
+    });
+
+    it('refuses a /proxy-video token on /mux', async () => {
+        const response = await fetch(`${base}/mux?token=${tokenOf(signer.link(VIDEO_URL, '127.0.0.1'))}`);
+        assert.equal(response.status, 400);
+    });
+
+    it('merges the tracks of a signed /mux link', async () => {
+        fetched.length = 0;
+        const response = await fetch(base + signer.muxLink(VIDEO_URL, AUDIO_URL, '127.0.0.1'));
+        const output = Buffer.from(await response.arrayBuffer());
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(fetched.sort(), [AUDIO_URL, VIDEO_URL]);
+        assert.equal(readBoxes(output).filter(box => box.type === 'moof').length, 6);
+    });
+
+    it('passes a CDN refusal on /mux through instead of a 500', async () => {
+        const missing = 'https://scontent.xx.fbcdn.net/v/gone.mp4?oe=FFFFFFFF';
+        const response = await fetch(base + signer.muxLink(VIDEO_URL, missing, '127.0.0.1'));
+
+        assert.equal(response.status, 404);
+        assert.equal((await response.json()).code, 'UPSTREAM_ERROR');
+    });
+
+    it('answers LINK_EXPIRED on /mux when a track link has expired', async () => {
+        fetched.length = 0;
+        const expired = 'https://scontent.xx.fbcdn.net/v/audio.mp4?oe=5F000000';
+        const response = await fetch(base + signer.muxLink(VIDEO_URL, expired, '127.0.0.1'));
+
+        assert.equal(response.status, 410);
+        assert.equal((await response.json()).code, 'LINK_EXPIRED');
+        assert.deepEqual(fetched, []);
+    });
+
+    it('serves /download under the signed name, extension included', async () => {
+        const filename = formatDownloadFilename({ title: 'x'.repeat(500) });
+        const response = await fetch(base + signer.downloadLink(VIDEO_URL, filename, '127.0.0.1'));
+        await response.arrayBuffer();
+
+        assert.equal(response.status, 200);
+        assert.ok(response.headers.get('content-disposition').includes(`filename="${filename}"`));
+    });
+
+    it('fetches /download in segments and previews over one connection', async () => {
+        const segmentedFetcher = app.get('segmentedFetcher');
+        const segmented = [];
+        app.set('segmentedFetcher', {
+            fetchRange: (url, range, init) => {
+                segmented.push(url);
+                return segmentedFetcher.fetchRange(url, range, init);
+            }
+        });
+
+        try {
+            let response = await fetch(base + signer.link(VIDEO_URL, '127.0.0.1'), { headers: { Range: 'bytes=0-' } });
+            await response.arrayBuffer();
+            assert.equal(response.ok, true);
+            assert.deepEqual(segmented, []);
+
+            response = await fetch(base + signer.downloadLink(VIDEO_URL, 'video.mp4', '127.0.0.1'));
+            await response.arrayBuffer();
+            assert.equal(response.status, 200);
+            assert.deepEqual(segmented, [VIDEO_URL]);
+        } finally {
+            app.set('segmentedFetcher', segmentedFetcher);
+        }
+    });
+
+    it('counts /mux and /hls against the per-IP stream cap', async () => {
+        const limiter = new ConcurrencyLimiter({ maxPerKey: 1 });
+        app.set('streamLimiter', limiter);
+        const release = limiter.acquire('127.0.0.1');
+
+        try {
+            let response = await fetch(base + signer.muxLink(VIDEO_URL, AUDIO_URL, '127.0.0.1'));
+            assert.equal(response.status, 429);
+            assert.equal((await response.json()).code, 'TOO_MANY_STREAMS');
+
+            response = await fetch(base + signer.hlsLink(VIDEO_URL, '127.0.0.1'));
+            assert.equal(response.status, 429);
+        } finally {
+            release();
+        }
+
+        const response = await fetch(base + signer.muxLink(VIDEO_URL, AUDIO_URL, '127.0.0.1'));
+        await response.arrayBuffer();
+        assert.equal(response.status, 200);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(limiter.count('127.0.0.1'), 0, 'the slot is released when the response closes');
+    });
+
+    it('throttles merged downloads', async () => {
+        const size = files[VIDEO_URL].length + files[AUDIO_URL].length;
+        app.set('bandwidthLimiter', new BandwidthLimiter({ perStream: Math.ceil(size / 2) }));
+
+        try {
+            const started = Date.now();
+            const response = await fetch(base + signer.muxLink(VIDEO_URL, AUDIO_URL, '127.0.0.1'));
+            const output = Buffer.from(await response.arrayBuffer());
+
+            assert.equal(readBoxes(output).filter(box => box.type === 'moof').length, 6);
+            assert.ok(Date.now() - started >= 400, 'the second half waits for the bucket to refill');
+        } finally {
+            app.set('bandwidthLimiter', new BandwidthLimiter());
+        }
+    });
+});
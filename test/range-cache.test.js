@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { RangeCache } = require('../lib/range-cache');
+
+// No oe= expiry, so entries live for defaultTtl
+const URL_A = 'https://scontent.xx.fbcdn.net/v/file.mp4';
+// Larger than what a Readable.from() body buffers ahead of its reader
+const OLD = crypto.randomBytes(4 * 1024 * 1024);
+const NEW = crypto.randomBytes(4 * 1024 * 1024);
+
+// CDN stub serving `file.data` with `file.etag`, one 256 KB chunk at a time
+function cdn(file) {
+    return async (url, range) => {
+        const match = /^bytes=(\d+)-(\d*)$/.exec(range || '');
+        const start = match ? parseInt(match[1], 10) : 0;
+        const end = match && match[2] ? parseInt(match[2], 10) : file.data.length - 1;
+        const body = file.data.subarray(start, end + 1);
+        const chunks = [];
+        for (let offset = 0; offset < body.length; offset += 256 * 1024) {
+            chunks.push(body.subarray(offset, offset + 256 * 1024));
+        }
+
+        const headers = new Map([['content-type', 'video/mp4'], ['etag', file.etag], ['content-length', String(body.length)]]);
+        if (match) headers.set('content-range', `bytes ${start}-${end}/${file.data.length}`);
+        return { status: match ? 206 : 200, ok: true, url: url, headers: headers, body: Readable.from(chunks) };
+    };
+}
+
+async function collect(body) {
+    const chunks = [];
+    for await (const chunk of body) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+describe('RangeCache', () => {
+    let directory;
+    let file;
+    let now;
+    let cache;
+
+    beforeEach(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'range-cache-test-'));
+        file = { data: OLD, etag: '"old"' };
+        now = Date.UTC(2026, 0, 1);
+        cache = new RangeCache({ directory: directory, fetch: cdn(file), now: () => now, defaultTtl: 60 * 1000 });
+        await cache.ready;
+    });
+
+    afterEach(() => fs.promises.rm(directory, { recursive: true, force: true }));
+
+    function files() {
+        return fs.readdirSync(directory).sort();
+    }
+
+    it('serves cached ranges from disk', async () => {
+        assert.ok((await collect((await cache.fetchRange(URL_A, undefined)).body)).equals(OLD));
+
+        file.data = NEW;
+        const response = await cache.fetchRange(URL_A, 'bytes=100-199');
+        assert.equal(response.status, 206);
+        assert.ok((await collect(response.body)).equals(OLD.subarray(100, 200)));
+        assert.equal(files().length, 2);
+    });
+
+    it('keeps an expired entry\'s file until its readers finish', async () => {
+        await collect((await cache.fetchRange(URL_A, undefined)).body);
+        const [oldEntry] = cache.entries.values();
+
+        // A slow reader is part way through the cached file
+        const reader = (await cache.fetchRange(URL_A, undefined)).body;
+        const iterator = reader[Symbol.asyncIterator]();
+        const first = await iterator.next();
+        assert.equal(oldEntry.readers, 1);
+
+        // The link expires and a new request replaces the entry
+        now += 2 * 60 * 1000;
+        file.data = NEW;
+        file.etag = '"new"';
+        const replacement = await collect((await cache.fetchRange(URL_A, undefined)).body);
+        assert.ok(replacement.equals(NEW));
+
+        const [newEntry] = cache.entries.values();
+        assert.notEqual(newEntry.hash, oldEntry.hash);
+        assert.ok(files().includes(`${oldEntry.hash}.bin`), 'the old file stays while it is read');
+
+        const rest = [first.value];
+        for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+            rest.push(next.value);
+        }
+        assert.ok(Buffer.concat(rest).equals(OLD));
+        assert.deepEqual(files(), [`${newEntry.hash}.bin`, `${newEntry.hash}.json`]);
+
+        const cached = await collect((await cache.fetchRange(URL_A, 'bytes=0-99')).body);
+        assert.ok(cached.equals(NEW.subarray(0, 100)));
+    });
+
+    it('starts a new file when the CDN file changes', async () => {
+        await collect((await cache.fetchRange(URL_A, 'bytes=0-999')).body);
+        const [oldEntry] = cache.entries.values();
+
+        file.data = NEW;
+        file.etag = '"new"';
+        assert.ok((await collect((await cache.fetchRange(URL_A, 'bytes=2000-2999')).body)).equals(NEW.subarray(2000, 3000)));
+
+        const [newEntry] = cache.entries.values();
+        assert.notEqual(newEntry.hash, oldEntry.hash);
+        assert.deepEqual(newEntry.ranges, [[2000, 2999]]);
+        assert.deepEqual(files(), [`${newEntry.hash}.bin`, `${newEntry.hash}.json`]);
+    });
+
+    it('drops the entry instead of mixing versions when a gap comes from a changed file', async () => {
+        await collect((await cache.fetchRange(URL_A, 'bytes=0-999')).body);
+
+        file.data = NEW;
+        file.etag = '"new"';
+        const response = await cache.fetchRange(URL_A, 'bytes=0-2999');
+        await assert.rejects(collect(response.body), /ETag changed/);
+        assert.equal(cache.entries.size, 0);
+
+        assert.ok((await collect((await cache.fetchRange(URL_A, 'bytes=0-2999')).body)).equals(NEW.subarray(0, 3000)));
+        const [entry] = cache.entries.values();
+        assert.deepEqual(entry.ranges, [[0, 2999]]);
+        assert.deepEqual(files(), [`${entry.hash}.bin`, `${entry.hash}.json`]);
+    });
+
+    it('reloads its entries after a restart', async () => {
+        await collect((await cache.fetchRange(URL_A, 'bytes=0-999')).body);
+
+        const restarted = new RangeCache({ directory: directory, fetch: cdn(file), now: () => now, defaultTtl: 60 * 1000 });
+        await restarted.ready;
+        file.data = NEW;
+
+        assert.equal(restarted.entries.size, 1);
+        assert.ok((await collect((await restarted.fetchRange(URL_A, 'bytes=0-999')).body)).equals(OLD.subarray(0, 1000)));
+    });
+});
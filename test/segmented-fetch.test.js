@@ -0,0 +1,209 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { SegmentedFetcher, SegmentedFetchError } = require('../lib/segmented-fetch');
+
+const FILE = crypto.randomBytes(3 * 1024 * 1024 + 12345);
+const SEGMENT = 256 * 1024;
+
+// Range-capable fixture server. `mode` changes how it misbehaves:
+// norange ignores Range, flaky cuts off the first few segment responses,
+// short answers segment requests with half the range, changed serves a new
+// ETag for segment requests. The tests below that use those modes start
+// with bytes=0-, so any other Range is a segment request.
+let mode = 'range';
+let requests = [];
+let cutoffs = 0;
+let open = 0;
+
+function serve(req, res) {
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    requests.push(req.headers.range || null);
+    open++;
+    res.on('close', () => open--);
+
+    if (mode === 'norange' || !range) {
+        res.writeHead(200, { 'content-type': 'video/mp4', 'content-length': FILE.length, 'etag': '"v1"' });
+        return res.end(FILE);
+    }
+
+    const start = range[1] === '' ? FILE.length - parseInt(range[2], 10) : parseInt(range[1], 10);
+    let end = range[1] === '' || range[2] === '' ? FILE.length - 1 : Math.min(parseInt(range[2], 10), FILE.length - 1);
+    if (start >= FILE.length) {
+        res.writeHead(416, { 'content-range': `bytes */${FILE.length}` });
+        return res.end();
+    }
+
+    const segmentRequest = req.headers.range !== 'bytes=0-';
+    if (mode === 'short' && segmentRequest) {
+        end = start + Math.floor((end - start) / 2);
+    }
+    res.writeHead(206, {
+        'content-type': 'video/mp4',
+        'content-length': end - start + 1,
+        'content-range': `bytes ${start}-${end}/${FILE.length}`,
+        'etag': mode === 'changed' && segmentRequest ? '"v2"' : '"v1"'
+    });
+
+    const body = FILE.subarray(start, end + 1);
+    if (mode === 'flaky' && segmentRequest && cutoffs < 3) {
+        cutoffs++;
+        res.write(body.subarray(0, 1000));
+        return setTimeout(() => res.destroy(), 10);
+    }
+    res.end(body);
+}
+
+async function collect(body) {
+    const chunks = [];
+    for await (const chunk of body) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+describe('SegmentedFetcher', () => {
+    let server;
+    let url;
+    let fetcher;
+
+    before(async () => {
+        server = http.createServer(serve);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/v.mp4`;
+
+        const { default: nodeFetch } = await import('node-fetch');
+        fetcher = new SegmentedFetcher({
+            fetch: (target, range, init) => nodeFetch(target, { ...init, headers: range ? { Range: range } : {} }),
+            connections: 4,
+            minSize: 1024 * 1024,
+            maxSegmentSize: SEGMENT,
+            retryDelay: 5
+        });
+    });
+
+    after(() => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+
+    beforeEach(() => {
+        mode = 'range';
+        requests = [];
+        cutoffs = 0;
+    });
+
+    // Segment requests of a failed or aborted download can still be on
+    // their way; let them finish before the next test counts requests
+    afterEach(async () => {
+        do {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        } while (open > 0);
+    });
+
+    it('downloads the whole file in segments and answers 200', async () => {
+        const response = await fetcher.fetchRange(url, undefined, {});
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-length'), String(FILE.length));
+        assert.equal(response.headers.get('content-range'), undefined);
+        assert.ok((await collect(response.body)).equals(FILE));
+        assert.equal(requests[0], 'bytes=0-');
+        assert.equal(requests.length, Math.ceil(FILE.length / SEGMENT));
+        assert.equal(requests[1], `bytes=${SEGMENT}-${2 * SEGMENT - 1}`);
+    });
+
+    it('serves an open-ended range', async () => {
+        const response = await fetcher.fetchRange(url, 'bytes=1000-', {});
+
+        assert.equal(response.status, 206);
+        assert.equal(response.headers.get('content-range'), `bytes 1000-${FILE.length - 1}/${FILE.length}`);
+        assert.ok((await collect(response.body)).equals(FILE.subarray(1000)));
+        assert.ok(requests.length > 1);
+    });
+
+    it('serves a bounded range', async () => {
+        const response = await fetcher.fetchRange(url, 'bytes=12345-2012344', {});
+
+        assert.equal(response.status, 206);
+        assert.equal(response.headers.get('content-length'), '2000000');
+        assert.ok((await collect(response.body)).equals(FILE.subarray(12345, 2012345)));
+        assert.equal(requests[requests.length - 1].split('-')[1], '2012344');
+    });
+
+    it('passes small ranges, HEAD and 416 through as one request', async () => {
+        let response = await fetcher.fetchRange(url, 'bytes=0-99', {});
+        assert.equal(response.status, 206);
+        assert.equal((await collect(response.body)).length, 100);
+
+        response = await fetcher.fetchRange(url, undefined, { method: 'HEAD' });
+        assert.equal(response.status, 200);
+
+        response = await fetcher.fetchRange(url, `bytes=${FILE.length}-`, {});
+        assert.equal(response.status, 416);
+        assert.equal(requests.length, 3);
+    });
+
+    it('falls back to a single stream when the origin ignores Range', async () => {
+        mode = 'norange';
+        const response = await fetcher.fetchRange(url, undefined, {});
+
+        assert.equal(response.status, 200);
+        assert.ok((await collect(response.body)).equals(FILE));
+        assert.deepEqual(requests, ['bytes=0-']);
+    });
+
+    it('retries dropped segments from their last byte', async () => {
+        mode = 'flaky';
+        const response = await fetcher.fetchRange(url, undefined, {});
+
+        assert.ok((await collect(response.body)).equals(FILE));
+        assert.equal(cutoffs, 3);
+        assert.equal(requests.length, Math.ceil(FILE.length / SEGMENT) + 3);
+    });
+
+    it('fails when a segment comes back short on every attempt', async () => {
+        mode = 'short';
+        const response = await fetcher.fetchRange(url, undefined, {});
+
+        await assert.rejects(collect(response.body), error =>
+            error instanceof SegmentedFetchError && /Segment ended after/.test(error.message));
+    });
+
+    it('fails without retrying when the file changes mid-download', async () => {
+        mode = 'changed';
+        const response = await fetcher.fetchRange(url, undefined, {});
+
+        await assert.rejects(collect(response.body), /changed on the CDN/);
+        assert.ok(requests.length <= 4, 'no retries after the ETag changed');
+    });
+
+    it('stops every segment download when the client aborts', async () => {
+        const controller = new AbortController();
+        const calls = [];
+        const counting = new SegmentedFetcher({
+            fetch: (target, range, init) => {
+                calls.push({ range: range, aborted: controller.signal.aborted, signal: init.signal });
+                return fetcher.fetch(target, range, init);
+            },
+            connections: 4,
+            minSize: 1024 * 1024,
+            maxSegmentSize: SEGMENT
+        });
+        const response = await counting.fetchRange(url, undefined, { signal: controller.signal });
+
+        let received = 0;
+        await assert.rejects(async () => {
+            for await (const chunk of response.body) {
+                received += chunk.length;
+                if (received > SEGMENT) controller.abort();
+            }
+        }, { name: 'AbortError' });
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.ok(calls.length < Math.ceil(FILE.length / SEGMENT));
+        assert.ok(calls.every(call => !call.aborted), 'no segment requests after the abort');
+        assert.ok(calls.every(call => call.signal.aborted), 'every segment request was aborted');
+    });
+});